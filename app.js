@@ -18,10 +18,24 @@ const postRoutes = require('./routes/posts');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
 const settingsRoutes = require('./routes/settings');
+const messageRoutes = require('./routes/messages');
+const realtimeRoutes = require('./routes/realtime');
+const notificationRoutes = require('./routes/notifications');
+const avatarRoutes = require('./routes/avatars');
+const searchRoutes = require('./routes/search');
+const eventRoutes = require('./routes/events');
+const marketplaceRoutes = require('./routes/marketplace');
+const lostFoundRoutes = require('./routes/lostFound');
+const rideRoutes = require('./routes/rides');
+const housingRoutes = require('./routes/housing');
+const clubRoutes = require('./routes/clubs');
 
 // Import middleware
 const { requireAuth, requireAdmin } = require('./middleware/auth');
+const digestService = require('./services/digestService');
+const engagementService = require('./services/engagementService');
 const errorHandler = require('./middleware/errorHandler');
+const { loadUnreadCounts } = require('./middleware/unreadCounts');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -103,10 +117,22 @@ app.use(flash());
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
+// Uploaded avatars and post files never change under the same name, so cache them for good
+const uploadCacheOptions = { maxAge: '365d', immutable: true };
+app.use('/uploads/avatars', express.static(path.join(__dirname, 'public/uploads/avatars'), uploadCacheOptions));
+app.use('/uploads/posts', express.static(path.join(__dirname, 'public/uploads/posts'), uploadCacheOptions));
+app.use('/uploads/listings', express.static(path.join(__dirname, 'public/uploads/listings'), uploadCacheOptions));
+app.use('/uploads/lost-found', express.static(path.join(__dirname, 'public/uploads/lost-found'), uploadCacheOptions));
+app.use('/uploads/housing', express.static(path.join(__dirname, 'public/uploads/housing'), uploadCacheOptions));
+app.use('/uploads/clubs', express.static(path.join(__dirname, 'public/uploads/clubs'), uploadCacheOptions));
+
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
 app.use('/uploads', express.static(path.join(__dirname, 'public/uploads')));
 
+// Generated avatars (public, like static files)
+app.use('/avatars', avatarRoutes);
+
 // Global middleware to pass user data to all views
 app.use((req, res, next) => {
   res.locals.user = req.session.user || null;
@@ -120,11 +146,24 @@ app.use((req, res, next) => {
   next();
 });
 
+// Unread badge counts for the navbar
+app.use(loadUnreadCounts);
+
 // Routes
 app.use('/auth', authRoutes);
 app.use('/posts', requireAuth, postRoutes);
+app.use('/users/messages', requireAuth, messageRoutes);
+app.use('/users/notifications', requireAuth, notificationRoutes);
 app.use('/users', requireAuth, userRoutes);
 app.use('/admin', requireAuth, requireAdmin, adminRoutes);
+app.use('/realtime', requireAuth, realtimeRoutes);
+app.use('/search', requireAuth, searchRoutes);
+app.use('/events', requireAuth, eventRoutes);
+app.use('/marketplace', requireAuth, marketplaceRoutes);
+app.use('/lost-found', requireAuth, lostFoundRoutes);
+app.use('/rides', requireAuth, rideRoutes);
+app.use('/housing', requireAuth, housingRoutes);
+app.use('/clubs', requireAuth, clubRoutes);
 
 // Home route
 app.get('/', (req, res) => {
@@ -180,4 +219,14 @@ app.listen(PORT, () => {
   console.log(`📱 Access the app at: http://localhost:${PORT}`);
 });
 
+// Weekly digest emails - disable on extra instances so users only get one copy
+if (process.env.WEEKLY_DIGEST_ENABLED !== 'false') {
+  digestService.start();
+}
+
+// Hourly engagement rescoring - one instance is enough
+if (process.env.ENGAGEMENT_JOB_ENABLED !== 'false') {
+  engagementService.start();
+}
+
 module.exports = app;
\ No newline at end of file
@@ -41,6 +41,15 @@ const requireAuth = async (req, res, next) => {
       return res.redirect('/auth/login');
     }
 
+    // Sessions created before a password reset are no longer valid
+    if ((req.session.user.sessionVersion || 0) !== (user.sessionVersion || 0)) {
+      delete req.session.user;
+      if (req.flash) {
+        req.flash('error', 'Your session has expired. Please log in again.');
+      }
+      return res.redirect('/auth/login');
+    }
+
     // Check if user is verified
     if (!user.isVerified) {
       if (req.flash) {
@@ -0,0 +1,33 @@
+/**
+ * Unread Counts Middleware - UConnect
+ * Exposes unread badge counts to the navbar partial
+ */
+
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+
+/**
+ * Middleware to load unread counts for the logged in user
+ */
+const loadUnreadCounts = async (req, res, next) => {
+  res.locals.unreadMessages = 0;
+  res.locals.unreadNotifications = 0;
+
+  // Skip guests and AJAX requests that never render the navbar
+  if (!req.session || !req.session.user || !req.session.user.id || req.xhr) {
+    return next();
+  }
+
+  try {
+    res.locals.unreadMessages = await Message.countUnreadFor(req.session.user.id);
+    res.locals.unreadNotifications = await Notification.countUnreadFor(req.session.user.id);
+  } catch (error) {
+    console.error('Unread counts error:', error);
+  }
+
+  next();
+};
+
+module.exports = {
+  loadUnreadCounts
+};
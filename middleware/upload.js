@@ -1,6 +1,8 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
 
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, '../public/uploads/avatars');
@@ -8,6 +10,154 @@ if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
+const postUploadsDir = path.join(__dirname, '../public/uploads/posts');
+if (!fs.existsSync(postUploadsDir)) {
+  fs.mkdirSync(postUploadsDir, { recursive: true });
+}
+
+const listingUploadsDir = path.join(__dirname, '../public/uploads/listings');
+if (!fs.existsSync(listingUploadsDir)) {
+  fs.mkdirSync(listingUploadsDir, { recursive: true });
+}
+
+const lostFoundUploadsDir = path.join(__dirname, '../public/uploads/lost-found');
+if (!fs.existsSync(lostFoundUploadsDir)) {
+  fs.mkdirSync(lostFoundUploadsDir, { recursive: true });
+}
+
+const housingUploadsDir = path.join(__dirname, '../public/uploads/housing');
+if (!fs.existsSync(housingUploadsDir)) {
+  fs.mkdirSync(housingUploadsDir, { recursive: true });
+}
+
+const clubUploadsDir = path.join(__dirname, '../public/uploads/clubs');
+if (!fs.existsSync(clubUploadsDir)) {
+  fs.mkdirSync(clubUploadsDir, { recursive: true });
+}
+
+// Fixed square sizes every avatar is rendered at
+const AVATAR_SIZES = {
+  sm: 48,
+  md: 128,
+  lg: 256
+};
+
+// Post images are capped to a full size plus a thumbnail for the feed
+const POST_IMAGE_SIZES = {
+  full: 1600,
+  thumb: 480
+};
+
+// Maximum number of attachments on a single post
+const MAX_POST_ATTACHMENTS = 4;
+
+// Maximum number of photos on a marketplace listing
+const MAX_LISTING_PHOTOS = 5;
+
+// Maximum number of photos on a housing listing
+const MAX_HOUSING_PHOTOS = 8;
+
+// Known file signatures, checked against the actual bytes rather than the
+// client-supplied mimetype. `offset` is where the signature starts.
+const FILE_SIGNATURES = [
+  { ext: '.jpg', mime: 'image/jpeg', type: 'image', bytes: [0xFF, 0xD8, 0xFF] },
+  { ext: '.png', mime: 'image/png', type: 'image', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { ext: '.gif', mime: 'image/gif', type: 'image', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { ext: '.webp', mime: 'image/webp', type: 'image', bytes: [0x57, 0x45, 0x42, 0x50], offset: 8, riff: true },
+  { ext: '.mp4', mime: 'video/mp4', type: 'video', bytes: [0x66, 0x74, 0x79, 0x70], offset: 4 },
+  { ext: '.webm', mime: 'video/webm', type: 'video', bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+  { ext: '.pdf', mime: 'application/pdf', type: 'document', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] }
+];
+
+// Office documents are zip archives, so the extension decides which one it is
+const ZIP_SIGNATURE = [0x50, 0x4B, 0x03, 0x04];
+const ZIP_DOCUMENT_TYPES = {
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+const matchesBytes = (buffer, bytes, offset = 0) => {
+  if (buffer.length < offset + bytes.length) {
+    return false;
+  }
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+/**
+ * Work out what a file really is from its leading bytes
+ * @param {Buffer} buffer - File contents
+ * @param {string} originalname - Client file name, only used for zip-based documents
+ * @returns {Object|null} { type, ext, mime } or null when the file isn't allowed
+ */
+const detectFileType = (buffer, originalname = '') => {
+  if (!Buffer.isBuffer(buffer)) {
+    return null;
+  }
+
+  for (const signature of FILE_SIGNATURES) {
+    if (signature.riff && !matchesBytes(buffer, [0x52, 0x49, 0x46, 0x46])) {
+      continue;
+    }
+    if (matchesBytes(buffer, signature.bytes, signature.offset)) {
+      return { type: signature.type, ext: signature.ext, mime: signature.mime };
+    }
+  }
+
+  const ext = path.extname(originalname).toLowerCase();
+  if (ZIP_DOCUMENT_TYPES[ext] && matchesBytes(buffer, ZIP_SIGNATURE)) {
+    return { type: 'document', ext, mime: ZIP_DOCUMENT_TYPES[ext] };
+  }
+
+  return null;
+};
+
+
+// Post attachments are held in memory until their bytes have been checked
+const uploadPostMedia = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit per file
+    files: MAX_POST_ATTACHMENTS
+  }
+});
+
+// Listing photos are held in memory until their bytes have been checked
+const uploadListingPhotos = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit per file
+    files: MAX_LISTING_PHOTOS
+  }
+});
+
+// Lost & found reports take a single photo, checked the same way
+const uploadLostFoundPhoto = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  }
+});
+
+// Housing listings take more photos, checked the same way
+const uploadHousingPhotos = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit per file
+    files: MAX_HOUSING_PHOTOS
+  }
+});
+
+// Club avatars are a single image, checked the same way
+const uploadClubAvatar = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  }
+});
+
 // Configure multer for temporary avatar storage (memory storage for registration)
 const tempAvatarStorage = multer.memoryStorage();
 
@@ -77,8 +227,336 @@ const saveTempAvatarToDisk = (tempAvatarData, originalname) => {
   });
 };
 
+/**
+ * Decode an image and re-encode it as WebP at the given size
+ * Orientation is applied before encoding; sharp drops EXIF/GPS metadata by default.
+ * @param {Buffer} buffer - Original image
+ * @param {Object} resize - sharp resize options
+ * @param {boolean} animated - Keep every frame (GIFs)
+ */
+const renderImage = async (buffer, resize, animated = false) => {
+  try {
+    return await sharp(buffer, { animated })
+      .rotate()
+      .resize(resize)
+      .webp({ quality: 82 })
+      .toBuffer();
+  } catch (error) {
+    const invalid = new Error('The image could not be read. Please try a different file.');
+    invalid.code = 'INVALID_FILE_TYPE';
+    throw invalid;
+  }
+};
+
+/**
+ * Render the full size and thumbnail copies of an uploaded image
+ * @param {Buffer} buffer - Original image
+ * @param {boolean} animated - Keep every frame (GIFs)
+ * @returns {Promise<Object>} { full, thumb } WebP buffers
+ */
+const renderImageSizes = async (buffer, animated = false) => {
+  return {
+    full: await renderImage(buffer, {
+      width: POST_IMAGE_SIZES.full,
+      height: POST_IMAGE_SIZES.full,
+      fit: 'inside',
+      withoutEnlargement: true
+    }, animated),
+    thumb: await renderImage(buffer, {
+      width: POST_IMAGE_SIZES.thumb,
+      height: POST_IMAGE_SIZES.thumb,
+      fit: 'inside',
+      withoutEnlargement: true
+    }, animated)
+  };
+};
+
+/**
+ * Build the file name for one size of a user's avatar
+ * @param {string|ObjectId} userId - Avatar owner
+ * @param {string} hash - Content hash from `saveAvatarImage`
+ * @param {string} size - Key of AVATAR_SIZES
+ */
+const getAvatarFilename = (userId, hash, size) => `avatar-${userId}-${hash}-${size}.webp`;
+
+/**
+ * Resize an uploaded avatar into every AVATAR_SIZES entry and write the files
+ * @param {Buffer} buffer - Uploaded image
+ * @param {string|ObjectId} userId - Avatar owner
+ * @returns {Promise<string>} Content hash identifying the new files
+ */
+const saveAvatarImage = async (buffer, userId) => {
+  const fileType = detectFileType(buffer);
+  if (!fileType || fileType.type !== 'image') {
+    const error = new Error('Avatar must be a JPEG, PNG, GIF or WebP image');
+    error.code = 'INVALID_FILE_TYPE';
+    throw error;
+  }
+
+  const rendered = {};
+  for (const [size, pixels] of Object.entries(AVATAR_SIZES)) {
+    rendered[size] = await renderImage(buffer, { width: pixels, height: pixels, fit: 'cover' });
+  }
+
+  // The hash changes whenever the picture does, so the URLs can be cached forever
+  const hash = crypto.createHash('sha256').update(rendered.lg).digest('hex').substring(0, 16);
+
+  await Promise.all(Object.entries(rendered).map(([size, data]) =>
+    fs.promises.writeFile(path.join(uploadsDir, getAvatarFilename(userId, hash, size)), data)
+  ));
+
+  return hash;
+};
+
+/**
+ * Remove every size of a user's avatar from disk
+ * @param {string|ObjectId} userId - Avatar owner
+ * @param {string} hash - Content hash of the avatar to remove
+ */
+const deleteAvatarImages = async (userId, hash) => {
+  if (!hash) {
+    return;
+  }
+
+  await Promise.all(Object.keys(AVATAR_SIZES).map(async (size) => {
+    try {
+      await fs.promises.unlink(path.join(uploadsDir, getAvatarFilename(userId, hash, size)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Failed to delete avatar ${hash}-${size}:`, error.message);
+      }
+    }
+  }));
+};
+
+/**
+ * Verify and write post attachments to disk
+ * Nothing is written unless every file passes the signature check.
+ * @param {Array} files - Files from `uploadPostMedia`
+ * @returns {Promise<Array>} Entries for `Post.media`
+ */
+const savePostMedia = async (files = []) => {
+  const detected = files.map(file => ({ file, fileType: detectFileType(file.buffer, file.originalname) }));
+
+  const rejected = detected.find(({ fileType }) => !fileType);
+  if (rejected) {
+    const error = new Error(`"${rejected.file.originalname}" is not a supported image, video or document`);
+    error.code = 'INVALID_FILE_TYPE';
+    throw error;
+  }
+
+  const media = [];
+  try {
+    for (const { file, fileType } of detected) {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      const originalName = path.basename(file.originalname).substring(0, 255);
+
+      if (fileType.type === 'image') {
+        // Images are re-encoded, which also strips EXIF/GPS data
+        const { full, thumb } = await renderImageSizes(file.buffer, fileType.ext === '.gif');
+
+        const item = {
+          type: 'image',
+          filename: 'post-' + uniqueSuffix + '.webp',
+          thumbnail: 'post-' + uniqueSuffix + '-thumb.webp',
+          originalName,
+          size: full.length
+        };
+        media.push(item);
+        await fs.promises.writeFile(path.join(postUploadsDir, item.filename), full);
+        await fs.promises.writeFile(path.join(postUploadsDir, item.thumbnail), thumb);
+        continue;
+      }
+
+      // Name the file after what it really is, not what the client claimed
+      const item = {
+        type: fileType.type,
+        filename: 'post-' + uniqueSuffix + fileType.ext,
+        originalName,
+        size: file.size
+      };
+      media.push(item);
+      await fs.promises.writeFile(path.join(postUploadsDir, item.filename), file.buffer);
+    }
+  } catch (error) {
+    await deletePostMedia(media);
+    throw error;
+  }
+
+  return media;
+};
+
+/**
+ * Remove post attachment files from disk
+ * @param {Array} media - `Post.media` entries
+ */
+const deletePostMedia = async (media = []) => {
+  const filenames = media.flatMap(item => item.thumbnail ? [item.filename, item.thumbnail] : [item.filename]);
+
+  await Promise.all(filenames.map(async (filename) => {
+    try {
+      // basename guards against anything odd stored in the filename
+      await fs.promises.unlink(path.join(postUploadsDir, path.basename(filename)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Failed to delete post attachment ${filename}:`, error.message);
+      }
+    }
+  }));
+};
+
+/**
+ * Verify and write photos to disk, each as a full size WebP plus a thumbnail
+ * Nothing is written unless every file is an image.
+ * @param {Array} files - Files held in memory by multer
+ * @param {string} dir - Upload directory
+ * @param {string} prefix - File name prefix, e.g. 'listing'
+ * @returns {Promise<Array>} { filename, thumbnail, originalName, size } entries
+ */
+const savePhotos = async (files, dir, prefix) => {
+  const rejected = files.find(file => {
+    const fileType = detectFileType(file.buffer);
+    return !fileType || fileType.type !== 'image';
+  });
+  if (rejected) {
+    const error = new Error(`"${rejected.originalname}" is not a JPEG, PNG, GIF or WebP image`);
+    error.code = 'INVALID_FILE_TYPE';
+    throw error;
+  }
+
+  const photos = [];
+  try {
+    for (const file of files) {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      const { full, thumb } = await renderImageSizes(file.buffer, detectFileType(file.buffer).ext === '.gif');
+
+      const photo = {
+        filename: `${prefix}-${uniqueSuffix}.webp`,
+        thumbnail: `${prefix}-${uniqueSuffix}-thumb.webp`,
+        originalName: path.basename(file.originalname).substring(0, 255),
+        size: full.length
+      };
+      photos.push(photo);
+      await fs.promises.writeFile(path.join(dir, photo.filename), full);
+      await fs.promises.writeFile(path.join(dir, photo.thumbnail), thumb);
+    }
+  } catch (error) {
+    await deletePhotos(photos, dir);
+    throw error;
+  }
+
+  return photos;
+};
+
+/**
+ * Remove photos written by `savePhotos`
+ * @param {Array} photos - Photo entries
+ * @param {string} dir - Upload directory
+ */
+const deletePhotos = async (photos, dir) => {
+  const filenames = photos.flatMap(photo => [photo.filename, photo.thumbnail]);
+
+  await Promise.all(filenames.map(async (filename) => {
+    try {
+      // basename guards against anything odd stored in the filename
+      await fs.promises.unlink(path.join(dir, path.basename(filename)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Failed to delete photo ${filename}:`, error.message);
+      }
+    }
+  }));
+};
+
+/**
+ * Verify and write marketplace listing photos to disk
+ * @param {Array} files - Files from `uploadListingPhotos`
+ * @returns {Promise<Array>} Entries for `Listing.photos`
+ */
+const saveListingPhotos = (files = []) => savePhotos(files, listingUploadsDir, 'listing');
+
+/**
+ * Remove marketplace listing photos from disk
+ * @param {Array} photos - `Listing.photos` entries
+ */
+const deleteListingPhotos = (photos = []) => deletePhotos(photos, listingUploadsDir);
+
+/**
+ * Verify and write a lost & found report photo to disk
+ * @param {Object} [file] - File from `uploadLostFoundPhoto`
+ * @returns {Promise<Object|null>} Entry for `LostFoundReport.photo`
+ */
+const saveLostFoundPhoto = async (file) => {
+  if (!file) {
+    return null;
+  }
+  const [photo] = await savePhotos([file], lostFoundUploadsDir, 'lostfound');
+  return photo;
+};
+
+/**
+ * Remove lost & found report photos from disk
+ * @param {Array} photos - `LostFoundReport.photo` entries
+ */
+const deleteLostFoundPhotos = (photos = []) => deletePhotos(photos.filter(Boolean), lostFoundUploadsDir);
+
+/**
+ * Verify and write housing listing photos to disk
+ * @param {Array} files - Files from `uploadHousingPhotos`
+ * @returns {Promise<Array>} Entries for `HousingListing.photos`
+ */
+const saveHousingPhotos = (files = []) => savePhotos(files, housingUploadsDir, 'housing');
+
+/**
+ * Remove housing listing photos from disk
+ * @param {Array} photos - `HousingListing.photos` entries
+ */
+const deleteHousingPhotos = (photos = []) => deletePhotos(photos, housingUploadsDir);
+
+/**
+ * Verify and write a club avatar to disk
+ * @param {Object} [file] - File from `uploadClubAvatar`
+ * @returns {Promise<Object|null>} Entry for `Club.avatar`
+ */
+const saveClubAvatar = async (file) => {
+  if (!file) {
+    return null;
+  }
+  const [avatar] = await savePhotos([file], clubUploadsDir, 'club');
+  return avatar;
+};
+
+/**
+ * Remove club avatars from disk
+ * @param {Array} avatars - `Club.avatar` entries
+ */
+const deleteClubAvatars = (avatars = []) => deletePhotos(avatars.filter(Boolean), clubUploadsDir);
+
 module.exports = {
   uploadAvatar,
   uploadAvatarTemp,
-  saveTempAvatarToDisk
+  saveTempAvatarToDisk,
+  uploadPostMedia,
+  savePostMedia,
+  deletePostMedia,
+  uploadListingPhotos,
+  saveListingPhotos,
+  deleteListingPhotos,
+  uploadLostFoundPhoto,
+  saveLostFoundPhoto,
+  deleteLostFoundPhotos,
+  uploadHousingPhotos,
+  saveHousingPhotos,
+  deleteHousingPhotos,
+  uploadClubAvatar,
+  saveClubAvatar,
+  deleteClubAvatars,
+  saveAvatarImage,
+  deleteAvatarImages,
+  getAvatarFilename,
+  detectFileType,
+  AVATAR_SIZES,
+  MAX_POST_ATTACHMENTS,
+  MAX_LISTING_PHOTOS,
+  MAX_HOUSING_PHOTOS
 };
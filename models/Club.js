@@ -0,0 +1,318 @@
+/**
+ * Club Model - UConnect
+ * Handles student clubs, their members and roles, and join requests
+ */
+
+const mongoose = require('mongoose');
+const avatarGenerator = require('../services/avatarGenerator');
+
+const CLUB_ROLES = ['owner', 'officer', 'member'];
+const CLUB_ROLE_LABELS = {
+  owner: 'Owner',
+  officer: 'Officer',
+  member: 'Member'
+};
+
+// Open clubs take anyone straight away; approval clubs wait for an officer
+const JOIN_POLICIES = ['open', 'approval'];
+const JOIN_POLICY_LABELS = {
+  open: 'Anyone can join',
+  approval: 'Officers approve new members'
+};
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: CLUB_ROLES,
+    default: 'member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const joinRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const clubSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Club name is required'],
+    trim: true,
+    maxlength: [60, 'Club name cannot exceed 60 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+
+  // Uploaded logo; clubs without one get a generated avatar
+  avatar: {
+    type: {
+      filename: String,
+      thumbnail: String,
+      originalName: String,
+      size: Number
+    },
+    default: null
+  },
+
+  // Campus context
+  campus: {
+    type: String,
+    required: true
+  },
+
+  joinPolicy: {
+    type: String,
+    enum: JOIN_POLICIES,
+    default: 'open'
+  },
+
+  // Exactly one member is the owner
+  members: [memberSchema],
+
+  joinRequests: [joinRequestSchema],
+
+  // Kept in step with members on save, so clubs can be sorted by size
+  memberCount: {
+    type: Number,
+    default: 0
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  // Two officers approving the same request at once must not both go through
+  optimisticConcurrency: true
+});
+
+// Indexes for performance
+// Club names are unique on a campus, ignoring case
+clubSchema.index({ campus: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+clubSchema.index({ campus: 1, memberCount: -1 });
+clubSchema.index({ 'members.user': 1 });
+clubSchema.index({ name: 'text', description: 'text' });
+
+// Virtual for the club avatar URL
+clubSchema.virtual('avatarUrl').get(function() {
+  if (this.avatar && this.avatar.thumbnail) {
+    return `/uploads/clubs/${this.avatar.thumbnail}`;
+  }
+  return avatarGenerator.getUrl(`club-${this._id}`, 'shapes');
+});
+
+// Virtual for the member who owns the club
+clubSchema.virtual('owner').get(function() {
+  return (this.members || []).find(member => member.role === 'owner') || null;
+});
+
+// Pre-save middleware to keep the member count in step
+clubSchema.pre('save', function(next) {
+  this.memberCount = this.members.length;
+  next();
+});
+
+const sameUser = (entry, userId) => (entry.user._id || entry.user).toString() === userId.toString();
+
+// Take a user's entry out of a members or joinRequests array
+const removeEntry = (entries, userId) => {
+  const index = entries.findIndex(entry => sameUser(entry, userId));
+  if (index > -1) {
+    entries.splice(index, 1);
+  }
+};
+
+// Instance method to get a user's membership, if any
+clubSchema.methods.getMember = function(userId) {
+  return this.members.find(member => sameUser(member, userId)) || null;
+};
+
+// Instance method to get a user's role, or null for non-members
+clubSchema.methods.getRole = function(userId) {
+  const member = this.getMember(userId);
+  return member ? member.role : null;
+};
+
+// Instance method to check whether a user runs the club
+clubSchema.methods.isOfficer = function(userId) {
+  return ['owner', 'officer'].includes(this.getRole(userId));
+};
+
+// Instance method to get a user's pending join request, if any
+clubSchema.methods.getJoinRequest = function(userId) {
+  return this.joinRequests.find(request => sameUser(request, userId)) || null;
+};
+
+// Instance method to join or ask to join
+// Returns { error } or { joined } where joined is false while the request waits for approval
+clubSchema.methods.join = function(userId, message = '') {
+  if (this.getMember(userId)) {
+    return { error: 'You are already a member of this club' };
+  }
+  if (this.getJoinRequest(userId)) {
+    return { error: 'You already asked to join this club' };
+  }
+
+  if (this.joinPolicy === 'open') {
+    this.members.push({ user: userId, role: 'member' });
+    return { joined: true };
+  }
+  this.joinRequests.push({ user: userId, message });
+  return { joined: false };
+};
+
+// Instance method to approve or decline a join request, returns an error message or null
+clubSchema.methods.respondToJoinRequest = function(userId, approve) {
+  if (!this.getJoinRequest(userId)) {
+    return 'That join request is no longer pending';
+  }
+
+  removeEntry(this.joinRequests, userId);
+  if (approve && !this.getMember(userId)) {
+    this.members.push({ user: userId, role: 'member' });
+  }
+  return null;
+};
+
+// Instance method to leave the club or withdraw a join request, returns an error message or null
+clubSchema.methods.leave = function(userId) {
+  const member = this.getMember(userId);
+  if (member && member.role === 'owner') {
+    return 'Hand the club over to another officer before leaving';
+  }
+
+  const request = this.getJoinRequest(userId);
+  if (!member && !request) {
+    return 'You are not a member of this club';
+  }
+
+  removeEntry(member ? this.members : this.joinRequests, userId);
+  return null;
+};
+
+// Instance method to change a member's role, returns an error message or null
+// Making someone the owner hands the club over and turns the old owner into an officer
+clubSchema.methods.setRole = function(userId, role) {
+  const member = this.getMember(userId);
+  if (!member) {
+    return 'That person is not a member of this club';
+  }
+  if (member.role === 'owner') {
+    return 'The owner must hand the club over before changing their role';
+  }
+
+  if (role === 'owner') {
+    this.owner.role = 'officer';
+  }
+  member.role = role;
+  return null;
+};
+
+// Instance method to remove a member, returns an error message or null
+clubSchema.methods.removeMember = function(userId) {
+  const member = this.getMember(userId);
+  if (!member) {
+    return 'That person is not a member of this club';
+  }
+  if (member.role === 'owner') {
+    return 'The owner cannot be removed';
+  }
+
+  removeEntry(this.members, userId);
+  return null;
+};
+
+// Static method to browse clubs on a campus, biggest first
+clubSchema.statics.browse = function(campus, { search } = {}, limit = 24, skip = 0) {
+  const query = { campus: campus };
+  if (search) {
+    query.$text = { $search: search };
+  }
+
+  return this.find(query)
+    .sort({ memberCount: -1, name: 1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+// Static method to get clubs a user belongs to
+clubSchema.statics.getForUser = function(userId) {
+  return this.find({ 'members.user': userId })
+    .sort({ name: 1 });
+};
+
+// Static method to get clubs a user can post as
+clubSchema.statics.getManagedBy = function(userId) {
+  return this.find({
+    members: { $elemMatch: { user: userId, role: { $in: ['owner', 'officer'] } } }
+  })
+  .select('name avatar campus')
+  .sort({ name: 1 });
+};
+
+// Static method to take a deleted user out of every club
+// Owned clubs pass to the longest-serving officer, then member; clubs left empty are returned for deletion
+clubSchema.statics.removeUser = async function(userId) {
+  const clubs = await this.find({
+    $or: [{ 'members.user': userId }, { 'joinRequests.user': userId }]
+  });
+
+  const emptyClubs = [];
+  for (const club of clubs) {
+    const member = club.getMember(userId);
+    removeEntry(club.joinRequests, userId);
+    if (member) {
+      removeEntry(club.members, userId);
+      if (member.role === 'owner') {
+        const successor = [...club.members]
+          .sort((a, b) => (a.role === 'officer' ? 0 : 1) - (b.role === 'officer' ? 0 : 1) || a.joinedAt - b.joinedAt)[0];
+        if (!successor) {
+          emptyClubs.push(club);
+          continue;
+        }
+        successor.role = 'owner';
+      }
+    }
+    await club.save();
+  }
+  return emptyClubs;
+};
+
+module.exports = mongoose.model('Club', clubSchema);
+module.exports.CLUB_ROLES = CLUB_ROLES;
+module.exports.CLUB_ROLE_LABELS = CLUB_ROLE_LABELS;
+module.exports.JOIN_POLICIES = JOIN_POLICIES;
+module.exports.JOIN_POLICY_LABELS = JOIN_POLICY_LABELS;
@@ -0,0 +1,215 @@
+/**
+ * Comment Model - UConnect
+ * Handles comments on posts, one-level reply threads and comment likes
+ */
+
+const mongoose = require('mongoose');
+const sanitizeHtml = require('sanitize-html');
+const mentionService = require('../services/mentionService');
+const { mentionSchema } = require('../services/mentionService');
+
+const AUTHOR_FIELDS = 'displayName username email avatarHash avatarSeed avatarStyle avatarType';
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Copied from the post so search can stay on one campus
+  campus: {
+    type: String,
+    required: true
+  },
+
+  content: {
+    type: String,
+    required: [true, 'Comment content is required'],
+    maxlength: [500, 'Comment cannot exceed 500 characters'],
+    set: function(content) {
+      // Sanitize HTML content
+      return sanitizeHtml(content, {
+        allowedTags: [],
+        allowedAttributes: {}
+      });
+    }
+  },
+
+  // Same-campus, active users mentioned in content
+  mentions: [mentionSchema],
+
+  // Top-level comment this replies to; replies are only one level deep
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+
+  likes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  editedAt: {
+    type: Date,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+commentSchema.index({ post: 1, parent: 1, _id: 1 });
+commentSchema.index({ post: 1, createdAt: -1 });
+commentSchema.index({ author: 1, createdAt: -1 });
+commentSchema.index({ content: 'text' }, { name: 'comment_text_search' });
+
+// Virtual for like count
+commentSchema.virtual('likeCount').get(function() {
+  return this.likes ? this.likes.length : 0;
+});
+
+// Virtual for content as HTML, with mention links
+commentSchema.virtual('contentHtml').get(function() {
+  return mentionService.link(this.content || '', this.mentions);
+});
+
+// Pre-save middleware to resolve @mentions in new or edited content
+commentSchema.pre('save', async function() {
+  if (this.isModified('content')) {
+    this.mentions = await mentionService.resolve(this.content, this.campus);
+  }
+});
+
+// Instance method to check if user has liked the comment
+commentSchema.methods.isLikedBy = function(userId) {
+  return this.likes.some(like => like.user.toString() === userId.toString());
+};
+
+// Instance method to like or unlike the comment, returns whether it is now liked
+commentSchema.methods.toggleLike = function(userId) {
+  const likeIndex = this.likes.findIndex(like => like.user.toString() === userId.toString());
+  if (likeIndex > -1) {
+    this.likes.splice(likeIndex, 1);
+    return false;
+  }
+  this.likes.push({ user: userId });
+  return true;
+};
+
+// Static method to get a page of top-level comments with their replies, oldest first
+// Pass the nextCursor of one page as `after` to get the following page
+commentSchema.statics.getThreadPage = async function(postId, { after = null, limit = 20 } = {}) {
+  const query = { post: postId, parent: null };
+  if (after && mongoose.isValidObjectId(after)) {
+    query._id = { $gt: after };
+  }
+
+  // One extra tells us whether another page exists
+  const topLevel = await this.find(query)
+    .populate('author', AUTHOR_FIELDS)
+    .sort({ _id: 1 })
+    .limit(limit + 1);
+  const hasMore = topLevel.length > limit;
+  const comments = topLevel.slice(0, limit);
+
+  const replies = await this.find({ post: postId, parent: { $in: comments.map(comment => comment._id) } })
+    .populate('author', AUTHOR_FIELDS)
+    .sort({ _id: 1 });
+
+  const threads = comments.map(comment => ({
+    comment,
+    replies: replies.filter(reply => reply.parent.toString() === comment._id.toString())
+  }));
+
+  return {
+    threads,
+    nextCursor: hasMore ? comments[comments.length - 1]._id : null
+  };
+};
+
+// Static method to get the latest top-level comments for several posts at once
+// Returns an object keyed by post id, for the feed's comment preview
+// One limited query per post walks the { post, parent, _id } index and stops after perPost,
+// however many comments a post has
+commentSchema.statics.getPreviews = async function(postIds, perPost = 2) {
+  const latest = await Promise.all(postIds.map(postId =>
+    this.find({ post: postId, parent: null })
+      .sort({ _id: -1 })
+      .limit(perPost)
+  ));
+
+  const comments = latest.flatMap(postComments => postComments.reverse());
+  await this.populate(comments, { path: 'author', select: AUTHOR_FIELDS });
+
+  return comments.reduce((previews, comment) => {
+    const postId = comment.post.toString();
+    (previews[postId] = previews[postId] || []).push(comment);
+    return previews;
+  }, {});
+};
+
+// Text matches on a campus, leaving out comments on removed posts
+const searchStages = (campus, query) => [
+  { $match: { campus: campus, $text: { $search: query } } },
+  {
+    $lookup: {
+      from: 'posts',
+      let: { postId: '$post' },
+      pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$postId'] } } }, { $project: { isActive: 1 } }],
+      as: 'postState'
+    }
+  },
+  { $match: { 'postState.isActive': true } }
+];
+
+// Static method to search comments on a campus, best matches first
+commentSchema.statics.search = async function(campus, query, limit = 20, skip = 0) {
+  const results = await this.aggregate([
+    ...searchStages(campus, query),
+    { $addFields: { score: { $meta: 'textScore' } } },
+    { $sort: { score: -1, createdAt: -1 } },
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { postState: 0, score: 0 } }
+  ]);
+
+  const comments = results.map(comment => this.hydrate(comment));
+  await this.populate(comments, [
+    { path: 'author', select: AUTHOR_FIELDS },
+    { path: 'post', select: 'author content createdAt', populate: { path: 'author', select: AUTHOR_FIELDS } }
+  ]);
+  return comments;
+};
+
+// Static method to count search matches for paging
+commentSchema.statics.countSearch = async function(campus, query) {
+  const [result] = await this.aggregate([...searchStages(campus, query), { $count: 'total' }]);
+  return result ? result.total : 0;
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
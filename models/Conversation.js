@@ -0,0 +1,110 @@
+/**
+ * Conversation Model - UConnect
+ * Handles direct message threads between two students
+ */
+
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  participants: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    validate: {
+      validator: function(participants) {
+        return participants.length === 2;
+      },
+      message: 'A conversation must have exactly two participants'
+    }
+  },
+
+  // Both participant ids, sorted, so a pair can only ever have one conversation
+  participantsKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Campus context - conversations never cross campuses
+  campus: {
+    type: String,
+    required: true
+  },
+
+  lastMessage: {
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    content: {
+      type: String,
+      default: ''
+    },
+    createdAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+conversationSchema.index({ participants: 1, updatedAt: -1 });
+
+// Order-independent key for a pair of users
+const getParticipantsKey = (userId, otherUserId) => [userId.toString(), otherUserId.toString()].sort().join(':');
+
+// Instance method to check if a user takes part in the conversation
+conversationSchema.methods.hasParticipant = function(userId) {
+  return this.participants.some(participant =>
+    (participant._id || participant).toString() === userId.toString()
+  );
+};
+
+// Instance method to get the other participant
+conversationSchema.methods.getOtherParticipant = function(userId) {
+  return this.participants.find(participant =>
+    (participant._id || participant).toString() !== userId.toString()
+  );
+};
+
+// Static method to find the conversation between two users
+conversationSchema.statics.findBetween = function(userId, otherUserId) {
+  return this.findOne({ participantsKey: getParticipantsKey(userId, otherUserId) });
+};
+
+// Static method to get the conversation between two users, starting one if needed
+// A single upsert on the unique key, so two first messages sent at once share one conversation
+conversationSchema.statics.findOrCreateBetween = function(userId, otherUserId, campus) {
+  return this.findOneAndUpdate(
+    { participantsKey: getParticipantsKey(userId, otherUserId) },
+    { $setOnInsert: { participants: [userId, otherUserId], campus: campus } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to get a user's inbox, most recent first
+conversationSchema.statics.getInbox = function(userId, limit = 50) {
+  return this.find({
+    participants: userId,
+    'lastMessage.createdAt': { $ne: null }
+  })
+  .populate('participants', 'displayName username email avatarHash avatarSeed avatarStyle avatarType isActive')
+  .sort({ 'lastMessage.createdAt': -1 })
+  .limit(limit);
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
+module.exports.getParticipantsKey = getParticipantsKey;
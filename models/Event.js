@@ -0,0 +1,309 @@
+/**
+ * Event Model - UConnect
+ * Handles campus events, RSVPs and the waitlist once an event is full
+ */
+
+const mongoose = require('mongoose');
+
+const ORGANIZER_FIELDS = 'displayName username email avatarHash avatarSeed avatarStyle avatarType';
+// Check-in tokens keep working for a while after the event ends, for late scans at the door
+const CHECK_IN_GRACE_MS = 2 * 60 * 60 * 1000;
+
+const rsvpSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Waitlisted RSVPs move up to going, oldest first, when a spot frees up
+  status: {
+    type: String,
+    enum: ['going', 'waitlist'],
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when the organizer scans the attendee's ticket
+  checkedInAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const eventSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Event title is required'],
+    trim: true,
+    maxlength: [120, 'Event title cannot exceed 120 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Event description cannot exceed 2000 characters'],
+    default: ''
+  },
+
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+
+  endsAt: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(endsAt) {
+        return !this.startsAt || endsAt > this.startsAt;
+      },
+      message: 'Event must end after it starts'
+    }
+  },
+
+  location: {
+    type: String,
+    required: [true, 'Location is required'],
+    trim: true,
+    maxlength: [200, 'Location cannot exceed 200 characters']
+  },
+
+  // Maximum number of people going; null means no limit
+  capacity: {
+    type: Number,
+    min: [1, 'Capacity must be at least 1'],
+    default: null
+  },
+
+  campus: {
+    type: String,
+    required: true
+  },
+
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  rsvps: [rsvpSchema],
+
+  // Cancelled events stay around so RSVP'd calendars can show them as cancelled
+  isCancelled: {
+    type: Boolean,
+    default: false
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  // Two people taking the last spot at once must not both get it
+  optimisticConcurrency: true
+});
+
+// Indexes for performance
+eventSchema.index({ campus: 1, startsAt: 1 });
+eventSchema.index({ organizer: 1, startsAt: -1 });
+eventSchema.index({ 'rsvps.user': 1, startsAt: 1 });
+
+// Virtual for the number of people going
+eventSchema.virtual('goingCount').get(function() {
+  return this.rsvps ? this.rsvps.filter(rsvp => rsvp.status === 'going').length : 0;
+});
+
+// Virtual for the number of people on the waitlist
+eventSchema.virtual('waitlistCount').get(function() {
+  return this.rsvps ? this.rsvps.filter(rsvp => rsvp.status === 'waitlist').length : 0;
+});
+
+// Virtual for spots left, null when the event has no capacity limit
+eventSchema.virtual('spotsLeft').get(function() {
+  return this.capacity ? Math.max(0, this.capacity - this.goingCount) : null;
+});
+
+// Virtual for the number of people checked in
+eventSchema.virtual('checkedInCount').get(function() {
+  return this.rsvps ? this.rsvps.filter(rsvp => rsvp.checkedInAt).length : 0;
+});
+
+// Virtual for whether the event has already ended
+eventSchema.virtual('hasEnded').get(function() {
+  return this.endsAt < new Date();
+});
+
+// Instance method to check whether a user organizes the event
+// The organizer populates to null once their account is gone
+eventSchema.methods.isOrganizer = function(userId) {
+  if (!this.organizer) {
+    return false;
+  }
+  const organizerId = this.organizer._id || this.organizer;
+  return organizerId.toString() === userId.toString();
+};
+
+// Instance method to get a user's RSVP, if any
+eventSchema.methods.getRsvp = function(userId) {
+  return this.rsvps.find(rsvp => rsvp.user.toString() === userId.toString()) || null;
+};
+
+// Instance method to get a user's place on the waitlist, starting at 1
+eventSchema.methods.getWaitlistPosition = function(userId) {
+  const waitlist = this.rsvps.filter(rsvp => rsvp.status === 'waitlist');
+  const index = waitlist.findIndex(rsvp => rsvp.user.toString() === userId.toString());
+  return index > -1 ? index + 1 : null;
+};
+
+// Instance method to RSVP, returns 'going' or 'waitlist'
+eventSchema.methods.addRsvp = function(userId) {
+  const existing = this.getRsvp(userId);
+  if (existing) {
+    return existing.status;
+  }
+
+  const status = this.capacity && this.goingCount >= this.capacity ? 'waitlist' : 'going';
+  this.rsvps.push({ user: userId, status });
+  return status;
+};
+
+// Instance method to withdraw an RSVP
+// Returns the ids of waitlisted users who moved up to going
+eventSchema.methods.removeRsvp = function(userId) {
+  const index = this.rsvps.findIndex(rsvp => rsvp.user.toString() === userId.toString());
+  if (index === -1) {
+    return [];
+  }
+
+  this.rsvps.splice(index, 1);
+  return this.promoteWaitlist();
+};
+
+// Instance method to fill free spots from the waitlist, oldest RSVP first
+// Returns the ids of users who moved up to going
+eventSchema.methods.promoteWaitlist = function() {
+  const promoted = [];
+  const waitlist = this.rsvps
+    .filter(rsvp => rsvp.status === 'waitlist')
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  for (const rsvp of waitlist) {
+    if (this.capacity && this.goingCount >= this.capacity) {
+      break;
+    }
+    rsvp.status = 'going';
+    promoted.push(rsvp.user);
+  }
+
+  return promoted;
+};
+
+// Instance method to generate a signed check-in token for an attendee's ticket
+eventSchema.methods.generateCheckInToken = function(userId) {
+  const jwt = require('jsonwebtoken');
+  const payload = {
+    eventId: this._id,
+    userId: userId,
+    type: 'event_check_in',
+    // Expires with the event, so a screenshot can't be reused for a later one
+    exp: Math.floor((this.endsAt.getTime() + CHECK_IN_GRACE_MS) / 1000)
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET || 'fallback-secret');
+};
+
+// Instance method to record a check-in
+// Returns 'checked_in', 'duplicate' or 'not_going'
+eventSchema.methods.checkIn = function(userId) {
+  const rsvp = this.getRsvp(userId);
+  if (!rsvp || rsvp.status !== 'going') {
+    return 'not_going';
+  }
+  if (rsvp.checkedInAt) {
+    return 'duplicate';
+  }
+
+  rsvp.checkedInAt = new Date();
+  return 'checked_in';
+};
+
+// Static method to verify a check-in token
+// Throws TokenExpiredError or JsonWebTokenError, like jwt.verify
+eventSchema.statics.verifyCheckInToken = function(token) {
+  const jwt = require('jsonwebtoken');
+  const payload = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+  if (payload.type !== 'event_check_in') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return { eventId: payload.eventId, userId: payload.userId };
+};
+
+// Instance method to check a scanned ticket against this event
+// Returns { userId } or { error } with a message for the check-in desk
+eventSchema.methods.readCheckInToken = function(token) {
+  try {
+    const { eventId, userId } = this.constructor.verifyCheckInToken(String(token || '').trim());
+    if (String(eventId) !== this._id.toString()) {
+      return { error: 'This ticket is for a different event' };
+    }
+    return { userId };
+  } catch (error) {
+    return { error: error.name === 'TokenExpiredError' ? 'This ticket has expired' : 'This ticket is not valid' };
+  }
+};
+
+// Static method to get upcoming and ongoing events on a campus, soonest first
+eventSchema.statics.getUpcoming = function(campus, limit = 20, skip = 0) {
+  return this.find({
+    campus: campus,
+    isCancelled: false,
+    endsAt: { $gte: new Date() }
+  })
+  .populate('organizer', ORGANIZER_FIELDS)
+  .sort({ startsAt: 1 })
+  .skip(skip)
+  .limit(limit);
+};
+
+// Static method to get events a user has RSVP'd to, soonest first
+eventSchema.statics.getForAttendee = function(userId, { from = null } = {}) {
+  const query = { 'rsvps.user': userId };
+  if (from) {
+    query.endsAt = { $gte: from };
+  }
+
+  return this.find(query)
+    .populate('organizer', ORGANIZER_FIELDS)
+    .sort({ startsAt: 1 });
+};
+
+// Static method to take a deleted user out of every event
+// Their own events are deleted; RSVPs elsewhere are withdrawn so the waitlist moves up
+// Returns [{ event, promoted }] for upcoming events where someone got a spot
+eventSchema.statics.removeUser = async function(userId) {
+  await this.deleteMany({ organizer: userId });
+
+  const events = await this.find({ 'rsvps.user': userId })
+    .populate('organizer', ORGANIZER_FIELDS);
+
+  const promotions = [];
+  for (const event of events) {
+    const promoted = event.removeRsvp(userId);
+    await event.save();
+    if (promoted.length > 0 && event.organizer && !event.isCancelled && !event.hasEnded) {
+      promotions.push({ event, promoted });
+    }
+  }
+  return promotions;
+};
+
+module.exports = mongoose.model('Event', eventSchema);
+module.exports.ORGANIZER_FIELDS = ORGANIZER_FIELDS;
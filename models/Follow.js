@@ -0,0 +1,148 @@
+/**
+ * Follow Model - UConnect
+ * Handles the follower/following graph between students
+ */
+
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for performance
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1 });
+
+// Static method to check if one user follows another
+followSchema.statics.isFollowing = async function(followerId, followingId) {
+  const edge = await this.exists({ follower: followerId, following: followingId });
+  return !!edge;
+};
+
+// Static method to follow a user, keeping both users' stats in sync
+followSchema.statics.follow = async function(followerId, followingId) {
+  const User = mongoose.model('User');
+
+  const result = await this.updateOne(
+    { follower: followerId, following: followingId },
+    { $setOnInsert: { createdAt: new Date() } },
+    { upsert: true }
+  );
+
+  // Already following - nothing changed
+  if (!result.upsertedCount) {
+    return false;
+  }
+
+  await User.updateOne({ _id: followerId }, { $inc: { 'stats.followingCount': 1 } });
+  await User.updateOne({ _id: followingId }, { $inc: { 'stats.followersCount': 1 } });
+  return true;
+};
+
+// Static method to unfollow a user, keeping both users' stats in sync
+followSchema.statics.unfollow = async function(followerId, followingId) {
+  const User = mongoose.model('User');
+
+  const result = await this.deleteOne({ follower: followerId, following: followingId });
+
+  if (!result.deletedCount) {
+    return false;
+  }
+
+  // Inactive accounts were already taken out of the counters on deactivation
+  if (await User.exists({ _id: followingId, isActive: true })) {
+    await User.updateOne({ _id: followerId }, { $inc: { 'stats.followingCount': -1 } });
+  }
+  if (await User.exists({ _id: followerId, isActive: true })) {
+    await User.updateOne({ _id: followingId }, { $inc: { 'stats.followersCount': -1 } });
+  }
+  return true;
+};
+
+// Static method to get the ids of users someone follows
+followSchema.statics.getFollowingIds = async function(userId) {
+  const edges = await this.find({ follower: userId }).select('following');
+  return edges.map(edge => edge.following);
+};
+
+// Static method to list active followers of a user
+followSchema.statics.getFollowers = async function(userId, limit = 50) {
+  const edges = await this.find({ following: userId })
+    .populate({
+      path: 'follower',
+      match: { isActive: true },
+      select: 'displayName username email avatarHash avatarSeed avatarStyle avatarType'
+    })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  return edges.map(edge => edge.follower).filter(Boolean);
+};
+
+// Static method to list active users someone follows
+followSchema.statics.getFollowing = async function(userId, limit = 50) {
+  const edges = await this.find({ follower: userId })
+    .populate({
+      path: 'following',
+      match: { isActive: true },
+      select: 'displayName username email avatarHash avatarSeed avatarStyle avatarType'
+    })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  return edges.map(edge => edge.following).filter(Boolean);
+};
+
+/**
+ * Adjust the counters of everyone connected to a user whose active status
+ * changed. Inactive accounts are not counted in anyone's stats, so
+ * deactivating subtracts them (delta -1) and reactivating adds them back (+1).
+ */
+followSchema.statics.adjustCountsForUser = async function(userId, delta) {
+  const User = mongoose.model('User');
+
+  const followingIds = await this.find({ follower: userId }).distinct('following');
+  const followerIds = await this.find({ following: userId }).distinct('follower');
+
+  if (followingIds.length > 0) {
+    await User.updateMany(
+      { _id: { $in: followingIds } },
+      { $inc: { 'stats.followersCount': delta } }
+    );
+  }
+
+  if (followerIds.length > 0) {
+    await User.updateMany(
+      { _id: { $in: followerIds } },
+      { $inc: { 'stats.followingCount': delta } }
+    );
+  }
+};
+
+// Static method to remove every edge of a deleted user
+followSchema.statics.removeUser = async function(userId, wasActive = true) {
+  if (wasActive) {
+    await this.adjustCountsForUser(userId, -1);
+  }
+
+  await this.deleteMany({
+    $or: [{ follower: userId }, { following: userId }]
+  });
+};
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,180 @@
+/**
+ * Housing Listing Model - UConnect
+ * Handles rooms and flats students list for rent near their campus
+ */
+
+const mongoose = require('mongoose');
+const { GENDER_PREFERENCES } = require('./RoommateProfile');
+
+const ROOM_TYPES = ['private_room', 'shared_room', 'studio', 'whole_flat'];
+const ROOM_TYPE_LABELS = {
+  private_room: 'Private room',
+  shared_room: 'Shared room',
+  studio: 'Studio',
+  whole_flat: 'Whole flat'
+};
+
+const HOUSING_STATUSES = ['open', 'taken'];
+
+// Contact details stay on the platform, so email is never populated
+const OWNER_FIELDS = 'displayName username avatarHash avatarSeed avatarStyle avatarType isActive campus privacy';
+
+const housingListingSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Listing title is required'],
+    trim: true,
+    maxlength: [100, 'Listing title cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Listing description cannot exceed 2000 characters'],
+    default: ''
+  },
+
+  roomType: {
+    type: String,
+    enum: ROOM_TYPES,
+    required: [true, 'Room type is required']
+  },
+
+  // Monthly rent in rupees
+  rent: {
+    type: Number,
+    required: [true, 'Rent is required'],
+    min: [0, 'Rent cannot be negative'],
+    max: [1000000, 'Rent is too high']
+  },
+
+  deposit: {
+    type: Number,
+    min: [0, 'Deposit cannot be negative'],
+    max: [10000000, 'Deposit is too high'],
+    default: 0
+  },
+
+  // Neighbourhood or street, e.g. "Near north gate"
+  area: {
+    type: String,
+    required: [true, 'Area is required'],
+    trim: true,
+    maxlength: [200, 'Area cannot exceed 200 characters']
+  },
+
+  availableFrom: {
+    type: Date,
+    required: [true, 'Available from date is required']
+  },
+
+  genderPreference: {
+    type: String,
+    enum: GENDER_PREFERENCES,
+    default: 'any'
+  },
+
+  furnished: {
+    type: Boolean,
+    default: false
+  },
+
+  photos: [{
+    filename: {
+      type: String,
+      required: true
+    },
+    thumbnail: {
+      type: String,
+      required: true
+    },
+    originalName: {
+      type: String,
+      required: true
+    },
+    size: {
+      type: Number,
+      required: true
+    }
+  }],
+
+  status: {
+    type: String,
+    enum: HOUSING_STATUSES,
+    default: 'open'
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  campus: {
+    type: String,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+housingListingSchema.index({ campus: 1, status: 1, createdAt: -1 });
+housingListingSchema.index({ campus: 1, status: 1, rent: 1 });
+housingListingSchema.index({ owner: 1, createdAt: -1 });
+
+// Virtual for the room type shown on listing cards
+housingListingSchema.virtual('roomTypeLabel').get(function() {
+  return ROOM_TYPE_LABELS[this.roomType] || this.roomType;
+});
+
+// Instance method to check whether a user posted the listing
+housingListingSchema.methods.isOwner = function(userId) {
+  const ownerId = this.owner._id || this.owner;
+  return ownerId.toString() === userId.toString();
+};
+
+// Static method to browse open listings on a campus
+housingListingSchema.statics.browse = function(campus, { roomType, maxRent, genderPreference, sort = 'newest' } = {}, limit = 24, skip = 0) {
+  const query = { campus: campus, status: 'open' };
+
+  if (roomType) {
+    query.roomType = roomType;
+  }
+  if (maxRent !== undefined) {
+    query.rent = { $lte: maxRent };
+  }
+  if (genderPreference && genderPreference !== 'any') {
+    // Listings open to anyone suit every preference
+    query.genderPreference = { $in: ['any', genderPreference] };
+  }
+
+  const sortBy = sort === 'rent_low' ? { rent: 1, createdAt: -1 } : { createdAt: -1 };
+
+  return this.find(query)
+    .populate('owner', OWNER_FIELDS)
+    .sort(sortBy)
+    .skip(skip)
+    .limit(limit);
+};
+
+// Static method to get an owner's listings, including taken ones
+housingListingSchema.statics.getForOwner = function(userId) {
+  return this.find({ owner: userId })
+    .sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('HousingListing', housingListingSchema);
+module.exports.ROOM_TYPES = ROOM_TYPES;
+module.exports.ROOM_TYPE_LABELS = ROOM_TYPE_LABELS;
+module.exports.HOUSING_STATUSES = HOUSING_STATUSES;
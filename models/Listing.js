@@ -0,0 +1,220 @@
+/**
+ * Listing Model - UConnect
+ * Handles marketplace listings for things students sell on their campus
+ */
+
+const mongoose = require('mongoose');
+
+const LISTING_CATEGORIES = ['textbooks', 'electronics', 'furniture', 'clothing', 'other'];
+const LISTING_CATEGORY_LABELS = {
+  textbooks: 'Textbooks',
+  electronics: 'Electronics',
+  furniture: 'Furniture',
+  clothing: 'Clothing',
+  other: 'Other'
+};
+
+const LISTING_CONDITIONS = ['new', 'like_new', 'good', 'fair', 'poor'];
+const LISTING_CONDITION_LABELS = {
+  new: 'New',
+  like_new: 'Like new',
+  good: 'Good',
+  fair: 'Fair',
+  poor: 'Poor'
+};
+
+const LISTING_STATUSES = ['available', 'reserved', 'sold'];
+
+// Listings drop out of the marketplace this many days after being posted or renewed
+const LISTING_EXPIRY_DAYS = parseInt(process.env.LISTING_EXPIRY_DAYS) || 30;
+
+const SELLER_FIELDS = 'displayName username email avatarHash avatarSeed avatarStyle avatarType';
+
+const listingSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Listing title is required'],
+    trim: true,
+    maxlength: [100, 'Listing title cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Listing description cannot exceed 2000 characters'],
+    default: ''
+  },
+
+  // Price in rupees; 0 means free
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative'],
+    max: [10000000, 'Price is too high']
+  },
+
+  condition: {
+    type: String,
+    enum: LISTING_CONDITIONS,
+    required: [true, 'Condition is required']
+  },
+
+  category: {
+    type: String,
+    enum: LISTING_CATEGORIES,
+    default: 'other'
+  },
+
+  photos: [{
+    filename: {
+      type: String,
+      required: true
+    },
+    thumbnail: {
+      type: String,
+      required: true
+    },
+    originalName: {
+      type: String,
+      required: true
+    },
+    size: {
+      type: Number,
+      required: true
+    }
+  }],
+
+  status: {
+    type: String,
+    enum: LISTING_STATUSES,
+    default: 'available'
+  },
+
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  campus: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + LISTING_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+  },
+
+  soldAt: {
+    type: Date,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+listingSchema.index({ campus: 1, status: 1, expiresAt: 1, createdAt: -1 });
+listingSchema.index({ campus: 1, category: 1, createdAt: -1 });
+listingSchema.index({ seller: 1, createdAt: -1 });
+listingSchema.index({ title: 'text', description: 'text' });
+
+// Virtual for the category shown on listing cards
+listingSchema.virtual('categoryLabel').get(function() {
+  return LISTING_CATEGORY_LABELS[this.category] || LISTING_CATEGORY_LABELS.other;
+});
+
+// Virtual for the condition shown on listing cards
+listingSchema.virtual('conditionLabel').get(function() {
+  return LISTING_CONDITION_LABELS[this.condition] || this.condition;
+});
+
+// Virtual for whether the listing has dropped out of the marketplace
+listingSchema.virtual('isExpired').get(function() {
+  return this.status !== 'sold' && this.expiresAt < new Date();
+});
+
+// Instance method to check whether a user is the seller
+listingSchema.methods.isSeller = function(userId) {
+  if (!this.seller) {
+    return false;
+  }
+  const sellerId = this.seller._id || this.seller;
+  return sellerId.toString() === userId.toString();
+};
+
+// Instance method to change the listing status
+listingSchema.methods.setStatus = function(status) {
+  this.status = status;
+  this.soldAt = status === 'sold' ? new Date() : null;
+};
+
+// Instance method to put an expired listing back in the marketplace
+listingSchema.methods.renew = function() {
+  this.expiresAt = new Date(Date.now() + LISTING_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Static method to browse unsold, unexpired listings on a campus
+listingSchema.statics.browse = function(campus, { category, condition, minPrice, maxPrice, search, sort = 'newest' } = {}, limit = 24, skip = 0) {
+  const query = {
+    campus: campus,
+    status: { $in: ['available', 'reserved'] },
+    expiresAt: { $gt: new Date() }
+  };
+
+  if (category) {
+    query.category = category;
+  }
+  if (condition) {
+    query.condition = condition;
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    query.price = {};
+    if (minPrice !== undefined) {
+      query.price.$gte = minPrice;
+    }
+    if (maxPrice !== undefined) {
+      query.price.$lte = maxPrice;
+    }
+  }
+  if (search) {
+    query.$text = { $search: search };
+  }
+
+  const sortBy = {
+    newest: { createdAt: -1 },
+    price_low: { price: 1, createdAt: -1 },
+    price_high: { price: -1, createdAt: -1 }
+  }[sort] || { createdAt: -1 };
+
+  return this.find(query)
+    .populate('seller', SELLER_FIELDS)
+    .sort(sortBy)
+    .skip(skip)
+    .limit(limit);
+};
+
+// Static method to get a seller's own listings, including sold and expired ones
+listingSchema.statics.getForSeller = function(userId) {
+  return this.find({ seller: userId })
+    .sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('Listing', listingSchema);
+module.exports.LISTING_CATEGORIES = LISTING_CATEGORIES;
+module.exports.LISTING_CATEGORY_LABELS = LISTING_CATEGORY_LABELS;
+module.exports.LISTING_CONDITIONS = LISTING_CONDITIONS;
+module.exports.LISTING_CONDITION_LABELS = LISTING_CONDITION_LABELS;
+module.exports.LISTING_STATUSES = LISTING_STATUSES;
+module.exports.LISTING_EXPIRY_DAYS = LISTING_EXPIRY_DAYS;
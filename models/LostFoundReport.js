@@ -0,0 +1,248 @@
+/**
+ * Lost & Found Report Model - UConnect
+ * Handles lost and found item reports and matching between the two
+ */
+
+const mongoose = require('mongoose');
+
+const REPORT_TYPES = ['lost', 'found'];
+
+const ITEM_CATEGORIES = ['electronics', 'id_cards', 'keys', 'wallets', 'bags', 'books', 'clothing', 'jewellery', 'other'];
+const ITEM_CATEGORY_LABELS = {
+  electronics: 'Electronics',
+  id_cards: 'ID Cards',
+  keys: 'Keys',
+  wallets: 'Wallets & Purses',
+  bags: 'Bags',
+  books: 'Books & Notes',
+  clothing: 'Clothing',
+  jewellery: 'Jewellery & Watches',
+  other: 'Other'
+};
+
+// Reports further apart than this are never suggested as a match
+const MATCH_WINDOW_DAYS = 14;
+// Minimum score from `scoreMatch` for a report to be suggested
+const MIN_MATCH_SCORE = 3;
+
+// Words too common to say anything about an item
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'near', 'from', 'this', 'that', 'was', 'has', 'have', 'had',
+  'lost', 'found', 'my', 'its', 'one', 'some', 'any', 'not', 'but', 'are', 'you', 'your',
+  'left', 'someone', 'please', 'today', 'yesterday', 'around', 'inside', 'outside'
+]);
+
+const REPORTER_FIELDS = 'displayName username email avatarHash avatarSeed avatarStyle avatarType isActive campus privacy';
+
+/**
+ * Pull the distinctive words out of a report, for matching
+ * @param {string} text - Title and description
+ * @returns {string[]} Unique lowercase keywords
+ */
+const extractKeywords = (text) => {
+  const words = String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  return [...new Set(words.filter(word => word.length >= 3 && !STOP_WORDS.has(word)))].slice(0, 50);
+};
+
+/**
+ * Score how likely a lost report and a found report are the same item
+ * Same category counts most, then shared keywords, then how close the dates are.
+ * @param {Object} a - Report
+ * @param {Object} b - Report of the opposite type
+ * @returns {number} 0 when they can't be the same item
+ */
+const scoreMatch = (a, b) => {
+  if (a.type === b.type) {
+    return 0;
+  }
+
+  const daysApart = Math.abs(a.date - b.date) / (24 * 60 * 60 * 1000);
+  if (daysApart > MATCH_WINDOW_DAYS) {
+    return 0;
+  }
+
+  const keywords = new Set(a.keywords);
+  const sharedKeywords = b.keywords.filter(keyword => keywords.has(keyword)).length;
+
+  const categoryScore = a.category === b.category ? 3 : 0;
+  const dateScore = daysApart <= 1 ? 1 : daysApart <= 3 ? 0.5 : 0;
+
+  return categoryScore + sharedKeywords * 1.5 + dateScore;
+};
+
+const lostFoundReportSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: REPORT_TYPES,
+    required: [true, 'Report type is required']
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true,
+    maxlength: [100, 'Item name cannot exceed 100 characters']
+  },
+
+  category: {
+    type: String,
+    enum: ITEM_CATEGORIES,
+    default: 'other'
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+
+  // When the item was lost or found
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+
+  // Where on campus, e.g. "Library, 2nd floor"
+  location: {
+    type: String,
+    required: [true, 'Location is required'],
+    trim: true,
+    maxlength: [200, 'Location cannot exceed 200 characters']
+  },
+
+  photo: {
+    type: {
+      filename: String,
+      thumbnail: String,
+      originalName: String,
+      size: Number
+    },
+    default: null
+  },
+
+  // Derived from the title and description for matching
+  keywords: [{
+    type: String
+  }],
+
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Campus context
+  campus: {
+    type: String,
+    required: true
+  },
+
+  // Resolved reports are archived and no longer matched
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+lostFoundReportSchema.index({ campus: 1, status: 1, type: 1, date: -1 });
+lostFoundReportSchema.index({ campus: 1, status: 1, keywords: 1 });
+lostFoundReportSchema.index({ reporter: 1, createdAt: -1 });
+
+// Virtual for the category shown on report cards
+lostFoundReportSchema.virtual('categoryLabel').get(function() {
+  return ITEM_CATEGORY_LABELS[this.category] || ITEM_CATEGORY_LABELS.other;
+});
+
+// Pre-save middleware to keep keywords in step with the text
+lostFoundReportSchema.pre('save', function(next) {
+  if (this.isModified('title') || this.isModified('description')) {
+    this.keywords = extractKeywords(`${this.title} ${this.description}`);
+  }
+  next();
+});
+
+// Instance method to check whether a user filed the report
+lostFoundReportSchema.methods.isReporter = function(userId) {
+  const reporterId = this.reporter._id || this.reporter;
+  return reporterId.toString() === userId.toString();
+};
+
+// Instance method to archive the report once the item is back with its owner
+lostFoundReportSchema.methods.resolve = function() {
+  this.status = 'resolved';
+  this.resolvedAt = new Date();
+};
+
+// Instance method to find likely matches among open reports of the opposite type
+// Returns [{ report, score }], best first
+lostFoundReportSchema.methods.findMatches = async function(limit = 5) {
+  const windowMs = MATCH_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const candidates = await this.constructor.find({
+    _id: { $ne: this._id },
+    campus: this.campus,
+    status: 'open',
+    type: this.type === 'lost' ? 'found' : 'lost',
+    date: {
+      $gte: new Date(this.date.getTime() - windowMs),
+      $lte: new Date(this.date.getTime() + windowMs)
+    },
+    $or: [
+      { category: this.category },
+      { keywords: { $in: this.keywords } }
+    ]
+  })
+  .populate('reporter', REPORTER_FIELDS)
+  .limit(200);
+
+  return candidates
+    .map(report => ({ report, score: scoreMatch(this, report) }))
+    .filter(match => match.score >= MIN_MATCH_SCORE)
+    .sort((a, b) => b.score - a.score || b.report.date - a.report.date)
+    .slice(0, limit);
+};
+
+// Static method to get reports on a campus board, newest first
+lostFoundReportSchema.statics.getBoard = function(campus, { type, category, status = 'open' } = {}, limit = 20, skip = 0) {
+  const query = { campus: campus, status: status };
+  if (type) {
+    query.type = type;
+  }
+  if (category) {
+    query.category = category;
+  }
+
+  return this.find(query)
+    .populate('reporter', REPORTER_FIELDS)
+    .sort(status === 'resolved' ? { resolvedAt: -1 } : { date: -1, createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+module.exports = mongoose.model('LostFoundReport', lostFoundReportSchema);
+module.exports.REPORT_TYPES = REPORT_TYPES;
+module.exports.ITEM_CATEGORIES = ITEM_CATEGORIES;
+module.exports.ITEM_CATEGORY_LABELS = ITEM_CATEGORY_LABELS;
+module.exports.MATCH_WINDOW_DAYS = MATCH_WINDOW_DAYS;
+module.exports.MIN_MATCH_SCORE = MIN_MATCH_SCORE;
+module.exports.extractKeywords = extractKeywords;
+module.exports.scoreMatch = scoreMatch;
@@ -0,0 +1,94 @@
+/**
+ * Message Model - UConnect
+ * Handles individual direct messages inside a conversation
+ */
+
+const mongoose = require('mongoose');
+const sanitizeHtml = require('sanitize-html');
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  content: {
+    type: String,
+    required: [true, 'Message content is required'],
+    maxlength: [1000, 'Message cannot exceed 1000 characters'],
+    set: function(content) {
+      // Sanitize HTML content
+      return sanitizeHtml(content, {
+        allowedTags: [],
+        allowedAttributes: {}
+      });
+    }
+  },
+
+  readAt: {
+    type: Date,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ recipient: 1, readAt: 1 });
+
+// Static method to get messages in a conversation, oldest first
+messageSchema.statics.getThread = async function(conversationId, limit = 100) {
+  const messages = await this.find({ conversation: conversationId })
+    .populate('sender', 'displayName username email avatarHash avatarSeed avatarStyle avatarType')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  return messages.reverse();
+};
+
+// Static method to mark every message sent to a user in a conversation as read
+messageSchema.statics.markThreadRead = function(conversationId, userId) {
+  return this.updateMany(
+    { conversation: conversationId, recipient: userId, readAt: null },
+    { readAt: new Date() }
+  );
+};
+
+// Static method to count a user's unread messages
+messageSchema.statics.countUnreadFor = function(userId) {
+  return this.countDocuments({ recipient: userId, readAt: null });
+};
+
+// Static method to count unread messages per conversation for a user
+messageSchema.statics.countUnreadByConversation = async function(userId) {
+  const counts = await this.aggregate([
+    { $match: { recipient: new mongoose.Types.ObjectId(userId), readAt: null } },
+    { $group: { _id: '$conversation', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((map, entry) => {
+    map[entry._id.toString()] = entry.count;
+    return map;
+  }, {});
+};
+
+module.exports = mongoose.model('Message', messageSchema);
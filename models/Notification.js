@@ -0,0 +1,103 @@
+/**
+ * Notification Model - UConnect
+ * Handles in-app notifications for activity on a user's content
+ */
+
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['like', 'comment', 'mention', 'event', 'lost_found', 'ride', 'club'],
+    required: true
+  },
+
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+
+  // Comment the activity was on, for comment likes and replies
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Where opening the notification goes, for activity on things other than posts
+  link: {
+    type: String,
+    default: null
+  },
+
+  message: {
+    type: String,
+    maxlength: 200,
+    default: ''
+  },
+
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+
+  readAt: {
+    type: Date,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+
+// Instance method to mark the notification as read
+notificationSchema.methods.markRead = function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+};
+
+// Static method to get a user's notifications, newest first
+notificationSchema.statics.getForUser = function(userId, limit = 20, skip = 0) {
+  return this.find({ recipient: userId })
+    .populate('actor', 'displayName username email avatarHash avatarSeed avatarStyle avatarType')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnreadFor = function(userId) {
+  return this.countDocuments({ recipient: userId, isRead: false });
+};
+
+// Static method to mark all of a user's notifications as read
+notificationSchema.statics.markAllRead = function(userId) {
+  return this.updateMany(
+    { recipient: userId, isRead: false },
+    { isRead: true, readAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,40 +1,60 @@
 /**
  * Post Model - UConnect
- * Handles posts, likes, and comments functionality
+ * Handles posts and likes; comments live in models/Comment.js
  */
 
 const mongoose = require('mongoose');
 const sanitizeHtml = require('sanitize-html');
-
-const commentSchema = new mongoose.Schema({
-  author: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  content: {
-    type: String,
-    required: [true, 'Comment content is required'],
-    maxlength: [500, 'Comment cannot exceed 500 characters'],
-    set: function(content) {
-      // Sanitize HTML content
-      return sanitizeHtml(content, {
-        allowedTags: [],
-        allowedAttributes: {}
-      });
+const mentionService = require('../services/mentionService');
+const { mentionSchema } = require('../services/mentionService');
+
+const MAX_HASHTAGS = 10;
+// "#" not preceded by a word character or "&", so HTML entities like &#39; are skipped
+const HASHTAG_PATTERN = /(^|[^\w&])#(\w*[a-zA-Z]\w*)/g;
+
+// Pull unique, lowercased hashtags out of post content
+const extractHashtags = (content) => {
+  const tags = new Set();
+  for (const match of String(content || '').matchAll(HASHTAG_PATTERN)) {
+    tags.add(match[2].toLowerCase().substring(0, 50));
+    if (tags.size >= MAX_HASHTAGS) {
+      break;
     }
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  },
-  updatedAt: {
-    type: Date,
-    default: Date.now
   }
-}, {
-  timestamps: true
-});
+  return [...tags];
+};
+
+// Categories a post can be filed under, with their display labels
+const POST_CATEGORIES = ['general', 'academics', 'events', 'sports', 'clubs', 'careers'];
+const CATEGORY_LABELS = {
+  general: 'General',
+  academics: 'Academics',
+  events: 'Events',
+  sports: 'Sports',
+  clubs: 'Clubs',
+  careers: 'Careers'
+};
+
+// How much each interaction counts towards a post's engagement score
+const ENGAGEMENT_WEIGHTS = {
+  like: 1,
+  comment: 2,
+  commentLike: 0.5,
+  ageHour: 0.1
+};
+
+// Weighted likes and comments, before any age penalty
+const calculateInteractionScore = ({ likes = 0, comments = 0, commentLikes = 0 }) =>
+  likes * ENGAGEMENT_WEIGHTS.like +
+  comments * ENGAGEMENT_WEIGHTS.comment +
+  commentLikes * ENGAGEMENT_WEIGHTS.commentLike;
+
+// Interaction score with an age penalty
+// The save hook and the engagement recompute job both use this, so the two always agree
+const calculateEngagementScore = (counts, createdAt, now = Date.now()) => {
+  const ageInHours = Math.max(0, now - createdAt) / (1000 * 60 * 60);
+  return calculateInteractionScore(counts) / (1 + ageInHours * ENGAGEMENT_WEIGHTS.ageHour);
+};
 
 const postSchema = new mongoose.Schema({
   author: {
@@ -56,6 +76,15 @@ const postSchema = new mongoose.Schema({
     }
   },
 
+  // Lowercased tags pulled from content on save, e.g. "#TechFest" -> "techfest"
+  hashtags: [{
+    type: String,
+    lowercase: true
+  }],
+
+  // Same-campus, active users mentioned in content
+  mentions: [mentionSchema],
+
   // For future image/media support
   media: [{
     type: {
@@ -67,6 +96,11 @@ const postSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    // Smaller copy shown in the feed (images only)
+    thumbnail: {
+      type: String,
+      default: null
+    },
     originalName: {
       type: String,
       required: true
@@ -89,7 +123,16 @@ const postSchema = new mongoose.Schema({
     }
   }],
 
-  comments: [commentSchema],
+  // Comments live in their own collection; these counters keep feeds cheap
+  commentCount: {
+    type: Number,
+    default: 0
+  },
+
+  commentLikeCount: {
+    type: Number,
+    default: 0
+  },
 
   // Post visibility and moderation
   isActive: {
@@ -128,12 +171,25 @@ const postSchema = new mongoose.Schema({
     }
   }],
 
+  // Club the post was published as, by one of its officers
+  club: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Club',
+    default: null
+  },
+
   // Campus context
   campus: {
     type: String,
     required: true
   },
 
+  category: {
+    type: String,
+    enum: POST_CATEGORIES,
+    default: 'general'
+  },
+
   // Engagement metrics
   engagementScore: {
     type: Number,
@@ -160,16 +216,22 @@ postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ campus: 1, createdAt: -1 });
 postSchema.index({ isActive: 1, createdAt: -1 });
 postSchema.index({ engagementScore: -1, createdAt: -1 });
+postSchema.index({ campus: 1, engagementScore: -1, _id: -1 });
 postSchema.index({ 'likes.user': 1 });
+postSchema.index({ campus: 1, hashtags: 1, createdAt: -1 });
+postSchema.index({ campus: 1, category: 1, createdAt: -1 });
+postSchema.index({ club: 1, createdAt: -1 });
+// Full-text search over post content
+postSchema.index({ content: 'text' }, { name: 'post_text_search' });
 
 // Virtual for like count
 postSchema.virtual('likeCount').get(function() {
   return this.likes ? this.likes.length : 0;
 });
 
-// Virtual for comment count
-postSchema.virtual('commentCount').get(function() {
-  return this.comments ? this.comments.length : 0;
+// Virtual for the category's display label
+postSchema.virtual('categoryLabel').get(function() {
+  return CATEGORY_LABELS[this.category] || CATEGORY_LABELS.general;
 });
 
 // Virtual for time since creation
@@ -186,23 +248,53 @@ postSchema.virtual('timeAgo').get(function() {
   return 'Just now';
 });
 
-// Pre-save middleware to calculate engagement score
+// Virtual for content as HTML, with line breaks, hashtag and mention links
+postSchema.virtual('contentHtml').get(function() {
+  const html = (this.content || '')
+    .replace(/\n/g, '<br>')
+    .replace(HASHTAG_PATTERN, (match, prefix, tag) =>
+      `${prefix}<a href="/posts/tag/${tag.toLowerCase()}" class="hashtag">#${tag}</a>`);
+  return mentionService.link(html, this.mentions);
+});
+
+// Pre-save middleware to keep hashtags in sync with content
 postSchema.pre('save', function(next) {
-  // Simple engagement score calculation
-  const likeWeight = 1;
-  const commentWeight = 2;
-  const ageWeight = 0.1;
+  if (this.isModified('content')) {
+    this.hashtags = extractHashtags(this.content);
+  }
+  next();
+});
 
-  const likes = this.likes ? this.likes.length : 0;
-  const comments = this.comments ? this.comments.length : 0;
-  const ageInHours = (Date.now() - this.createdAt) / (1000 * 60 * 60);
+// Pre-save middleware to resolve @mentions in new or edited content
+postSchema.pre('save', async function() {
+  if (this.isModified('content')) {
+    this.mentions = await mentionService.resolve(this.content, this.campus);
+  }
+});
 
-  this.engagementScore = (likes * likeWeight + comments * commentWeight) / (1 + ageInHours * ageWeight);
+// Pre-save middleware to calculate engagement score
+postSchema.pre('save', function(next) {
+  this.engagementScore = calculateEngagementScore(this.getEngagementCounts(), this.createdAt);
   this.updatedAt = new Date();
 
   next();
 });
 
+// Instance method to get the interaction counts engagement is scored from
+postSchema.methods.getEngagementCounts = function() {
+  return {
+    likes: this.likes ? this.likes.length : 0,
+    // Replies are comments too
+    comments: this.commentCount || 0,
+    commentLikes: this.commentLikeCount || 0
+  };
+};
+
+// Instance method to weigh likes and comments, before any age penalty
+postSchema.methods.getInteractionScore = function() {
+  return calculateInteractionScore(this.getEngagementCounts());
+};
+
 // Instance method to check if user has liked the post
 postSchema.methods.isLikedBy = function(userId) {
   return this.likes.some(like => like.user.toString() === userId.toString());
@@ -227,14 +319,6 @@ postSchema.methods.removeLike = function(userId) {
   return false;
 };
 
-// Instance method to add a comment
-postSchema.methods.addComment = function(userId, content) {
-  this.comments.push({
-    author: userId,
-    content: content
-  });
-};
-
 // Instance method to add a report
 postSchema.methods.addReport = function(reporterId, reason, description = '') {
   // Check if user has already reported this post
@@ -260,44 +344,105 @@ postSchema.methods.addReport = function(reporterId, reason, description = '') {
   return false;
 };
 
+// Static method to score a post from its counts, for code that never loads the full document
+postSchema.statics.calculateEngagementScore = calculateEngagementScore;
+
 // Static method to get trending posts
-postSchema.statics.getTrending = function(campus, limit = 10) {
+postSchema.statics.getTrending = function(campus, limit = 10, skip = 0) {
   return this.find({
     campus: campus,
     isActive: true,
     createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } // Last 7 days
   })
-  .populate('author', 'displayName username email avatar avatarSeed avatarType')
-  .sort({ engagementScore: -1 })
+  .populate('author', 'displayName username email avatarHash avatarSeed avatarStyle avatarType')
+  .populate('club', 'name avatar')
+  .sort({ engagementScore: -1, _id: -1 })
+  .skip(skip)
   .limit(limit);
 };
 
-// Static method to get recent posts
-postSchema.statics.getRecent = function(campus, limit = 20, skip = 0) {
+// Static method to get one page of active posts, highest sortField first
+// `after` is the sort value and id of the last post on the previous page
+postSchema.statics.getFeedPage = function(query, { sortField = 'createdAt', after = null, limit = 20 } = {}) {
+  const conditions = { ...query, isActive: true };
+  if (after) {
+    // Ties on the sort value fall back to _id, so no post is skipped or repeated
+    conditions.$or = [
+      { [sortField]: { $lt: after.value } },
+      { [sortField]: after.value, _id: { $lt: after.id } }
+    ];
+  }
+
+  return this.find(conditions)
+    .populate('author', 'displayName username email avatarHash avatarSeed avatarStyle avatarType')
+    .populate('club', 'name avatar')
+    .sort({ [sortField]: -1, _id: -1 })
+    .limit(limit);
+};
+
+// Static method to get the most used hashtags on a campus in the last 7 days
+postSchema.statics.getTrendingTags = function(campus, limit = 10) {
+  return this.aggregate([
+    {
+      $match: {
+        campus: campus,
+        isActive: true,
+        createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }, // Last 7 days
+        'hashtags.0': { $exists: true }
+      }
+    },
+    { $unwind: '$hashtags' },
+    { $group: { _id: '$hashtags', count: { $sum: 1 }, lastUsed: { $max: '$createdAt' } } },
+    { $sort: { count: -1, lastUsed: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', count: 1 } }
+  ]);
+};
+
+// Static method to get posts by user
+postSchema.statics.getByUser = function(userId, limit = 20, skip = 0) {
   return this.find({
-    campus: campus,
+    author: userId,
     isActive: true
   })
-  .populate('author', 'displayName username email avatar avatarSeed avatarType')
-  .populate('comments.author', 'displayName username email avatar avatarSeed avatarType')
+  .populate('author', 'displayName username email avatarHash avatarSeed avatarStyle avatarType')
+  .populate('club', 'name avatar')
   .sort({ createdAt: -1 })
   .skip(skip)
   .limit(limit);
 };
 
-// Static method to get posts by user
-postSchema.statics.getByUser = function(userId, limit = 20, skip = 0) {
+// Static method to get recent posts published as a club
+postSchema.statics.getByClub = function(clubId, limit = 20, skip = 0) {
   return this.find({
-    author: userId,
+    club: clubId,
     isActive: true
   })
-  .populate('author', 'displayName username email avatar avatarSeed avatarType')
-  .populate('comments.author', 'displayName username email avatar avatarSeed avatarType')
+  .populate('author', 'displayName username email avatarHash avatarSeed avatarStyle avatarType')
+  .populate('club', 'name avatar')
   .sort({ createdAt: -1 })
   .skip(skip)
   .limit(limit);
 };
 
+// Static method to search posts on a campus, best matches first
+postSchema.statics.search = function(campus, query, limit = 20, skip = 0) {
+  return this.find(
+    { campus: campus, isActive: true, $text: { $search: query } },
+    { score: { $meta: 'textScore' } }
+  )
+  .populate('author', 'displayName username email avatarHash avatarSeed avatarStyle avatarType')
+  .populate('club', 'name avatar')
+  .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+  .skip(skip)
+  .limit(limit);
+};
+
+// Static method to count search matches for paging
+postSchema.statics.countSearch = function(campus, query) {
+  return this.countDocuments({ campus: campus, isActive: true, $text: { $search: query } });
+};
+
 // Static method to get reported posts for admin
 postSchema.statics.getReported = function() {
   return this.find({
@@ -308,4 +453,6 @@ postSchema.statics.getReported = function() {
   .sort({ reportCount: -1, createdAt: -1 });
 };
 
-module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
+module.exports = mongoose.model('Post', postSchema);
+module.exports.POST_CATEGORIES = POST_CATEGORIES;
+module.exports.CATEGORY_LABELS = CATEGORY_LABELS;
\ No newline at end of file
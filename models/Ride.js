@@ -0,0 +1,258 @@
+/**
+ * Ride Model - UConnect
+ * Handles ride offers and ride requests, with join requests the owner approves
+ */
+
+const mongoose = require('mongoose');
+
+const RIDE_TYPES = ['offer', 'request'];
+const MAX_RIDE_SEATS = 8;
+
+const OWNER_FIELDS = 'displayName username email avatarHash avatarSeed avatarStyle avatarType';
+
+const joinRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Seats the rider wants; a driver answering a ride request takes the whole request
+  seats: {
+    type: Number,
+    min: 1,
+    max: MAX_RIDE_SEATS,
+    default: 1
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'declined'],
+    default: 'pending'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const rideSchema = new mongoose.Schema({
+  // An offer has a driver with spare seats; a request is someone looking for a ride
+  type: {
+    type: String,
+    enum: RIDE_TYPES,
+    required: [true, 'Ride type is required']
+  },
+
+  origin: {
+    type: String,
+    required: [true, 'Starting point is required'],
+    trim: true,
+    maxlength: [100, 'Starting point cannot exceed 100 characters']
+  },
+
+  destination: {
+    type: String,
+    required: [true, 'Destination is required'],
+    trim: true,
+    maxlength: [100, 'Destination cannot exceed 100 characters']
+  },
+
+  departsAt: {
+    type: Date,
+    required: [true, 'Departure time is required']
+  },
+
+  // Seats offered to passengers, or seats needed for a request
+  seats: {
+    type: Number,
+    required: [true, 'Number of seats is required'],
+    min: [1, 'At least one seat is required'],
+    max: [MAX_RIDE_SEATS, `No more than ${MAX_RIDE_SEATS} seats`]
+  },
+
+  // Whole-trip cost in rupees, split between everyone in the car
+  totalCost: {
+    type: Number,
+    min: [0, 'Cost cannot be negative'],
+    max: [100000, 'Cost is too high'],
+    default: 0
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Campus context
+  campus: {
+    type: String,
+    required: true
+  },
+
+  joinRequests: [joinRequestSchema],
+
+  isCancelled: {
+    type: Boolean,
+    default: false
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  // Two approvals for the last seat at once must not both go through
+  optimisticConcurrency: true
+});
+
+// Indexes for performance
+rideSchema.index({ campus: 1, isCancelled: 1, departsAt: 1 });
+rideSchema.index({ owner: 1, departsAt: -1 });
+rideSchema.index({ 'joinRequests.user': 1, departsAt: -1 });
+
+// Virtual for seats taken by approved join requests
+rideSchema.virtual('seatsTaken').get(function() {
+  return (this.joinRequests || [])
+    .filter(request => request.status === 'approved')
+    .reduce((total, request) => total + request.seats, 0);
+});
+
+// Virtual for seats still open; a request is filled once a driver is approved
+rideSchema.virtual('seatsLeft').get(function() {
+  if (this.type === 'request') {
+    return this.seatsTaken > 0 ? 0 : this.seats;
+  }
+  return Math.max(0, this.seats - this.seatsTaken);
+});
+
+// Virtual for each person's share of the cost with everyone who has a seat so far
+rideSchema.virtual('costShare').get(function() {
+  if (!this.totalCost) {
+    return 0;
+  }
+  // The driver pays a share too
+  const people = (this.type === 'offer' ? this.seatsTaken : this.seats) + 1;
+  return Math.ceil(this.totalCost / people);
+});
+
+// Virtual for whether the ride has already left
+rideSchema.virtual('hasDeparted').get(function() {
+  return this.departsAt < new Date();
+});
+
+// Instance method to check whether a user posted the ride
+rideSchema.methods.isOwner = function(userId) {
+  const ownerId = this.owner._id || this.owner;
+  return ownerId.toString() === userId.toString();
+};
+
+// Instance method to get a user's join request, if any
+rideSchema.methods.getJoinRequest = function(userId) {
+  return this.joinRequests.find(request => (request.user._id || request.user).toString() === userId.toString()) || null;
+};
+
+// Instance method to ask to join, returns an error message or null
+rideSchema.methods.requestToJoin = function(userId, { seats = 1, message = '' } = {}) {
+  if (this.isOwner(userId)) {
+    return 'This is your own ride';
+  }
+  const existing = this.getJoinRequest(userId);
+  if (existing && existing.status !== 'declined') {
+    return 'You already asked to join this ride';
+  }
+  // Drivers answering a request take the whole request
+  const wanted = this.type === 'request' ? this.seats : seats;
+  if (wanted > this.seatsLeft) {
+    return this.seatsLeft > 0 ? `Only ${this.seatsLeft} ${this.seatsLeft === 1 ? 'seat is' : 'seats are'} left` : 'This ride is full';
+  }
+
+  if (existing) {
+    existing.set({ seats: wanted, message, status: 'pending', createdAt: new Date() });
+  } else {
+    this.joinRequests.push({ user: userId, seats: wanted, message });
+  }
+  return null;
+};
+
+// Instance method to approve or decline a pending join request, returns an error message or null
+rideSchema.methods.respondToJoinRequest = function(userId, approve) {
+  const request = this.getJoinRequest(userId);
+  if (!request || request.status !== 'pending') {
+    return 'That join request is no longer pending';
+  }
+  if (approve && request.seats > this.seatsLeft) {
+    return 'There are not enough seats left to approve this request';
+  }
+
+  request.status = approve ? 'approved' : 'declined';
+  return null;
+};
+
+// Instance method to withdraw a join request, returns the removed request
+rideSchema.methods.leave = function(userId) {
+  const index = this.joinRequests.findIndex(request => (request.user._id || request.user).toString() === userId.toString());
+  return index > -1 ? this.joinRequests.splice(index, 1)[0] : null;
+};
+
+// Static method to search rides that haven't left yet on a campus, soonest first
+rideSchema.statics.search = function(campus, { type, destination, date } = {}, limit = 20, skip = 0) {
+  const query = {
+    campus: campus,
+    isCancelled: false,
+    departsAt: { $gte: new Date() }
+  };
+
+  if (type) {
+    query.type = type;
+  }
+  if (destination) {
+    const escaped = destination.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.destination = { $regex: escaped, $options: 'i' };
+  }
+  if (date) {
+    // Whole day in server time, never earlier than now
+    const dayStart = new Date(date);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    query.departsAt = { $gte: new Date(Math.max(dayStart.getTime(), Date.now())), $lt: dayEnd };
+  }
+
+  return this.find(query)
+    .populate('owner', OWNER_FIELDS)
+    .sort({ departsAt: 1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+// Static method to get upcoming rides a user posted or asked to join
+rideSchema.statics.getForUser = function(userId) {
+  return this.find({
+    $or: [{ owner: userId }, { 'joinRequests.user': userId }],
+    departsAt: { $gte: new Date() }
+  })
+  .populate('owner', OWNER_FIELDS)
+  .sort({ departsAt: 1 });
+};
+
+module.exports = mongoose.model('Ride', rideSchema);
+module.exports.RIDE_TYPES = RIDE_TYPES;
+module.exports.MAX_RIDE_SEATS = MAX_RIDE_SEATS;
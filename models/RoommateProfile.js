@@ -0,0 +1,261 @@
+/**
+ * Roommate Profile Model - UConnect
+ * Handles roommate-wanted profiles and how compatible two of them are
+ */
+
+const mongoose = require('mongoose');
+
+const GENDERS = ['female', 'male', 'non_binary', 'unspecified'];
+const GENDER_LABELS = {
+  female: 'Woman',
+  male: 'Man',
+  non_binary: 'Non-binary',
+  unspecified: 'Prefer not to say'
+};
+
+// Who someone is happy to live with; also used by housing listings
+const GENDER_PREFERENCES = ['any', 'female', 'male'];
+const GENDER_PREFERENCE_LABELS = {
+  any: 'Anyone',
+  female: 'Women only',
+  male: 'Men only'
+};
+
+const SLEEP_SCHEDULES = ['early_bird', 'flexible', 'night_owl'];
+const SLEEP_SCHEDULE_LABELS = {
+  early_bird: 'Early bird',
+  flexible: 'Flexible',
+  night_owl: 'Night owl'
+};
+
+// Habits are ordered from one end of the scale to the other, so closeness can be scored
+const CLEANLINESS_LEVELS = ['relaxed', 'tidy', 'very_tidy'];
+const CLEANLINESS_LABELS = {
+  relaxed: 'Relaxed',
+  tidy: 'Tidy',
+  very_tidy: 'Very tidy'
+};
+
+const GUEST_FREQUENCIES = ['rarely', 'sometimes', 'often'];
+const GUEST_FREQUENCY_LABELS = {
+  rarely: 'Rarely has guests',
+  sometimes: 'Guests sometimes',
+  often: 'Guests often'
+};
+
+const SMOKING_HABITS = ['no', 'outside', 'yes'];
+const SMOKING_HABIT_LABELS = {
+  no: 'Non-smoker',
+  outside: 'Smokes outside only',
+  yes: 'Smoker'
+};
+
+const PROFILE_USER_FIELDS = 'displayName username avatarHash avatarSeed avatarStyle avatarType isActive campus privacy';
+
+/**
+ * Check whether someone's gender preference accepts another person
+ * @param {string} preference - One of GENDER_PREFERENCES
+ * @param {string} gender - One of GENDERS
+ * @returns {boolean}
+ */
+const acceptsGender = (preference, gender) => preference === 'any' || preference === gender;
+
+// Points for two values on the same ordered scale: full marks when equal, none at opposite ends
+const scoreScale = (scale, a, b, points) => {
+  const distance = Math.abs(scale.indexOf(a) - scale.indexOf(b));
+  return points * (1 - distance / (scale.length - 1));
+};
+
+/**
+ * Score how well two roommate profiles fit, out of 100
+ * Budget overlap is worth 30, move-in dates 20, sleep schedules 20 and habits 30.
+ * @param {Object} a - Profile
+ * @param {Object} b - Profile
+ * @returns {number} 0 when either person's gender preference rules the other out
+ */
+const scoreCompatibility = (a, b) => {
+  if (!acceptsGender(a.genderPreference, b.gender) || !acceptsGender(b.genderPreference, a.gender)) {
+    return 0;
+  }
+
+  // Overlapping budgets score in full; a gap costs points in proportion to its size
+  const budgetGap = Math.max(a.budgetMin, b.budgetMin) - Math.min(a.budgetMax, b.budgetMax);
+  const budgetScore = budgetGap <= 0
+    ? 30
+    : 30 * Math.max(0, 1 - budgetGap / Math.max(a.budgetMax, b.budgetMax, 1) * 2);
+
+  const daysApart = Math.abs(a.moveInDate - b.moveInDate) / (24 * 60 * 60 * 1000);
+  const moveInScore = daysApart <= 14 ? 20 : daysApart <= 45 ? 10 : 0;
+
+  // Flexible sleepers get on with either, but early birds and night owls don't
+  const sleepScore = scoreScale(SLEEP_SCHEDULES, a.sleepSchedule, b.sleepSchedule, 20);
+
+  const habitScore = scoreScale(CLEANLINESS_LEVELS, a.cleanliness, b.cleanliness, 12) +
+    scoreScale(GUEST_FREQUENCIES, a.guests, b.guests, 8) +
+    scoreScale(SMOKING_HABITS, a.smoking, b.smoking, 10);
+
+  return Math.round(budgetScore + moveInScore + sleepScore + habitScore);
+};
+
+const roommateProfileSchema = new mongoose.Schema({
+  // One profile per person
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+
+  // Campus context
+  campus: {
+    type: String,
+    required: true
+  },
+
+  // Monthly rent range in rupees
+  budgetMin: {
+    type: Number,
+    required: [true, 'Minimum budget is required'],
+    min: [0, 'Budget cannot be negative'],
+    max: [1000000, 'Budget is too high']
+  },
+
+  budgetMax: {
+    type: Number,
+    required: [true, 'Maximum budget is required'],
+    min: [0, 'Budget cannot be negative'],
+    max: [1000000, 'Budget is too high']
+  },
+
+  moveInDate: {
+    type: Date,
+    required: [true, 'Move-in date is required']
+  },
+
+  gender: {
+    type: String,
+    enum: GENDERS,
+    default: 'unspecified'
+  },
+
+  genderPreference: {
+    type: String,
+    enum: GENDER_PREFERENCES,
+    default: 'any'
+  },
+
+  sleepSchedule: {
+    type: String,
+    enum: SLEEP_SCHEDULES,
+    default: 'flexible'
+  },
+
+  cleanliness: {
+    type: String,
+    enum: CLEANLINESS_LEVELS,
+    default: 'tidy'
+  },
+
+  guests: {
+    type: String,
+    enum: GUEST_FREQUENCIES,
+    default: 'sometimes'
+  },
+
+  smoking: {
+    type: String,
+    enum: SMOKING_HABITS,
+    default: 'no'
+  },
+
+  // Neighbourhood or hostel the person would like to live in
+  preferredArea: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Preferred area cannot exceed 100 characters'],
+    default: ''
+  },
+
+  about: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'About cannot exceed 500 characters'],
+    default: ''
+  },
+
+  // Hidden from the board once the person has found somewhere
+  isLooking: {
+    type: Boolean,
+    default: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+roommateProfileSchema.index({ campus: 1, isLooking: 1, updatedAt: -1 });
+
+// Virtual for the budget shown on profile cards
+roommateProfileSchema.virtual('budgetLabel').get(function() {
+  return `₹${this.budgetMin.toLocaleString('en-IN')} - ₹${this.budgetMax.toLocaleString('en-IN')}`;
+});
+
+// Instance method to check whether a user owns the profile
+roommateProfileSchema.methods.isOwner = function(userId) {
+  const ownerId = this.user._id || this.user;
+  return ownerId.toString() === userId.toString();
+};
+
+// Instance method to score other looking profiles on the same campus
+// Returns [{ profile, score }], best first, leaving out anyone ruled out entirely
+roommateProfileSchema.methods.findMatches = async function() {
+  const candidates = await this.constructor.find({
+    _id: { $ne: this._id },
+    campus: this.campus,
+    isLooking: true
+  })
+  .populate('user', PROFILE_USER_FIELDS)
+  .sort({ updatedAt: -1 })
+  .limit(200);
+
+  return candidates
+    .filter(profile => profile.user && profile.user.isActive)
+    .map(profile => ({ profile, score: scoreCompatibility(this, profile) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || b.profile.updatedAt - a.profile.updatedAt);
+};
+
+// Static method to get looking profiles on a campus, most recently updated first
+roommateProfileSchema.statics.getBoard = function(campus, limit = 20, skip = 0) {
+  return this.find({ campus: campus, isLooking: true })
+    .populate('user', PROFILE_USER_FIELDS)
+    .sort({ updatedAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+module.exports = mongoose.model('RoommateProfile', roommateProfileSchema);
+module.exports.GENDERS = GENDERS;
+module.exports.GENDER_LABELS = GENDER_LABELS;
+module.exports.GENDER_PREFERENCES = GENDER_PREFERENCES;
+module.exports.GENDER_PREFERENCE_LABELS = GENDER_PREFERENCE_LABELS;
+module.exports.SLEEP_SCHEDULES = SLEEP_SCHEDULES;
+module.exports.SLEEP_SCHEDULE_LABELS = SLEEP_SCHEDULE_LABELS;
+module.exports.CLEANLINESS_LEVELS = CLEANLINESS_LEVELS;
+module.exports.CLEANLINESS_LABELS = CLEANLINESS_LABELS;
+module.exports.GUEST_FREQUENCIES = GUEST_FREQUENCIES;
+module.exports.GUEST_FREQUENCY_LABELS = GUEST_FREQUENCY_LABELS;
+module.exports.SMOKING_HABITS = SMOKING_HABITS;
+module.exports.SMOKING_HABIT_LABELS = SMOKING_HABIT_LABELS;
+module.exports.acceptsGender = acceptsGender;
+module.exports.scoreCompatibility = scoreCompatibility;
@@ -6,6 +6,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const avatarGenerator = require('../services/avatarGenerator');
+const { AVATAR_STYLES, DEFAULT_AVATAR_STYLE } = require('../services/avatarGenerator');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -67,11 +69,18 @@ const userSchema = new mongoose.Schema({
     }
   },
 
+  // Legacy inline avatar - superseded by avatarHash, see scripts/migrateAvatars.js
   avatar: {
-    data: Buffer, // For uploaded images
+    data: Buffer,
     contentType: String
   },
 
+  // Content hash of the uploaded avatar files in public/uploads/avatars
+  avatarHash: {
+    type: String,
+    default: null
+  },
+
   avatarSeed: {
     type: String,
     default: function() {
@@ -85,6 +94,13 @@ const userSchema = new mongoose.Schema({
     default: 'api'
   },
 
+  // Drawing style for generated avatars served from /avatars
+  avatarStyle: {
+    type: String,
+    enum: AVATAR_STYLES,
+    default: DEFAULT_AVATAR_STYLE
+  },
+
   bio: {
     type: String,
     maxlength: [200, 'Bio cannot exceed 200 characters'],
@@ -116,6 +132,12 @@ const userSchema = new mongoose.Schema({
     default: null
   },
 
+  // Bumped to sign out every existing session, e.g. after a password reset
+  sessionVersion: {
+    type: Number,
+    default: 0
+  },
+
   role: {
     type: String,
     enum: ['student', 'admin'],
@@ -168,9 +190,16 @@ const userSchema = new mongoose.Schema({
     newPosts: { type: Boolean, default: true },
     likes: { type: Boolean, default: true },
     comments: { type: Boolean, default: true },
+    mentions: { type: Boolean, default: true },
     weeklyDigest: { type: Boolean, default: true }
   },
 
+  // When the last weekly digest email went out
+  lastDigestSentAt: {
+    type: Date,
+    default: null
+  },
+
   // Account creation and updates
   createdAt: {
     type: Date,
@@ -198,6 +227,11 @@ userSchema.index({ email: 1 });
 userSchema.index({ campus: 1 });
 userSchema.index({ isVerified: 1 });
 userSchema.index({ createdAt: -1 });
+// Full-text search over names for people search
+userSchema.index(
+  { displayName: 'text', username: 'text' },
+  { name: 'user_text_search' }
+);
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -255,19 +289,87 @@ userSchema.methods.generateJWTVerificationToken = function() {
   return token;
 };
 
+// Password reset tokens are only ever stored hashed
+const hashPasswordResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // Instance method to generate password reset token
+// Returns the raw token for the email link; only its hash is saved
 userSchema.methods.generatePasswordResetToken = function() {
   const token = crypto.randomBytes(32).toString('hex');
-  this.resetPasswordToken = token;
+  this.resetPasswordToken = hashPasswordResetToken(token);
   this.resetPasswordExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
   return token;
 };
 
+// Instance method to set a new password from a reset link
+userSchema.methods.resetPassword = function(newPassword) {
+  this.password = newPassword;
+  // Single use - the link stops working once the password changes
+  this.resetPasswordToken = null;
+  this.resetPasswordExpires = null;
+  // Sign out everywhere, including whoever may have had the old password
+  this.sessionVersion = (this.sessionVersion || 0) + 1;
+};
+
+// Static method to find the user an unexpired password reset token belongs to
+userSchema.statics.findByPasswordResetToken = function(token) {
+  if (!token || typeof token !== 'string') {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({
+    resetPasswordToken: hashPasswordResetToken(token),
+    resetPasswordExpires: { $gt: new Date() }
+  });
+};
+
+// Instance method to generate a one-click digest unsubscribe token
+userSchema.methods.generateDigestUnsubscribeToken = function() {
+  const jwt = require('jsonwebtoken');
+  const payload = {
+    userId: this._id,
+    type: 'digest_unsubscribe'
+  };
+
+  // Long-lived so links in older digests keep working
+  return jwt.sign(payload, process.env.JWT_SECRET || 'fallback-secret', {
+    expiresIn: '90d'
+  });
+};
+
+// Static method to resolve a digest unsubscribe token to a user id
+userSchema.statics.verifyDigestUnsubscribeToken = function(token) {
+  const jwt = require('jsonwebtoken');
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+    return payload.type === 'digest_unsubscribe' ? payload.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 // Static method to find users by campus
 userSchema.statics.findByCampus = function(campus) {
   return this.find({ campus: campus, isVerified: true, isActive: true });
 };
 
+// Static method to search active, verified users on a campus by name
+userSchema.statics.search = function(campus, query, limit = 20, skip = 0) {
+  return this.find(
+    { campus: campus, isVerified: true, isActive: true, $text: { $search: query } },
+    { score: { $meta: 'textScore' } }
+  )
+  .select('displayName username email avatarHash avatarSeed avatarStyle avatarType bio stats createdAt')
+  .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+  .skip(skip)
+  .limit(limit);
+};
+
+// Static method to count search matches for paging
+userSchema.statics.countSearch = function(campus, query) {
+  return this.countDocuments({ campus: campus, isVerified: true, isActive: true, $text: { $search: query } });
+};
+
 // Static method to get user statistics
 userSchema.statics.getStats = async function() {
   const stats = await this.aggregate([
@@ -284,18 +386,26 @@ userSchema.statics.getStats = async function() {
   return stats[0] || { totalUsers: 0, verifiedUsers: 0, activeUsers: 0 };
 };
 
-// Virtual for avatar URL
-userSchema.virtual('avatarUrl').get(function() {
-  if (this.avatar && this.avatar.data && this.avatarType === 'upload') {
-    // Return base64 data URL for uploaded images
+// Instance method to get the avatar URL at one of the fixed sizes (sm, md, lg)
+userSchema.methods.getAvatarUrl = function(size = 'md') {
+  if (this.avatarType === 'upload' && this.avatarHash) {
+    // Content-hashed file name, so browsers can cache it indefinitely
+    return `/uploads/avatars/avatar-${this._id}-${this.avatarHash}-${size}.webp`;
+  } else if (this.avatar && this.avatar.data && this.avatarType === 'upload') {
+    // Not yet migrated to files
     return `data:${this.avatar.contentType};base64,${this.avatar.data.toString('base64')}`;
   } else if (this.avatarSeed && this.avatarType === 'api') {
-    // Return API-generated avatar
-    return `https://api.dicebear.com/9.x/adventurer/svg?seed=${this.avatarSeed}`;
+    // Return locally generated avatar
+    return avatarGenerator.getUrl(this.avatarSeed, this.avatarStyle);
   }
-  // Generate a default API avatar based on username or email
-  const seed = this.username || this.email.split('@')[0] || 'default';
-  return `https://api.dicebear.com/9.x/adventurer/svg?seed=${seed}`;
+  // Generate a default avatar based on username or email
+  const seed = this.username || (this.email && this.email.split('@')[0]) || 'default';
+  return avatarGenerator.getUrl(seed, this.avatarStyle);
+};
+
+// Virtual for avatar URL
+userSchema.virtual('avatarUrl').get(function() {
+  return this.getAvatarUrl('md');
 });
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -142,7 +142,7 @@ window.updateAvatarPreview = function() {
       return;
     }
 
-    const avatarUrl = `https://api.dicebear.com/9.x/adventurer/svg?seed=${encodeURIComponent(currentAvatarSeed)}`;
+    const avatarUrl = `/avatars/${encodeURIComponent(currentAvatarSeed || 'default')}.svg?style=face`;
     console.log('Updating avatar preview with URL:', avatarUrl);
 
     avatarPreview.src = avatarUrl;
@@ -0,0 +1,81 @@
+/**
+ * Feed JavaScript - UConnect
+ * Loads the next page of posts as the reader nears the end of the feed
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    const link = document.getElementById('loadMorePosts');
+    const list = document.querySelector('.posts-list');
+    if (!link || !list || !window.fetch) {
+        return;
+    }
+
+    const container = link.parentElement;
+    let isLoading = false;
+
+    function setStatus(text) {
+        link.textContent = text;
+    }
+
+    function appendPosts(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        // Trending pages can overlap when scores change between requests
+        template.content.querySelectorAll('.post-card').forEach(card => {
+            if (!list.querySelector('[data-post-id="' + card.dataset.postId + '"]')) {
+                list.appendChild(card);
+            }
+        });
+    }
+
+    async function loadMore() {
+        if (isLoading) {
+            return;
+        }
+        isLoading = true;
+        setStatus('Loading...');
+
+        try {
+            const response = await fetch(link.href, {
+                headers: { 'Accept': 'application/json' },
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.message);
+            }
+
+            appendPosts(data.html);
+
+            if (!data.nextCursor) {
+                observer.disconnect();
+                container.remove();
+                return;
+            }
+
+            const next = new URL(link.href, window.location.origin);
+            next.searchParams.set('cursor', data.nextCursor);
+            link.href = next.toString();
+            setStatus('Load More Posts');
+        } catch (error) {
+            // Leave the link in place so the reader can retry by hand
+            setStatus('Could not load posts - try again');
+        } finally {
+            isLoading = false;
+        }
+    }
+
+    link.addEventListener('click', function(event) {
+        event.preventDefault();
+        loadMore();
+    });
+
+    // Start loading a little before the link scrolls into view
+    const observer = new IntersectionObserver(function(entries) {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadMore();
+        }
+    }, { rootMargin: '600px 0px' });
+    observer.observe(container);
+});
@@ -0,0 +1,166 @@
+/**
+ * Realtime JavaScript - UConnect
+ * Listens to the live event stream and updates the feed in place
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    if (!window.EventSource) {
+        return;
+    }
+
+    const source = new EventSource('/realtime/stream');
+    let newPostCount = 0;
+
+    function findPostCards(postId) {
+        return document.querySelectorAll('[data-post-id="' + postId + '"]');
+    }
+
+    function showToast(message) {
+        let container = document.getElementById('realtimeToasts');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'realtimeToasts';
+            container.className = 'realtime-toasts';
+            document.body.appendChild(container);
+        }
+
+        const toast = document.createElement('div');
+        toast.className = 'realtime-toast';
+        toast.textContent = message;
+        container.appendChild(toast);
+        setTimeout(() => toast.remove(), 5000);
+    }
+
+    function parse(event) {
+        try {
+            return JSON.parse(event.data);
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Offer to reload instead of shifting the feed
+    function showNewPostsBanner() {
+        const banner = document.getElementById('newPostsBanner');
+        if (!banner) {
+            return;
+        }
+
+        newPostCount++;
+        banner.textContent = newPostCount === 1
+            ? '1 new post - click to refresh'
+            : newPostCount + ' new posts - click to refresh';
+        banner.classList.add('show');
+    }
+
+    // New post on your campus
+    source.addEventListener('post:new', showNewPostsBanner);
+
+    // Post put back by a moderator - its card was removed, so it comes back on refresh
+    source.addEventListener('post:restored', function(event) {
+        const data = parse(event);
+        if (findPostCards(data.postId).length === 0) {
+            showNewPostsBanner();
+        }
+    });
+
+    // Like or comment counts changed on a post
+    source.addEventListener('post:updated', function(event) {
+        const data = parse(event);
+        findPostCards(data.postId).forEach(card => {
+            const likeCount = card.querySelector('.like-count');
+            const commentCount = card.querySelector('.comment-count');
+            if (likeCount && typeof data.likeCount === 'number') {
+                likeCount.textContent = data.likeCount;
+            }
+            if (commentCount && typeof data.commentCount === 'number') {
+                commentCount.textContent = data.commentCount;
+            }
+        });
+    });
+
+    // Post deleted by its author or removed by a moderator
+    source.addEventListener('post:removed', function(event) {
+        const data = parse(event);
+        findPostCards(data.postId).forEach(card => card.remove());
+    });
+
+    // Likes, comments and other activity on your content
+    source.addEventListener('notification', function(event) {
+        const data = parse(event);
+        if (data.message) {
+            showToast('🔔 ' + data.message);
+        }
+
+        // Keep the navbar notification badge in sync
+        const link = document.getElementById('notificationsLink');
+        if (!link || typeof data.unreadCount !== 'number') {
+            return;
+        }
+
+        let badge = link.querySelector('.nav-badge');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'nav-badge';
+            link.appendChild(badge);
+        }
+        badge.textContent = data.unreadCount > 99 ? '99+' : data.unreadCount;
+    });
+
+    source.addEventListener('moderation', function(event) {
+        const data = parse(event);
+        showToast('🛡️ ' + data.message);
+    });
+
+    // Logged out, deactivated or password reset elsewhere - stop listening
+    source.addEventListener('session:ended', function() {
+        source.close();
+    });
+
+    const banner = document.getElementById('newPostsBanner');
+    if (banner) {
+        banner.addEventListener('click', function() {
+            window.location.reload();
+        });
+    }
+});
+
+// Add CSS for live updates
+const realtimeStyle = document.createElement('style');
+realtimeStyle.textContent = `
+    .new-posts-banner {
+        display: none;
+        width: 100%;
+        margin-bottom: 16px;
+        padding: 10px 16px;
+        border: none;
+        border-radius: 8px;
+        background: var(--primary-color, #B22222);
+        color: #FFFFFF;
+        font-weight: 500;
+        cursor: pointer;
+    }
+
+    .new-posts-banner.show {
+        display: block;
+    }
+
+    .realtime-toasts {
+        position: fixed;
+        right: 20px;
+        bottom: 20px;
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+        z-index: 2000;
+    }
+
+    .realtime-toast {
+        padding: 12px 18px;
+        border-radius: 8px;
+        background: #2E2E2E;
+        color: #FFFFFF;
+        box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
+    }
+`;
+document.head.appendChild(realtimeStyle);
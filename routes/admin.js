@@ -7,7 +7,10 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Post = require('../models/Post');
+const { CATEGORY_LABELS } = require('../models/Post');
+const Follow = require('../models/Follow');
 const { logActivity } = require('../middleware/auth');
+const realtimeService = require('../services/realtimeService');
 
 const router = express.Router();
 
@@ -155,6 +158,16 @@ router.post('/users/:id/toggle-status',
       user.isActive = !user.isActive;
       await user.save();
 
+      // Keep follower/following counters in line with the new status
+      await Follow.adjustCountsForUser(user._id, user.isActive ? 1 : -1);
+
+      realtimeService.publishToUser(user._id, 'moderation', {
+        action: user.isActive ? 'account:activated' : 'account:deactivated',
+        message: user.isActive
+          ? 'Your account has been reactivated by a moderator'
+          : 'Your account has been deactivated by a moderator'
+      });
+
       // If deactivating, also deactivate their posts
       if (!user.isActive) {
         await Post.updateMany(
@@ -274,6 +287,17 @@ router.post('/posts/:id/toggle-status',
 
       await post.save();
 
+      realtimeService.publishToCampus(post.campus, post.isActive ? 'post:restored' : 'post:removed', {
+        postId: post._id
+      });
+      realtimeService.publishToUser(post.author, 'moderation', {
+        action: post.isActive ? 'post:restored' : 'post:removed',
+        postId: post._id,
+        message: post.isActive
+          ? 'One of your posts was restored by a moderator'
+          : 'One of your posts was removed by a moderator'
+      });
+
       req.flash('success', `Post ${post.isActive ? 'activated' : 'deactivated'} successfully`);
       res.redirect('/admin/posts');
 
@@ -388,6 +412,22 @@ router.get('/analytics', async (req, res) => {
       }
     ]);
 
+    // Post counts per category
+    const categoryCounts = await Post.aggregate([
+      {
+        $match: { createdAt: { $gte: startDate }, isActive: true }
+      },
+      {
+        $group: {
+          _id: { $ifNull: ['$category', 'general'] },
+          count: { $sum: 1 }
+        }
+      },
+      {
+        $sort: { count: -1 }
+      }
+    ]);
+
     // Top campuses by activity
     const topCampuses = await User.aggregate([
       {
@@ -425,6 +465,8 @@ router.get('/analytics', async (req, res) => {
       title: 'Analytics Dashboard',
       userRegistrations,
       postCreations,
+      categoryCounts,
+      categoryLabels: CATEGORY_LABELS,
       topCampuses,
       timeRange,
       user: req.user
@@ -4,8 +4,10 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
 const { redirectIfAuthenticated, validateEduEmail, sensitiveOperationLimit } = require('../middleware/auth');
-const { uploadAvatarTemp, saveTempAvatarToDisk } = require('../middleware/upload');
+const { uploadAvatarTemp, saveAvatarImage } = require('../middleware/upload');
 const emailService = require('../services/emailService');
+const { getAppUrl } = require('../services/appUrl');
+const { MAX_SEED_LENGTH } = require('../services/avatarGenerator');
 
 const router = express.Router();
 
@@ -51,6 +53,24 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+const forgotPasswordValidation = [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email address')
+];
+
+const resetPasswordValidation = [
+  body('password')
+    .isLength({ min: 8 })
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.password) {
+        throw new Error('Passwords do not match');
+      }
+      return true;
+    })
+];
+
 // GET /auth/register - Show registration form
 router.get('/register', redirectIfAuthenticated, (req, res) => {
   res.render('auth/register', {
@@ -117,7 +137,7 @@ router.post('/register',
         tempUserData.avatarType = 'upload';
         console.log(`📁 Avatar file stored temporarily: ${req.file.originalname} (${req.file.size} bytes)`);
       } else if (avatarType === 'api' && req.body.avatarSeed) {
-        tempUserData.avatar = req.body.avatarSeed;
+        tempUserData.avatarSeed = String(req.body.avatarSeed).substring(0, MAX_SEED_LENGTH);
         tempUserData.avatarType = 'api';
         console.log(`🎲 API avatar seed: ${req.body.avatarSeed}`);
       } else {
@@ -262,11 +282,11 @@ router.post('/login',
         email: user.email,
         displayName: user.displayName,
         username: user.username,
-        avatar: user.avatar,
         avatarType: user.avatarType,
         avatarUrl: user.avatarUrl,
         role: user.role,
-        campus: user.campus
+        campus: user.campus,
+        sessionVersion: user.sessionVersion
       };
 
       req.flash('success', `Welcome back, @${user.username}!`);
@@ -335,30 +355,14 @@ router.get('/verify-email', async (req, res) => {
         return res.redirect('/auth/login');
       }
 
-      // Handle avatar - save to database properly
-      let avatarData = null;
+      // Handle avatar - the uploaded image is processed once the user has an id
+      let avatarBuffer = null;
       let avatarSeed = null;
       let avatarType = tempUserData.avatarType;
 
       if (tempUserData.avatarType === 'upload' && tempUserData.tempAvatar) {
-        try {
-          console.log(`💾 Processing uploaded avatar: ${tempUserData.tempAvatar.originalname}`);
-
-          // Convert base64 back to Buffer for database storage
-          const avatarBuffer = Buffer.from(tempUserData.tempAvatar.data, 'base64');
-
-          avatarData = {
-            data: avatarBuffer,
-            contentType: tempUserData.tempAvatar.mimetype
-          };
-
-          console.log(`✅ Avatar data prepared for database storage`);
-        } catch (avatarError) {
-          console.error('❌ Error processing avatar:', avatarError);
-          // Fallback to API avatar if upload fails
-          avatarType = 'api';
-          avatarSeed = tempUserData.avatarSeed || crypto.randomBytes(8).toString('hex');
-        }
+        // Convert base64 back to Buffer
+        avatarBuffer = Buffer.from(tempUserData.tempAvatar.data, 'base64');
       } else if (tempUserData.avatarType === 'api') {
         avatarSeed = tempUserData.avatarSeed || crypto.randomBytes(8).toString('hex');
       }
@@ -375,16 +379,25 @@ router.get('/verify-email', async (req, res) => {
         verificationTokenExpires: null
       };
 
-      // Add avatar data based on type
-      if (avatarType === 'upload' && avatarData) {
-        userData.avatar = avatarData;
-      } else {
+      if (avatarSeed) {
         userData.avatarSeed = avatarSeed;
       }
 
       const newUser = new User(userData);
 
-      console.log(`📊 Creating user with avatar type: ${avatarType}`);
+      if (avatarBuffer) {
+        try {
+          console.log(`💾 Processing uploaded avatar: ${tempUserData.tempAvatar.originalname}`);
+          newUser.avatarHash = await saveAvatarImage(avatarBuffer, newUser._id);
+          console.log(`✅ Avatar resized and saved`);
+        } catch (avatarError) {
+          console.error('❌ Error processing avatar:', avatarError.message);
+          // Fallback to API avatar if upload fails
+          newUser.avatarType = 'api';
+        }
+      }
+
+      console.log(`📊 Creating user with avatar type: ${newUser.avatarType}`);
       await newUser.save();
       console.log(`📊 User saved. Avatar URL: ${newUser.avatarUrl}`);
 
@@ -501,6 +514,182 @@ router.post('/resend-verification',
   }
 );
 
+// GET /auth/forgot-password - Show forgot password form
+router.get('/forgot-password', redirectIfAuthenticated, (req, res) => {
+  res.render('auth/forgot-password', {
+    title: 'Forgot Password',
+    errors: [],
+    formData: {}
+  });
+});
+
+// POST /auth/forgot-password - Email a password reset link
+router.post('/forgot-password',
+  redirectIfAuthenticated,
+  sensitiveOperationLimit(3, 60 * 60 * 1000), // 3 attempts per hour
+  forgotPasswordValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.render('auth/forgot-password', {
+          title: 'Forgot Password',
+          errors: errors.array(),
+          formData: req.body
+        });
+      }
+
+      const { email } = req.body;
+      const user = await User.findOne({ email, isActive: true });
+
+      if (user) {
+        const resetToken = user.generatePasswordResetToken();
+        await user.save();
+
+        // Built from APP_URL rather than the Host header, so a forged Host can't redirect the token
+        const resetUrl = `${getAppUrl()}/auth/reset-password?token=${resetToken}`;
+
+        try {
+          await emailService.sendPasswordResetEmail({
+            to: user.email,
+            username: user.username,
+            displayName: user.displayName,
+            resetUrl: resetUrl
+          });
+        } catch (emailError) {
+          console.error('❌ Password reset email failed:', emailError.message);
+
+          // Log reset link to console as fallback in development; in production it would leak a live token
+          if (process.env.NODE_ENV !== 'production') {
+            console.log('\n=== EMAIL FALLBACK - PASSWORD RESET LINK ===');
+            console.log(`User: ${user.displayName} (${user.email})`);
+            console.log(`Reset Link: ${resetUrl}`);
+            console.log('Token expires in: 1 hour');
+            console.log('============================================\n');
+          }
+        }
+      }
+
+      // Same response either way so the form can't be used to probe for accounts
+      req.flash('success', `If an account exists for ${email}, we've sent a link to reset your password. It expires in 1 hour.`);
+      res.redirect('/auth/login');
+
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.render('auth/forgot-password', {
+        title: 'Forgot Password',
+        errors: [{ msg: 'Something went wrong. Please try again.' }],
+        formData: req.body
+      });
+    }
+  }
+);
+
+// GET /auth/reset-password - Show reset form for a valid token
+router.get('/reset-password', async (req, res) => {
+  try {
+    const { token } = req.query;
+    const user = await User.findByPasswordResetToken(token);
+
+    if (!user) {
+      req.flash('error', 'This password reset link is invalid or has expired. Please request a new one.');
+      return res.redirect('/auth/forgot-password');
+    }
+
+    res.render('auth/reset-password', {
+      title: 'Reset Password',
+      errors: [],
+      token
+    });
+  } catch (error) {
+    console.error('Reset password page error:', error);
+    req.flash('error', 'Something went wrong. Please try again.');
+    res.redirect('/auth/forgot-password');
+  }
+});
+
+// POST /auth/reset-password - Set a new password and sign out every session
+router.post('/reset-password',
+  sensitiveOperationLimit(5, 60 * 60 * 1000), // 5 attempts per hour
+  resetPasswordValidation,
+  async (req, res) => {
+    try {
+      const { token, password } = req.body;
+      const user = await User.findByPasswordResetToken(token);
+
+      if (!user) {
+        req.flash('error', 'This password reset link is invalid or has expired. Please request a new one.');
+        return res.redirect('/auth/forgot-password');
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.render('auth/reset-password', {
+          title: 'Reset Password',
+          errors: errors.array(),
+          token
+        });
+      }
+
+      user.resetPassword(password);
+      await user.save();
+
+      // The bumped session version signs out other devices; drop this one too
+      if (req.session.user) {
+        delete req.session.user;
+      }
+
+      req.flash('success', 'Your password has been reset. Please sign in with your new password.');
+      res.redirect('/auth/login');
+
+    } catch (error) {
+      console.error('Reset password error:', error);
+      req.flash('error', 'Failed to reset password. Please try again.');
+      res.redirect('/auth/forgot-password');
+    }
+  }
+);
+
+// Unsubscribe a user from weekly digests using the token from the email
+const unsubscribeFromDigest = async (token) => {
+  const userId = token ? User.verifyDigestUnsubscribeToken(token) : null;
+  if (!userId) {
+    return false;
+  }
+
+  await User.updateOne({ _id: userId }, { 'notifications.weeklyDigest': false });
+  return true;
+};
+
+// GET /auth/unsubscribe/digest - One-click unsubscribe link from the digest email
+router.get('/unsubscribe/digest', async (req, res) => {
+  try {
+    const unsubscribed = await unsubscribeFromDigest(req.query.token);
+
+    res.status(unsubscribed ? 200 : 400).render('auth/unsubscribe', {
+      title: 'Weekly Digest',
+      unsubscribed
+    });
+  } catch (error) {
+    console.error('Digest unsubscribe error:', error);
+    res.status(500).render('auth/unsubscribe', {
+      title: 'Weekly Digest',
+      unsubscribed: false
+    });
+  }
+});
+
+// POST /auth/unsubscribe/digest - RFC 8058 one-click unsubscribe from mail clients
+router.post('/unsubscribe/digest', async (req, res) => {
+  try {
+    const unsubscribed = await unsubscribeFromDigest(req.query.token);
+    res.status(unsubscribed ? 200 : 400).send(unsubscribed ? 'Unsubscribed' : 'Invalid unsubscribe link');
+  } catch (error) {
+    console.error('Digest unsubscribe error:', error);
+    res.status(500).send('Unsubscribe failed');
+  }
+});
+
 // GET /auth/logout - Logout user
 router.get('/logout', (req, res) => {
   req.session.destroy((err) => {
@@ -0,0 +1,26 @@
+/**
+ * Avatar Routes - UConnect
+ * Serves generated SVG avatars so seeds never leave our servers
+ */
+
+const express = require('express');
+const avatarGenerator = require('../services/avatarGenerator');
+const { MAX_SEED_LENGTH } = require('../services/avatarGenerator');
+
+const router = express.Router();
+
+// GET /avatars/:seed.svg - Generated avatar, style picked with ?style=
+router.get('/:seed.svg', (req, res) => {
+  const { seed } = req.params;
+
+  if (!seed || seed.length > MAX_SEED_LENGTH) {
+    return res.status(400).send('Invalid avatar seed');
+  }
+
+  // The same seed and style always draw the same picture
+  res.set('Cache-Control', 'public, max-age=2592000');
+  res.type('image/svg+xml');
+  res.send(avatarGenerator.generate(seed, req.query.style));
+});
+
+module.exports = router;
@@ -0,0 +1,585 @@
+/**
+ * Club Routes - UConnect
+ * Student clubs, membership and officer tools
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Club = require('../models/Club');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { logActivity } = require('../middleware/auth');
+const { uploadClubAvatar, saveClubAvatar, deleteClubAvatars } = require('../middleware/upload');
+const notificationService = require('../services/notificationService');
+const { CLUB_ROLES, CLUB_ROLE_LABELS, JOIN_POLICIES, JOIN_POLICY_LABELS } = Club;
+
+const router = express.Router();
+
+const MEMBER_FIELDS = 'displayName username avatarHash avatarSeed avatarStyle avatarType isActive';
+const CLUBS_PER_PAGE = 24;
+const CLUB_POSTS_PER_PAGE = 20;
+
+// Options every club view needs for labels and forms
+router.use((req, res, next) => {
+  res.locals.clubRoleLabels = CLUB_ROLE_LABELS;
+  res.locals.joinPolicies = JOIN_POLICIES;
+  res.locals.joinPolicyLabels = JOIN_POLICY_LABELS;
+  next();
+});
+
+// Validation rules
+const clubValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 3, max: 60 })
+    .withMessage('Club name must be between 3 and 60 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('joinPolicy')
+    .isIn(JOIN_POLICIES)
+    .withMessage('Please choose how people join')
+];
+
+const joinValidation = [
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Message cannot exceed 300 characters')
+];
+
+const wantsJson = (req) => req.xhr || req.headers.accept?.includes('application/json');
+
+// Parse multipart club forms, keeping upload errors for the form to display
+const acceptClubAvatar = (req, res, next) => {
+  uploadClubAvatar.single('avatar')(req, res, (error) => {
+    if (error) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        req.uploadError = 'The club picture must be 5MB or smaller';
+      } else if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        req.uploadError = 'You can add one club picture';
+      } else {
+        req.uploadError = 'Failed to upload club picture';
+      }
+    }
+    next();
+  });
+};
+
+// Collect validation and upload errors for a club form
+const getClubFormErrors = (req) => {
+  const errors = validationResult(req).array();
+  if (req.uploadError) {
+    errors.push({ msg: req.uploadError });
+  }
+  return errors;
+};
+
+// Check no other club on the campus already uses a name, ignoring case
+const isNameTaken = async (campus, name, exceptId = null) => {
+  const existing = await Club.findOne({ campus, name, _id: { $ne: exceptId } })
+    .collation({ locale: 'en', strength: 2 });
+  return !!existing;
+};
+
+// Load the club in :id, limited to the viewer's campus
+const loadClub = async (req, res, next) => {
+  try {
+    const club = mongoose.isValidObjectId(req.params.id)
+      ? await Club.findById(req.params.id)
+      : null;
+
+    if (!club) {
+      if (wantsJson(req)) {
+        return res.status(404).json({ success: false, message: 'Club not found' });
+      }
+      req.flash('error', 'Club not found');
+      return res.redirect('/clubs');
+    }
+
+    if (club.campus !== req.user.campus) {
+      if (wantsJson(req)) {
+        return res.status(403).json({ success: false, message: 'You can only view clubs from your campus' });
+      }
+      req.flash('error', 'You can only view clubs from your campus');
+      return res.redirect('/clubs');
+    }
+
+    req.club = club;
+    next();
+  } catch (error) {
+    console.error('Load club error:', error);
+    req.flash('error', 'Failed to load club');
+    res.redirect('/clubs');
+  }
+};
+
+// Only officers, the owner or an admin may run the club
+const requireOfficer = (req, res, next) => {
+  if (!req.club.isOfficer(req.user._id) && req.user.role !== 'admin') {
+    if (wantsJson(req)) {
+      return res.status(403).json({ success: false, message: 'Only club officers can do that' });
+    }
+    req.flash('error', 'Only club officers can do that');
+    return res.redirect(`/clubs/${req.club._id}`);
+  }
+  next();
+};
+
+// Only the owner or an admin may change roles or delete the club
+const requireClubOwner = (req, res, next) => {
+  if (req.club.getRole(req.user._id) !== 'owner' && req.user.role !== 'admin') {
+    if (wantsJson(req)) {
+      return res.status(403).json({ success: false, message: 'Only the club owner can do that' });
+    }
+    req.flash('error', 'Only the club owner can do that');
+    return res.redirect(`/clubs/${req.club._id}`);
+  }
+  next();
+};
+
+// Apply a membership change and save, retrying once if the club changed at the same moment
+// `change` returns an error message, or null when the change was made
+const changeMembership = async (club, change) => {
+  try {
+    const error = change(club);
+    if (!error) {
+      await club.save();
+    }
+    return { club, error };
+  } catch (saveError) {
+    if (saveError.name !== 'VersionError') {
+      throw saveError;
+    }
+    const fresh = await Club.findById(club._id);
+    const error = change(fresh);
+    if (!error) {
+      await fresh.save();
+    }
+    return { club: fresh, error };
+  }
+};
+
+// Send a flash-or-JSON result for the membership routes
+const sendResult = (req, res, { status = 200, message, club }) => {
+  if (wantsJson(req)) {
+    return res.status(status).json({
+      success: status < 400,
+      message,
+      memberCount: club ? club.memberCount : undefined
+    });
+  }
+  req.flash(status < 400 ? 'success' : 'error', message);
+  res.redirect(`/clubs/${req.club._id}`);
+};
+
+// GET /clubs - Browse clubs on your campus, or the ones you belong to
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const view = req.query.view === 'mine' ? 'mine' : 'all';
+    const search = typeof req.query.q === 'string' ? req.query.q.trim().substring(0, 100) : '';
+
+    const clubs = view === 'mine'
+      ? await Club.getForUser(req.user._id)
+      : await Club.browse(req.user.campus, { search }, CLUBS_PER_PAGE + 1, (page - 1) * CLUBS_PER_PAGE);
+
+    // Page links keep the current search
+    const query = new URLSearchParams();
+    if (search) {
+      query.set('q', search);
+    }
+
+    res.render('clubs/index', {
+      title: 'Clubs',
+      clubs: clubs.slice(0, CLUBS_PER_PAGE),
+      search,
+      filterQuery: query.toString(),
+      currentView: view,
+      currentPage: page,
+      hasNextPage: view === 'all' && clubs.length > CLUBS_PER_PAGE,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Clubs error:', error);
+    req.flash('error', 'Failed to load clubs');
+    res.redirect('/posts');
+  }
+});
+
+// GET /clubs/create - Show club creation form
+router.get('/create', (req, res) => {
+  res.render('clubs/form', {
+    title: 'Start a Club',
+    club: null,
+    errors: [],
+    formData: { joinPolicy: 'open' }
+  });
+});
+
+// POST /clubs/create - Start a club, with you as its owner
+router.post('/create',
+  acceptClubAvatar,
+  clubValidation,
+  logActivity('create club'),
+  async (req, res) => {
+    let avatar = null;
+    try {
+      const errors = getClubFormErrors(req);
+      if (errors.length === 0 && await isNameTaken(req.user.campus, req.body.name)) {
+        errors.push({ msg: 'There is already a club with that name on your campus' });
+      }
+
+      if (errors.length > 0) {
+        return res.render('clubs/form', {
+          title: 'Start a Club',
+          club: null,
+          errors,
+          formData: req.body
+        });
+      }
+
+      avatar = await saveClubAvatar(req.file);
+
+      const club = await Club.create({
+        name: req.body.name,
+        description: req.body.description || '',
+        joinPolicy: req.body.joinPolicy,
+        avatar,
+        campus: req.user.campus,
+        members: [{ user: req.user._id, role: 'owner' }]
+      });
+
+      req.flash('success', 'Club created! Invite people to join from the club page.');
+      res.redirect(`/clubs/${club._id}`);
+
+    } catch (error) {
+      console.error('Club creation error:', error);
+      await deleteClubAvatars([avatar]);
+      res.render('clubs/form', {
+        title: 'Start a Club',
+        club: null,
+        errors: [{ msg: error.code === 'INVALID_FILE_TYPE' ? error.message : 'Failed to create club. Please try again.' }],
+        formData: req.body
+      });
+    }
+  }
+);
+
+// GET /clubs/:id - Club page with members and posts
+router.get('/:id', loadClub, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const club = await req.club.populate([
+      { path: 'members.user', select: MEMBER_FIELDS },
+      { path: 'joinRequests.user', select: MEMBER_FIELDS }
+    ]);
+    const role = club.getRole(req.user._id);
+
+    const posts = await Post.getByClub(club._id, CLUB_POSTS_PER_PAGE + 1, (page - 1) * CLUB_POSTS_PER_PAGE);
+    const pagePosts = posts.slice(0, CLUB_POSTS_PER_PAGE);
+    const commentPreviews = await Comment.getPreviews(pagePosts.map(post => post._id));
+
+    // Owner first, then officers, then members by join date; deleted accounts are left out
+    const members = club.members
+      .filter(member => member.user && member.user.isActive)
+      .sort((a, b) => CLUB_ROLES.indexOf(a.role) - CLUB_ROLES.indexOf(b.role) || a.joinedAt - b.joinedAt);
+
+    res.render('clubs/show', {
+      title: club.name,
+      club,
+      members,
+      posts: pagePosts,
+      commentPreviews,
+      role,
+      isOfficer: club.isOfficer(req.user._id),
+      canManage: club.isOfficer(req.user._id) || req.user.role === 'admin',
+      canChangeRoles: role === 'owner' || req.user.role === 'admin',
+      joinRequest: club.getJoinRequest(req.user._id),
+      currentPage: page,
+      hasNextPage: posts.length > CLUB_POSTS_PER_PAGE,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Club view error:', error);
+    req.flash('error', 'Failed to load club');
+    res.redirect('/clubs');
+  }
+});
+
+// GET /clubs/:id/edit - Show club edit form
+router.get('/:id/edit', loadClub, requireOfficer, (req, res) => {
+  const club = req.club;
+
+  res.render('clubs/form', {
+    title: 'Edit Club',
+    club,
+    errors: [],
+    formData: {
+      name: club.name,
+      description: club.description,
+      joinPolicy: club.joinPolicy
+    }
+  });
+});
+
+// PUT /clubs/:id - Update the club page
+router.put('/:id',
+  loadClub,
+  requireOfficer,
+  acceptClubAvatar,
+  clubValidation,
+  logActivity('edit club'),
+  async (req, res) => {
+    let newAvatar = null;
+    try {
+      const errors = getClubFormErrors(req);
+      if (errors.length === 0 && await isNameTaken(req.club.campus, req.body.name, req.club._id)) {
+        errors.push({ msg: 'There is already a club with that name on your campus' });
+      }
+
+      if (errors.length > 0) {
+        return res.render('clubs/form', {
+          title: 'Edit Club',
+          club: req.club,
+          errors,
+          formData: req.body
+        });
+      }
+
+      newAvatar = await saveClubAvatar(req.file);
+
+      // A new picture replaces the old one; ticking remove goes back to the generated avatar
+      const oldAvatar = req.club.avatar;
+      const replaceAvatar = newAvatar || req.body.removeAvatar === 'on';
+
+      req.club.set({
+        name: req.body.name,
+        description: req.body.description || '',
+        joinPolicy: req.body.joinPolicy
+      });
+      if (replaceAvatar) {
+        req.club.avatar = newAvatar;
+      }
+      await req.club.save();
+
+      if (replaceAvatar) {
+        await deleteClubAvatars([oldAvatar]);
+      }
+
+      req.flash('success', 'Club updated successfully!');
+      res.redirect(`/clubs/${req.club._id}`);
+
+    } catch (error) {
+      console.error('Club update error:', error);
+      await deleteClubAvatars([newAvatar]);
+      res.render('clubs/form', {
+        title: 'Edit Club',
+        club: req.club,
+        errors: [{ msg: error.code === 'INVALID_FILE_TYPE' ? error.message : 'Failed to update club. Please try again.' }],
+        formData: req.body
+      });
+    }
+  }
+);
+
+// POST /clubs/:id/join - Join an open club, or ask to join one that needs approval
+router.post('/:id/join',
+  loadClub,
+  joinValidation,
+  logActivity('join club'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendResult(req, res, { status: 400, message: errors.array()[0].msg });
+      }
+
+      let joined = false;
+      const { club, error } = await changeMembership(req.club, (club) => {
+        const result = club.join(req.user._id, req.body.message || '');
+        joined = result.joined;
+        return result.error || null;
+      });
+      if (error) {
+        return sendResult(req, res, { status: 400, message: error, club });
+      }
+
+      if (!joined) {
+        // Every officer hears about a new request
+        await Promise.all(club.members
+          .filter(member => member.role !== 'member')
+          .map(member => notificationService.notify({
+            recipientId: member.user,
+            actor: req.user,
+            type: 'club',
+            link: `/clubs/${club._id}`,
+            message: `${req.user.displayName} asked to join ${club.name}`.substring(0, 200)
+          })));
+      }
+
+      sendResult(req, res, {
+        message: joined ? `Welcome to ${club.name}!` : 'Request sent - an officer will review it soon',
+        club
+      });
+
+    } catch (error) {
+      console.error('Join club error:', error);
+      sendResult(req, res, { status: 500, message: 'Failed to join club. Please try again.' });
+    }
+  }
+);
+
+// DELETE /clubs/:id/join - Leave the club or withdraw your request
+router.delete('/:id/join',
+  loadClub,
+  logActivity('leave club'),
+  async (req, res) => {
+    try {
+      const { club, error } = await changeMembership(req.club, (club) => club.leave(req.user._id));
+      if (error) {
+        return sendResult(req, res, { status: 400, message: error, club });
+      }
+
+      sendResult(req, res, { message: `You have left ${club.name}`, club });
+
+    } catch (error) {
+      console.error('Leave club error:', error);
+      sendResult(req, res, { status: 500, message: 'Failed to leave club. Please try again.' });
+    }
+  }
+);
+
+// POST /clubs/:id/requests/:userId - Approve or decline a join request
+router.post('/:id/requests/:userId',
+  loadClub,
+  requireOfficer,
+  logActivity('answer club request'),
+  async (req, res) => {
+    try {
+      const approve = req.body.decision === 'approve';
+      const { club, error } = await changeMembership(req.club, (club) => club.respondToJoinRequest(req.params.userId, approve));
+      if (error) {
+        return sendResult(req, res, { status: 400, message: error, club });
+      }
+
+      if (approve) {
+        await notificationService.notify({
+          recipientId: req.params.userId,
+          actor: req.user,
+          type: 'club',
+          link: `/clubs/${club._id}`,
+          message: `You're in! Welcome to ${club.name}`.substring(0, 200)
+        });
+      }
+
+      sendResult(req, res, { message: approve ? 'Member approved' : 'Request declined', club });
+
+    } catch (error) {
+      console.error('Answer club request error:', error);
+      sendResult(req, res, { status: 500, message: 'Failed to answer request. Please try again.' });
+    }
+  }
+);
+
+// POST /clubs/:id/members/:userId/role - Promote, demote or hand over the club
+router.post('/:id/members/:userId/role',
+  loadClub,
+  requireClubOwner,
+  logActivity('change club role'),
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+      if (!CLUB_ROLES.includes(role)) {
+        return sendResult(req, res, { status: 400, message: 'Invalid role' });
+      }
+
+      const { club, error } = await changeMembership(req.club, (club) => club.setRole(req.params.userId, role));
+      if (error) {
+        return sendResult(req, res, { status: 400, message: error, club });
+      }
+
+      if (role !== 'member') {
+        await notificationService.notify({
+          recipientId: req.params.userId,
+          actor: req.user,
+          type: 'club',
+          link: `/clubs/${club._id}`,
+          message: role === 'owner'
+            ? `${req.user.displayName} handed ${club.name} over to you`.substring(0, 200)
+            : `${req.user.displayName} made you an officer of ${club.name}`.substring(0, 200)
+        });
+      }
+
+      sendResult(req, res, { message: role === 'owner' ? 'Club handed over' : `Role changed to ${CLUB_ROLE_LABELS[role].toLowerCase()}`, club });
+
+    } catch (error) {
+      console.error('Change club role error:', error);
+      sendResult(req, res, { status: 500, message: 'Failed to change role. Please try again.' });
+    }
+  }
+);
+
+// DELETE /clubs/:id/members/:userId - Remove a member
+router.delete('/:id/members/:userId',
+  loadClub,
+  requireOfficer,
+  logActivity('remove club member'),
+  async (req, res) => {
+    try {
+      // Officers can remove members; only the owner can remove another officer
+      const targetRole = req.club.getRole(req.params.userId);
+      if (targetRole === 'officer' && req.club.getRole(req.user._id) !== 'owner' && req.user.role !== 'admin') {
+        return sendResult(req, res, { status: 403, message: 'Only the club owner can remove an officer' });
+      }
+
+      const { club, error } = await changeMembership(req.club, (club) => club.removeMember(req.params.userId));
+      if (error) {
+        return sendResult(req, res, { status: 400, message: error, club });
+      }
+
+      sendResult(req, res, { message: 'Member removed', club });
+
+    } catch (error) {
+      console.error('Remove club member error:', error);
+      sendResult(req, res, { status: 500, message: 'Failed to remove member. Please try again.' });
+    }
+  }
+);
+
+// DELETE /clubs/:id - Delete club; its posts stay up under their authors
+router.delete('/:id',
+  loadClub,
+  requireClubOwner,
+  logActivity('delete club'),
+  async (req, res) => {
+    try {
+      const avatar = req.club.avatar;
+      await Post.updateMany({ club: req.club._id }, { $set: { club: null } });
+      await req.club.deleteOne();
+      await deleteClubAvatars([avatar]);
+
+      if (wantsJson(req)) {
+        return res.json({ success: true });
+      }
+      req.flash('success', 'Club deleted');
+      res.redirect('/clubs?view=mine');
+
+    } catch (error) {
+      console.error('Club delete error:', error);
+      if (wantsJson(req)) {
+        return res.status(500).json({ success: false, message: 'Failed to delete club' });
+      }
+      req.flash('error', 'Failed to delete club');
+      res.redirect(`/clubs/${req.club._id}`);
+    }
+  }
+);
+
+module.exports = router;
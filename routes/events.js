@@ -0,0 +1,589 @@
+/**
+ * Event Routes - UConnect
+ * Campus events with RSVPs, a waitlist, calendar export and QR check-in
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const QRCode = require('qrcode');
+const Event = require('../models/Event');
+const { ORGANIZER_FIELDS } = Event;
+const User = require('../models/User');
+const { logActivity } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+const calendarService = require('../services/calendarService');
+const csvService = require('../services/csvService');
+const { getAppUrl } = require('../services/appUrl');
+
+const router = express.Router();
+
+const EVENTS_PER_PAGE = 20;
+const MAX_CAPACITY = 10000;
+// Calendar exports keep recent past events so they don't vanish from calendars right away
+const CALENDAR_HISTORY_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Validation rules
+const eventValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 120 })
+    .withMessage('Title must be between 3 and 120 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  body('location')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Location must be between 2 and 200 characters'),
+  body('startsAt')
+    .isISO8601()
+    .withMessage('Please choose a valid start time'),
+  body('endsAt')
+    .isISO8601()
+    .withMessage('Please choose a valid end time'),
+  body('capacity')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1, max: MAX_CAPACITY })
+    .withMessage(`Capacity must be a whole number between 1 and ${MAX_CAPACITY}`)
+];
+
+const wantsJson = (req) => req.xhr || req.headers.accept?.includes('application/json');
+
+// Format a date for a datetime-local input, in server time
+const toInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000);
+  return local.toISOString().slice(0, 16);
+};
+
+// Event fields from a submitted form
+const getEventFields = (formBody) => ({
+  title: formBody.title,
+  description: formBody.description || '',
+  location: formBody.location,
+  startsAt: new Date(formBody.startsAt),
+  endsAt: new Date(formBody.endsAt),
+  capacity: formBody.capacity ? parseInt(formBody.capacity) : null
+});
+
+// Validation errors plus the checks that compare fields with each other
+const getEventFormErrors = (req, { isNew }) => {
+  const errors = validationResult(req).array();
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const { startsAt, endsAt } = getEventFields(req.body);
+  if (endsAt <= startsAt) {
+    errors.push({ msg: 'Event must end after it starts' });
+  }
+  if (isNew && startsAt < new Date()) {
+    errors.push({ msg: 'Event must start in the future' });
+  }
+  return errors;
+};
+
+// Load the event in :id, limited to the viewer's campus
+const loadEvent = async (req, res, next) => {
+  try {
+    const event = mongoose.isValidObjectId(req.params.id)
+      ? await Event.findById(req.params.id)
+        .populate('organizer', ORGANIZER_FIELDS)
+      : null;
+
+    if (!event) {
+      if (wantsJson(req)) {
+        return res.status(404).json({ success: false, message: 'Event not found' });
+      }
+      req.flash('error', 'Event not found');
+      return res.redirect('/events');
+    }
+
+    if (event.campus !== req.user.campus) {
+      if (wantsJson(req)) {
+        return res.status(403).json({ success: false, message: 'You can only view events from your campus' });
+      }
+      req.flash('error', 'You can only view events from your campus');
+      return res.redirect('/events');
+    }
+
+    req.event = event;
+    next();
+  } catch (error) {
+    console.error('Load event error:', error);
+    req.flash('error', 'Failed to load event');
+    res.redirect('/events');
+  }
+};
+
+// Only the organizer or an admin may change an event
+const requireOrganizer = (req, res, next) => {
+  if (!req.event.isOrganizer(req.user._id) && req.user.role !== 'admin') {
+    if (wantsJson(req)) {
+      return res.status(403).json({ success: false, message: 'Only the organizer can change this event' });
+    }
+    req.flash('error', 'Only the organizer can change this event');
+    return res.redirect(`/events/${req.event._id}`);
+  }
+  next();
+};
+
+// Apply an RSVP change and save, retrying once if someone else changed the RSVPs at the same moment
+const changeRsvps = async (event, change) => {
+  try {
+    const result = change(event);
+    await event.save();
+    return { event, result };
+  } catch (error) {
+    if (error.name !== 'VersionError') {
+      throw error;
+    }
+    const fresh = await Event.findById(event._id).populate('organizer', ORGANIZER_FIELDS);
+    const result = change(fresh);
+    await fresh.save();
+    return { event: fresh, result };
+  }
+};
+
+const sendCalendar = (res, filename, calendar) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.send(calendar);
+};
+
+// GET /events - Upcoming campus events, or the ones you RSVP'd to
+router.get('/', async (req, res) => {
+  try {
+    const view = req.query.view === 'mine' ? 'mine' : 'upcoming';
+    const page = parseInt(req.query.page) || 1;
+
+    const events = view === 'mine'
+      ? await Event.getForAttendee(req.user._id, { from: new Date() })
+      : await Event.getUpcoming(req.user.campus, EVENTS_PER_PAGE + 1, (page - 1) * EVENTS_PER_PAGE);
+
+    res.render('events/index', {
+      title: 'Campus Events',
+      events: events.slice(0, EVENTS_PER_PAGE),
+      currentView: view,
+      currentPage: page,
+      hasNextPage: view === 'upcoming' && events.length > EVENTS_PER_PAGE,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Events list error:', error);
+    req.flash('error', 'Failed to load events');
+    res.redirect('/posts');
+  }
+});
+
+// GET /events/create - Show event creation form
+router.get('/create', (req, res) => {
+  res.render('events/form', {
+    title: 'Create Event',
+    event: null,
+    errors: [],
+    formData: {}
+  });
+});
+
+// POST /events/create - Handle event creation
+router.post('/create',
+  eventValidation,
+  logActivity('create event'),
+  async (req, res) => {
+    try {
+      const errors = getEventFormErrors(req, { isNew: true });
+      if (errors.length > 0) {
+        return res.render('events/form', {
+          title: 'Create Event',
+          event: null,
+          errors,
+          formData: req.body
+        });
+      }
+
+      const event = await Event.create({
+        ...getEventFields(req.body),
+        campus: req.user.campus,
+        organizer: req.user._id,
+        // Organizers are going to their own event
+        rsvps: [{ user: req.user._id, status: 'going' }]
+      });
+
+      req.flash('success', 'Event created successfully!');
+      res.redirect(`/events/${event._id}`);
+
+    } catch (error) {
+      console.error('Event creation error:', error);
+      res.render('events/form', {
+        title: 'Create Event',
+        event: null,
+        errors: [{ msg: error.name === 'ValidationError' ? Object.values(error.errors)[0].message : 'Failed to create event. Please try again.' }],
+        formData: req.body
+      });
+    }
+  }
+);
+
+// GET /events/calendar.ics - Calendar file with every event you RSVP'd to
+router.get('/calendar.ics', async (req, res) => {
+  try {
+    const events = await Event.getForAttendee(req.user._id, {
+      from: new Date(Date.now() - CALENDAR_HISTORY_MS)
+    });
+
+    sendCalendar(res, 'uconnect-events.ics', calendarService.buildCalendar(events, {
+      name: 'My UConnect events',
+      isTentative: (event) => event.getRsvp(req.user._id).status === 'waitlist'
+    }));
+
+  } catch (error) {
+    console.error('Events calendar error:', error);
+    req.flash('error', 'Failed to export your events');
+    res.redirect('/events?view=mine');
+  }
+});
+
+// GET /events/:id - Show a single event
+router.get('/:id', loadEvent, (req, res) => {
+  const event = req.event;
+  const rsvp = event.getRsvp(req.user._id);
+
+  res.render('events/show', {
+    title: event.title,
+    event,
+    rsvp,
+    waitlistPosition: rsvp && rsvp.status === 'waitlist' ? event.getWaitlistPosition(req.user._id) : null,
+    canManage: event.isOrganizer(req.user._id) || req.user.role === 'admin',
+    user: req.user
+  });
+});
+
+// GET /events/:id/event.ics - Calendar file for a single event
+router.get('/:id/event.ics', loadEvent, (req, res) => {
+  sendCalendar(res, `event-${req.event._id}.ics`, calendarService.buildCalendar([req.event]));
+});
+
+// GET /events/:id/ticket - Your ticket, with the QR code organizers scan at the door
+router.get('/:id/ticket', loadEvent, async (req, res) => {
+  try {
+    const event = req.event;
+    const rsvp = event.getRsvp(req.user._id);
+
+    if (!rsvp || rsvp.status !== 'going' || event.isCancelled || event.hasEnded) {
+      req.flash('error', rsvp && rsvp.status === 'waitlist'
+        ? "You'll get a ticket once you're off the waitlist"
+        : 'There is no ticket to show for this event');
+      return res.redirect(`/events/${event._id}`);
+    }
+
+    const token = event.generateCheckInToken(req.user._id);
+    // Scanning with a phone camera opens the organizer's check-in page
+    const checkInUrl = `${getAppUrl()}/events/${event._id}/check-in?token=${encodeURIComponent(token)}`;
+    const qrCode = await QRCode.toString(checkInUrl, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+
+    res.render('events/ticket', {
+      title: `Ticket - ${event.title}`,
+      event,
+      rsvp,
+      qrCode,
+      token,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Event ticket error:', error);
+    req.flash('error', 'Failed to load your ticket');
+    res.redirect(`/events/${req.event._id}`);
+  }
+});
+
+// GET /events/:id/check-in - Check-in desk, showing the scanned ticket if there is one
+router.get('/:id/check-in', loadEvent, requireOrganizer, async (req, res) => {
+  try {
+    const event = req.event;
+    let scan = null;
+
+    if (req.query.token) {
+      const { userId, error } = event.readCheckInToken(req.query.token);
+      const rsvp = userId ? event.getRsvp(userId) : null;
+      scan = {
+        token: req.query.token,
+        error: error || (!rsvp || rsvp.status !== 'going' ? 'This person is not on the going list' : null),
+        attendee: userId ? await User.findById(userId).select('displayName username') : null,
+        checkedInAt: rsvp ? rsvp.checkedInAt : null
+      };
+    }
+
+    res.render('events/check-in', {
+      title: `Check-in - ${event.title}`,
+      event,
+      scan,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Check-in desk error:', error);
+    req.flash('error', 'Failed to load the check-in desk');
+    res.redirect(`/events/${req.event._id}`);
+  }
+});
+
+// POST /events/:id/check-in - Record a scanned ticket
+router.post('/:id/check-in',
+  loadEvent,
+  requireOrganizer,
+  logActivity('event check-in'),
+  async (req, res) => {
+    const reject = (status, message) => {
+      if (wantsJson(req)) {
+        return res.status(status).json({ success: false, message });
+      }
+      req.flash('error', message);
+      res.redirect(`/events/${req.event._id}/check-in`);
+    };
+
+    try {
+      if (req.event.isCancelled) {
+        return reject(400, 'This event has been cancelled');
+      }
+
+      const { userId, error } = req.event.readCheckInToken(req.body.token);
+      if (error) {
+        return reject(400, error);
+      }
+
+      const { event, result } = await changeRsvps(req.event, (event) => event.checkIn(userId));
+      const attendee = await User.findById(userId).select('displayName username');
+      const name = attendee ? attendee.displayName : 'This person';
+
+      if (result === 'not_going') {
+        return reject(400, `${name} is not on the going list`);
+      }
+      if (result === 'duplicate') {
+        const time = event.getRsvp(userId).checkedInAt.toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit' });
+        return reject(409, `${name} already checked in at ${time}`);
+      }
+
+      if (wantsJson(req)) {
+        return res.json({
+          success: true,
+          attendee: attendee ? { displayName: attendee.displayName, username: attendee.username } : null,
+          checkedInCount: event.checkedInCount
+        });
+      }
+      req.flash('success', `${name} is checked in`);
+      res.redirect(`/events/${event._id}/check-in`);
+
+    } catch (error) {
+      console.error('Check-in error:', error);
+      reject(500, 'Failed to check in. Please try again.');
+    }
+  }
+);
+
+// GET /events/:id/attendance.csv - Attendance sheet for organizers
+router.get('/:id/attendance.csv', loadEvent, requireOrganizer, async (req, res) => {
+  try {
+    const event = await req.event.populate('rsvps.user', 'displayName username');
+
+    const rows = [['Name', 'Username', 'RSVP', 'RSVP Time', 'Checked In', 'Check-in Time']];
+    event.rsvps.forEach(rsvp => {
+      rows.push([
+        rsvp.user ? rsvp.user.displayName : 'Deleted account',
+        rsvp.user ? rsvp.user.username : '',
+        rsvp.status,
+        rsvp.createdAt.toISOString(),
+        rsvp.checkedInAt ? 'yes' : 'no',
+        rsvp.checkedInAt ? rsvp.checkedInAt.toISOString() : ''
+      ]);
+    });
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="attendance-${event._id}.csv"`
+    });
+    res.send(csvService.toCsv(rows));
+
+  } catch (error) {
+    console.error('Attendance export error:', error);
+    req.flash('error', 'Failed to export attendance');
+    res.redirect(`/events/${req.event._id}`);
+  }
+});
+
+// GET /events/:id/edit - Show event edit form
+router.get('/:id/edit', loadEvent, requireOrganizer, (req, res) => {
+  const event = req.event;
+
+  res.render('events/form', {
+    title: 'Edit Event',
+    event,
+    errors: [],
+    formData: {
+      title: event.title,
+      description: event.description,
+      location: event.location,
+      startsAt: toInputValue(event.startsAt),
+      endsAt: toInputValue(event.endsAt),
+      capacity: event.capacity || ''
+    }
+  });
+});
+
+// PUT /events/:id - Update event
+router.put('/:id',
+  loadEvent,
+  requireOrganizer,
+  eventValidation,
+  logActivity('edit event'),
+  async (req, res) => {
+    try {
+      const errors = getEventFormErrors(req, { isNew: false });
+      if (errors.length > 0) {
+        return res.render('events/form', {
+          title: 'Edit Event',
+          event: req.event,
+          errors,
+          formData: req.body
+        });
+      }
+
+      // A bigger (or removed) capacity lets people off the waitlist
+      const { event, result: promoted } = await changeRsvps(req.event, (event) => {
+        event.set(getEventFields(req.body));
+        return event.promoteWaitlist();
+      });
+      await notificationService.notifyWaitlistPromoted({ event, userIds: promoted });
+
+      req.flash('success', 'Event updated successfully!');
+      res.redirect(`/events/${event._id}`);
+
+    } catch (error) {
+      console.error('Event update error:', error);
+      res.render('events/form', {
+        title: 'Edit Event',
+        event: req.event,
+        errors: [{ msg: error.name === 'ValidationError' ? Object.values(error.errors)[0].message : 'Failed to update event. Please try again.' }],
+        formData: req.body
+      });
+    }
+  }
+);
+
+// DELETE /events/:id - Cancel event
+router.delete('/:id',
+  loadEvent,
+  requireOrganizer,
+  logActivity('cancel event'),
+  async (req, res) => {
+    try {
+      const event = req.event;
+      if (!event.isCancelled) {
+        event.isCancelled = true;
+        await event.save();
+
+        await Promise.all(event.rsvps.map(rsvp => notificationService.notify({
+          recipientId: rsvp.user,
+          actor: req.user,
+          type: 'event',
+          link: `/events/${event._id}`,
+          message: `${event.title} has been cancelled`.substring(0, 200)
+        })));
+      }
+
+      if (wantsJson(req)) {
+        return res.json({ success: true });
+      }
+      req.flash('success', 'Event cancelled');
+      res.redirect('/events');
+
+    } catch (error) {
+      console.error('Event cancel error:', error);
+      if (wantsJson(req)) {
+        return res.status(500).json({ success: false, message: 'Failed to cancel event' });
+      }
+      req.flash('error', 'Failed to cancel event');
+      res.redirect(`/events/${req.event._id}`);
+    }
+  }
+);
+
+// POST /events/:id/rsvp - RSVP, joining the waitlist when the event is full
+router.post('/:id/rsvp',
+  loadEvent,
+  logActivity('rsvp event'),
+  async (req, res) => {
+    try {
+      if (req.event.isCancelled || req.event.hasEnded) {
+        const message = req.event.isCancelled ? 'This event has been cancelled' : 'This event has already ended';
+        if (wantsJson(req)) {
+          return res.status(400).json({ success: false, message });
+        }
+        req.flash('error', message);
+        return res.redirect(`/events/${req.event._id}`);
+      }
+
+      const { event, result: status } = await changeRsvps(req.event, (event) => event.addRsvp(req.user._id));
+
+      if (wantsJson(req)) {
+        return res.json({
+          success: true,
+          status,
+          goingCount: event.goingCount,
+          waitlistCount: event.waitlistCount
+        });
+      }
+      req.flash('success', status === 'going'
+        ? "You're going!"
+        : `This event is full - you're #${event.getWaitlistPosition(req.user._id)} on the waitlist`);
+      res.redirect(`/events/${event._id}`);
+
+    } catch (error) {
+      console.error('RSVP error:', error);
+      if (wantsJson(req)) {
+        return res.status(500).json({ success: false, message: 'Failed to RSVP' });
+      }
+      req.flash('error', 'Failed to RSVP. Please try again.');
+      res.redirect(`/events/${req.event._id}`);
+    }
+  }
+);
+
+// DELETE /events/:id/rsvp - Withdraw RSVP, handing the spot to the waitlist
+router.delete('/:id/rsvp',
+  loadEvent,
+  logActivity('cancel rsvp'),
+  async (req, res) => {
+    try {
+      const { event, result: promoted } = await changeRsvps(req.event, (event) => event.removeRsvp(req.user._id));
+      await notificationService.notifyWaitlistPromoted({ event, userIds: promoted });
+
+      if (wantsJson(req)) {
+        return res.json({
+          success: true,
+          status: null,
+          goingCount: event.goingCount,
+          waitlistCount: event.waitlistCount
+        });
+      }
+      req.flash('success', 'Your RSVP has been withdrawn');
+      res.redirect(`/events/${event._id}`);
+
+    } catch (error) {
+      console.error('Cancel RSVP error:', error);
+      if (wantsJson(req)) {
+        return res.status(500).json({ success: false, message: 'Failed to withdraw RSVP' });
+      }
+      req.flash('error', 'Failed to withdraw RSVP. Please try again.');
+      res.redirect(`/events/${req.event._id}`);
+    }
+  }
+);
+
+module.exports = router;
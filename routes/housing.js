@@ -0,0 +1,765 @@
+/**
+ * Housing Routes - UConnect
+ * Room listings and roommate-wanted profiles near campus
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const HousingListing = require('../models/HousingListing');
+const RoommateProfile = require('../models/RoommateProfile');
+const User = require('../models/User');
+const { logActivity } = require('../middleware/auth');
+const { uploadHousingPhotos, saveHousingPhotos, deleteHousingPhotos, MAX_HOUSING_PHOTOS } = require('../middleware/upload');
+const messagingService = require('../services/messagingService');
+const { ROOM_TYPES, ROOM_TYPE_LABELS, HOUSING_STATUSES } = HousingListing;
+const {
+  GENDERS,
+  GENDER_LABELS,
+  GENDER_PREFERENCES,
+  GENDER_PREFERENCE_LABELS,
+  SLEEP_SCHEDULES,
+  SLEEP_SCHEDULE_LABELS,
+  CLEANLINESS_LEVELS,
+  CLEANLINESS_LABELS,
+  GUEST_FREQUENCIES,
+  GUEST_FREQUENCY_LABELS,
+  SMOKING_HABITS,
+  SMOKING_HABIT_LABELS,
+  scoreCompatibility
+} = RoommateProfile;
+
+const router = express.Router();
+
+// Contact details stay on the platform, so email is never populated
+const OWNER_FIELDS = 'displayName username avatarHash avatarSeed avatarStyle avatarType isActive campus privacy';
+const LISTINGS_PER_PAGE = 24;
+const PROFILES_PER_PAGE = 20;
+const HOUSING_SORTS = ['newest', 'rent_low'];
+
+// Options every housing view needs for filters and forms
+router.use((req, res, next) => {
+  res.locals.roomTypes = ROOM_TYPES;
+  res.locals.roomTypeLabels = ROOM_TYPE_LABELS;
+  res.locals.genders = GENDERS;
+  res.locals.genderLabels = GENDER_LABELS;
+  res.locals.genderPreferences = GENDER_PREFERENCES;
+  res.locals.genderPreferenceLabels = GENDER_PREFERENCE_LABELS;
+  res.locals.sleepSchedules = SLEEP_SCHEDULES;
+  res.locals.sleepScheduleLabels = SLEEP_SCHEDULE_LABELS;
+  res.locals.cleanlinessLevels = CLEANLINESS_LEVELS;
+  res.locals.cleanlinessLabels = CLEANLINESS_LABELS;
+  res.locals.guestFrequencies = GUEST_FREQUENCIES;
+  res.locals.guestFrequencyLabels = GUEST_FREQUENCY_LABELS;
+  res.locals.smokingHabits = SMOKING_HABITS;
+  res.locals.smokingHabitLabels = SMOKING_HABIT_LABELS;
+  res.locals.maxHousingPhotos = MAX_HOUSING_PHOTOS;
+  next();
+});
+
+// Validation rules
+const listingValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  body('roomType')
+    .isIn(ROOM_TYPES)
+    .withMessage('Please choose a room type'),
+  body('rent')
+    .isInt({ min: 0, max: 1000000 })
+    .withMessage('Please enter the monthly rent in whole rupees'),
+  body('deposit')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 0, max: 10000000 })
+    .withMessage('Please enter the deposit in whole rupees'),
+  body('area')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Area must be between 2 and 200 characters'),
+  body('availableFrom')
+    .isISO8601()
+    .withMessage('Please choose when the room is available'),
+  body('genderPreference')
+    .isIn(GENDER_PREFERENCES)
+    .withMessage('Please choose who the room suits')
+];
+
+const profileValidation = [
+  body('budgetMin')
+    .isInt({ min: 0, max: 1000000 })
+    .withMessage('Please enter your minimum budget in whole rupees'),
+  body('budgetMax')
+    .isInt({ min: 0, max: 1000000 })
+    .withMessage('Please enter your maximum budget in whole rupees')
+    .custom((value, { req }) => parseInt(value) >= parseInt(req.body.budgetMin))
+    .withMessage('Maximum budget cannot be below your minimum'),
+  body('moveInDate')
+    .isISO8601()
+    .withMessage('Please choose a move-in date'),
+  body('gender')
+    .isIn(GENDERS)
+    .withMessage('Please choose a gender option'),
+  body('genderPreference')
+    .isIn(GENDER_PREFERENCES)
+    .withMessage('Please choose who you would live with'),
+  body('sleepSchedule')
+    .isIn(SLEEP_SCHEDULES)
+    .withMessage('Please choose a sleep schedule'),
+  body('cleanliness')
+    .isIn(CLEANLINESS_LEVELS)
+    .withMessage('Please choose how tidy you are'),
+  body('guests')
+    .isIn(GUEST_FREQUENCIES)
+    .withMessage('Please choose how often you have guests'),
+  body('smoking')
+    .isIn(SMOKING_HABITS)
+    .withMessage('Please choose a smoking option'),
+  body('preferredArea')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Preferred area cannot exceed 100 characters'),
+  body('about')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('About cannot exceed 500 characters')
+];
+
+const contactValidation = [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 900 })
+    .withMessage('Message must be between 1 and 900 characters')
+];
+
+const wantsJson = (req) => req.xhr || req.headers.accept?.includes('application/json');
+
+// Parse multipart listing forms, keeping upload errors for the form to display
+const acceptHousingPhotos = (req, res, next) => {
+  uploadHousingPhotos.array('photos', MAX_HOUSING_PHOTOS)(req, res, (error) => {
+    if (error) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        req.uploadError = 'Each photo must be 5MB or smaller';
+      } else if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        req.uploadError = `You can add up to ${MAX_HOUSING_PHOTOS} photos`;
+      } else {
+        req.uploadError = 'Failed to upload photos';
+      }
+    }
+    next();
+  });
+};
+
+// Collect validation and upload errors for a listing form
+const getListingFormErrors = (req) => {
+  const errors = validationResult(req).array();
+  if (req.uploadError) {
+    errors.push({ msg: req.uploadError });
+  }
+  return errors;
+};
+
+// Listing fields from a submitted form
+const getListingFields = (formBody) => ({
+  title: formBody.title,
+  description: formBody.description || '',
+  roomType: formBody.roomType,
+  rent: parseInt(formBody.rent),
+  deposit: parseInt(formBody.deposit) || 0,
+  area: formBody.area,
+  availableFrom: new Date(formBody.availableFrom),
+  genderPreference: formBody.genderPreference,
+  furnished: formBody.furnished === 'on'
+});
+
+// Profile fields from a submitted form
+const getProfileFields = (formBody) => ({
+  budgetMin: parseInt(formBody.budgetMin),
+  budgetMax: parseInt(formBody.budgetMax),
+  moveInDate: new Date(formBody.moveInDate),
+  gender: formBody.gender,
+  genderPreference: formBody.genderPreference,
+  sleepSchedule: formBody.sleepSchedule,
+  cleanliness: formBody.cleanliness,
+  guests: formBody.guests,
+  smoking: formBody.smoking,
+  preferredArea: formBody.preferredArea || '',
+  about: formBody.about || '',
+  isLooking: formBody.isLooking === 'on'
+});
+
+// Dates as the value of a date input
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+// Parse an optional rent filter
+const parseRent = (value) => {
+  const rent = parseInt(value);
+  return Number.isFinite(rent) && rent >= 0 ? rent : undefined;
+};
+
+// Load the listing in :id, limited to the viewer's campus
+const loadListing = async (req, res, next) => {
+  try {
+    const listing = mongoose.isValidObjectId(req.params.id)
+      ? await HousingListing.findById(req.params.id).populate('owner', OWNER_FIELDS)
+      : null;
+
+    if (!listing) {
+      if (wantsJson(req)) {
+        return res.status(404).json({ success: false, message: 'Listing not found' });
+      }
+      req.flash('error', 'Listing not found');
+      return res.redirect('/housing');
+    }
+
+    if (listing.campus !== req.user.campus) {
+      if (wantsJson(req)) {
+        return res.status(403).json({ success: false, message: 'You can only view housing from your campus' });
+      }
+      req.flash('error', 'You can only view housing from your campus');
+      return res.redirect('/housing');
+    }
+
+    req.listing = listing;
+    next();
+  } catch (error) {
+    console.error('Load housing listing error:', error);
+    req.flash('error', 'Failed to load listing');
+    res.redirect('/housing');
+  }
+};
+
+// Only the person who posted a listing or an admin may change it
+const requireOwner = (req, res, next) => {
+  if (!req.listing.isOwner(req.user._id) && req.user.role !== 'admin') {
+    if (wantsJson(req)) {
+      return res.status(403).json({ success: false, message: 'Only the person who posted this listing can change it' });
+    }
+    req.flash('error', 'Only the person who posted this listing can change it');
+    return res.redirect(`/housing/${req.listing._id}`);
+  }
+  next();
+};
+
+// Load the roommate profile in :id, limited to the viewer's campus
+const loadProfile = async (req, res, next) => {
+  try {
+    const profile = mongoose.isValidObjectId(req.params.id)
+      ? await RoommateProfile.findById(req.params.id).populate('user', OWNER_FIELDS)
+      : null;
+
+    if (!profile || !profile.user || !profile.user.isActive) {
+      req.flash('error', 'Roommate profile not found');
+      return res.redirect('/housing/roommates');
+    }
+
+    if (profile.campus !== req.user.campus) {
+      req.flash('error', 'You can only view roommate profiles from your campus');
+      return res.redirect('/housing/roommates');
+    }
+
+    req.profile = profile;
+    next();
+  } catch (error) {
+    console.error('Load roommate profile error:', error);
+    req.flash('error', 'Failed to load roommate profile');
+    res.redirect('/housing/roommates');
+  }
+};
+
+// GET /housing - Browse rooms on your campus, or your own listings
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+
+    if (req.query.view === 'mine') {
+      const listings = await HousingListing.getForOwner(req.user._id);
+      return res.render('housing/index', {
+        title: 'Housing',
+        listings,
+        filters: {},
+        filterQuery: '',
+        currentView: 'mine',
+        currentPage: 1,
+        hasNextPage: false,
+        user: req.user
+      });
+    }
+
+    const filters = {
+      roomType: ROOM_TYPES.includes(req.query.roomType) ? req.query.roomType : null,
+      maxRent: parseRent(req.query.maxRent),
+      genderPreference: GENDER_PREFERENCES.includes(req.query.genderPreference) ? req.query.genderPreference : null,
+      sort: HOUSING_SORTS.includes(req.query.sort) ? req.query.sort : 'newest'
+    };
+
+    const listings = await HousingListing.browse(req.user.campus, filters, LISTINGS_PER_PAGE + 1, (page - 1) * LISTINGS_PER_PAGE);
+
+    // Page links keep the current filters
+    const query = new URLSearchParams();
+    if (filters.roomType) {
+      query.set('roomType', filters.roomType);
+    }
+    if (filters.maxRent !== undefined) {
+      query.set('maxRent', filters.maxRent);
+    }
+    if (filters.genderPreference) {
+      query.set('genderPreference', filters.genderPreference);
+    }
+    if (filters.sort !== 'newest') {
+      query.set('sort', filters.sort);
+    }
+
+    res.render('housing/index', {
+      title: 'Housing',
+      listings: listings.slice(0, LISTINGS_PER_PAGE),
+      filters,
+      filterQuery: query.toString(),
+      currentView: 'all',
+      currentPage: page,
+      hasNextPage: listings.length > LISTINGS_PER_PAGE,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Housing error:', error);
+    req.flash('error', 'Failed to load housing');
+    res.redirect('/posts');
+  }
+});
+
+// GET /housing/create - Show listing creation form
+router.get('/create', (req, res) => {
+  res.render('housing/form', {
+    title: 'List a Room',
+    listing: null,
+    errors: [],
+    formData: { genderPreference: 'any' }
+  });
+});
+
+// POST /housing/create - Handle listing creation
+router.post('/create',
+  acceptHousingPhotos,
+  listingValidation,
+  logActivity('create housing listing'),
+  async (req, res) => {
+    let photos = [];
+    try {
+      const errors = getListingFormErrors(req);
+      if (errors.length > 0) {
+        return res.render('housing/form', {
+          title: 'List a Room',
+          listing: null,
+          errors,
+          formData: req.body
+        });
+      }
+
+      photos = await saveHousingPhotos(req.files);
+
+      const listing = await HousingListing.create({
+        ...getListingFields(req.body),
+        photos,
+        owner: req.user._id,
+        campus: req.user.campus
+      });
+
+      req.flash('success', 'Room listed! Students at your campus can now message you about it.');
+      res.redirect(`/housing/${listing._id}`);
+
+    } catch (error) {
+      console.error('Housing listing creation error:', error);
+      await deleteHousingPhotos(photos);
+      res.render('housing/form', {
+        title: 'List a Room',
+        listing: null,
+        errors: [{ msg: error.code === 'INVALID_FILE_TYPE' ? error.message : 'Failed to create listing. Please try again.' }],
+        formData: req.body
+      });
+    }
+  }
+);
+
+// GET /housing/roommates - Roommate profiles, best matches first once you have a profile
+router.get('/roommates', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const myProfile = await RoommateProfile.findOne({ user: req.user._id });
+
+    let matches;
+    let hasNextPage;
+    if (myProfile) {
+      const scored = await myProfile.findMatches();
+      matches = scored.slice((page - 1) * PROFILES_PER_PAGE, page * PROFILES_PER_PAGE);
+      hasNextPage = scored.length > page * PROFILES_PER_PAGE;
+    } else {
+      const profiles = await RoommateProfile.getBoard(req.user.campus, PROFILES_PER_PAGE + 1, (page - 1) * PROFILES_PER_PAGE);
+      matches = profiles
+        .filter(profile => profile.user && profile.user.isActive)
+        .slice(0, PROFILES_PER_PAGE)
+        .map(profile => ({ profile, score: null }));
+      hasNextPage = profiles.length > PROFILES_PER_PAGE;
+    }
+
+    res.render('housing/roommates', {
+      title: 'Find a Roommate',
+      matches,
+      myProfile,
+      currentPage: page,
+      hasNextPage,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Roommates error:', error);
+    req.flash('error', 'Failed to load roommate profiles');
+    res.redirect('/housing');
+  }
+});
+
+// GET /housing/roommates/profile - Show your roommate profile form
+router.get('/roommates/profile', async (req, res) => {
+  try {
+    const profile = await RoommateProfile.findOne({ user: req.user._id });
+
+    res.render('housing/profile-form', {
+      title: profile ? 'Edit Roommate Profile' : 'Create Roommate Profile',
+      profile,
+      errors: [],
+      formData: profile
+        ? { ...profile.toObject(), moveInDate: toDateInput(profile.moveInDate), isLooking: profile.isLooking ? 'on' : '' }
+        : { gender: 'unspecified', genderPreference: 'any', sleepSchedule: 'flexible', cleanliness: 'tidy', guests: 'sometimes', smoking: 'no', isLooking: 'on' }
+    });
+
+  } catch (error) {
+    console.error('Roommate profile form error:', error);
+    req.flash('error', 'Failed to load your roommate profile');
+    res.redirect('/housing/roommates');
+  }
+});
+
+// POST /housing/roommates/profile - Create or update your roommate profile
+router.post('/roommates/profile',
+  profileValidation,
+  logActivity('save roommate profile'),
+  async (req, res) => {
+    let profile = null;
+    try {
+      profile = await RoommateProfile.findOne({ user: req.user._id });
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.render('housing/profile-form', {
+          title: profile ? 'Edit Roommate Profile' : 'Create Roommate Profile',
+          profile,
+          errors: errors.array(),
+          formData: req.body
+        });
+      }
+
+      if (!profile) {
+        profile = new RoommateProfile({ user: req.user._id });
+      }
+      profile.set({ ...getProfileFields(req.body), campus: req.user.campus });
+      await profile.save();
+
+      req.flash('success', profile.isLooking ? 'Roommate profile saved - here are your best matches' : 'Roommate profile saved and hidden from the board');
+      res.redirect('/housing/roommates');
+
+    } catch (error) {
+      console.error('Roommate profile save error:', error);
+      res.render('housing/profile-form', {
+        title: profile ? 'Edit Roommate Profile' : 'Create Roommate Profile',
+        profile,
+        errors: [{ msg: 'Failed to save your profile. Please try again.' }],
+        formData: req.body
+      });
+    }
+  }
+);
+
+// DELETE /housing/roommates/profile - Delete your roommate profile
+router.delete('/roommates/profile',
+  logActivity('delete roommate profile'),
+  async (req, res) => {
+    try {
+      await RoommateProfile.deleteOne({ user: req.user._id });
+
+      if (wantsJson(req)) {
+        return res.json({ success: true });
+      }
+      req.flash('success', 'Roommate profile deleted');
+      res.redirect('/housing/roommates');
+
+    } catch (error) {
+      console.error('Roommate profile delete error:', error);
+      if (wantsJson(req)) {
+        return res.status(500).json({ success: false, message: 'Failed to delete profile' });
+      }
+      req.flash('error', 'Failed to delete your roommate profile');
+      res.redirect('/housing/roommates/profile');
+    }
+  }
+);
+
+// GET /housing/roommates/:id - Show a roommate profile and how well it fits yours
+router.get('/roommates/:id', loadProfile, async (req, res) => {
+  try {
+    const profile = req.profile;
+    const isOwner = profile.isOwner(req.user._id);
+    const myProfile = isOwner ? profile : await RoommateProfile.findOne({ user: req.user._id });
+
+    res.render('housing/profile', {
+      title: `${profile.user.displayName} - Roommate Profile`,
+      profile,
+      isOwner,
+      score: myProfile && !isOwner ? scoreCompatibility(myProfile, profile) : null,
+      contactError: isOwner ? null : messagingService.getMessagingError(req.user, profile.user),
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Roommate profile view error:', error);
+    req.flash('error', 'Failed to load roommate profile');
+    res.redirect('/housing/roommates');
+  }
+});
+
+// POST /housing/roommates/:id/contact - Message someone about their roommate profile
+router.post('/roommates/:id/contact',
+  loadProfile,
+  contactValidation,
+  logActivity('contact roommate'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect(`/housing/roommates/${req.profile._id}`);
+      }
+
+      // Re-read the recipient so a privacy change made since the page loaded is respected
+      const recipient = await User.findById(req.profile.user._id);
+      const messagingError = messagingService.getMessagingError(req.user, recipient);
+      if (messagingError) {
+        req.flash('error', messagingError);
+        return res.redirect(`/housing/roommates/${req.profile._id}`);
+      }
+
+      const content = `About your roommate profile:\n${req.body.content}`;
+      const conversation = await messagingService.sendDirectMessage(req.user, recipient, content);
+
+      res.redirect(`/users/messages/${conversation._id}`);
+
+    } catch (error) {
+      console.error('Contact roommate error:', error);
+      req.flash('error', 'Failed to send your message');
+      res.redirect(`/housing/roommates/${req.profile._id}`);
+    }
+  }
+);
+
+// GET /housing/:id - Show a single listing
+router.get('/:id', loadListing, (req, res) => {
+  const listing = req.listing;
+  const isOwner = listing.isOwner(req.user._id);
+
+  res.render('housing/show', {
+    title: listing.title,
+    listing,
+    isOwner,
+    canManage: isOwner || req.user.role === 'admin',
+    // Shown instead of the contact form when the owner can't be messaged
+    contactError: isOwner ? null : messagingService.getMessagingError(req.user, listing.owner),
+    user: req.user
+  });
+});
+
+// GET /housing/:id/edit - Show listing edit form
+router.get('/:id/edit', loadListing, requireOwner, (req, res) => {
+  const listing = req.listing;
+
+  res.render('housing/form', {
+    title: 'Edit Listing',
+    listing,
+    errors: [],
+    formData: {
+      title: listing.title,
+      description: listing.description,
+      roomType: listing.roomType,
+      rent: listing.rent,
+      deposit: listing.deposit,
+      area: listing.area,
+      availableFrom: toDateInput(listing.availableFrom),
+      genderPreference: listing.genderPreference,
+      furnished: listing.furnished ? 'on' : ''
+    }
+  });
+});
+
+// PUT /housing/:id - Update listing
+router.put('/:id',
+  loadListing,
+  requireOwner,
+  acceptHousingPhotos,
+  listingValidation,
+  logActivity('edit housing listing'),
+  async (req, res) => {
+    let addedPhotos = [];
+    try {
+      const errors = getListingFormErrors(req);
+
+      // Photos the owner ticked for removal
+      const removePhotos = [].concat(req.body.removePhotos || []);
+      const keptPhotos = req.listing.photos.filter(photo => !removePhotos.includes(photo.filename));
+      const removedPhotos = req.listing.photos.filter(photo => removePhotos.includes(photo.filename));
+
+      if (keptPhotos.length + (req.files || []).length > MAX_HOUSING_PHOTOS) {
+        errors.push({ msg: `A listing can have at most ${MAX_HOUSING_PHOTOS} photos` });
+      }
+
+      if (errors.length > 0) {
+        return res.render('housing/form', {
+          title: 'Edit Listing',
+          listing: req.listing,
+          errors,
+          formData: req.body
+        });
+      }
+
+      addedPhotos = await saveHousingPhotos(req.files);
+
+      req.listing.set(getListingFields(req.body));
+      req.listing.photos = [...keptPhotos, ...addedPhotos];
+      await req.listing.save();
+
+      await deleteHousingPhotos(removedPhotos);
+
+      req.flash('success', 'Listing updated successfully!');
+      res.redirect(`/housing/${req.listing._id}`);
+
+    } catch (error) {
+      console.error('Housing listing update error:', error);
+      await deleteHousingPhotos(addedPhotos);
+      res.render('housing/form', {
+        title: 'Edit Listing',
+        listing: req.listing,
+        errors: [{ msg: error.code === 'INVALID_FILE_TYPE' ? error.message : 'Failed to update listing. Please try again.' }],
+        formData: req.body
+      });
+    }
+  }
+);
+
+// POST /housing/:id/status - Mark a listing open or taken
+router.post('/:id/status',
+  loadListing,
+  requireOwner,
+  logActivity('update housing listing status'),
+  async (req, res) => {
+    try {
+      const { status } = req.body;
+      if (!HOUSING_STATUSES.includes(status)) {
+        if (wantsJson(req)) {
+          return res.status(400).json({ success: false, message: 'Invalid status' });
+        }
+        req.flash('error', 'Invalid status');
+        return res.redirect(`/housing/${req.listing._id}`);
+      }
+
+      req.listing.status = status;
+      await req.listing.save();
+
+      if (wantsJson(req)) {
+        return res.json({ success: true, status: req.listing.status });
+      }
+      req.flash('success', status === 'taken' ? 'Marked as taken and hidden from the board' : 'Listing is open again');
+      res.redirect(`/housing/${req.listing._id}`);
+
+    } catch (error) {
+      console.error('Housing listing status error:', error);
+      if (wantsJson(req)) {
+        return res.status(500).json({ success: false, message: 'Failed to update listing' });
+      }
+      req.flash('error', 'Failed to update listing');
+      res.redirect(`/housing/${req.listing._id}`);
+    }
+  }
+);
+
+// POST /housing/:id/contact - Message the owner about a listing
+router.post('/:id/contact',
+  loadListing,
+  contactValidation,
+  logActivity('contact housing owner'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect(`/housing/${req.listing._id}`);
+      }
+
+      // Re-read the owner so a privacy change made since the page loaded is respected
+      const owner = await User.findById(req.listing.owner._id);
+      const messagingError = messagingService.getMessagingError(req.user, owner);
+      if (messagingError) {
+        req.flash('error', messagingError);
+        return res.redirect(`/housing/${req.listing._id}`);
+      }
+
+      if (req.listing.status !== 'open') {
+        req.flash('error', 'This room has already been taken');
+        return res.redirect(`/housing/${req.listing._id}`);
+      }
+
+      const content = `About your room "${req.listing.title}":\n${req.body.content}`;
+      const conversation = await messagingService.sendDirectMessage(req.user, owner, content);
+
+      res.redirect(`/users/messages/${conversation._id}`);
+
+    } catch (error) {
+      console.error('Contact housing owner error:', error);
+      req.flash('error', 'Failed to send your message');
+      res.redirect(`/housing/${req.listing._id}`);
+    }
+  }
+);
+
+// DELETE /housing/:id - Delete listing
+router.delete('/:id',
+  loadListing,
+  requireOwner,
+  logActivity('delete housing listing'),
+  async (req, res) => {
+    try {
+      const photos = req.listing.photos;
+      await req.listing.deleteOne();
+      await deleteHousingPhotos(photos);
+
+      if (wantsJson(req)) {
+        return res.json({ success: true });
+      }
+      req.flash('success', 'Listing deleted');
+      res.redirect('/housing?view=mine');
+
+    } catch (error) {
+      console.error('Housing listing delete error:', error);
+      if (wantsJson(req)) {
+        return res.status(500).json({ success: false, message: 'Failed to delete listing' });
+      }
+      req.flash('error', 'Failed to delete listing');
+      res.redirect(`/housing/${req.listing._id}`);
+    }
+  }
+);
+
+module.exports = router;
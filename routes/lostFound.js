@@ -0,0 +1,337 @@
+/**
+ * Lost & Found Routes - UConnect
+ * Lost and found reports, with suggested matches between the two
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const LostFoundReport = require('../models/LostFoundReport');
+const { logActivity } = require('../middleware/auth');
+const { uploadLostFoundPhoto, saveLostFoundPhoto, deleteLostFoundPhotos } = require('../middleware/upload');
+const notificationService = require('../services/notificationService');
+const messagingService = require('../services/messagingService');
+const { REPORT_TYPES, ITEM_CATEGORIES, ITEM_CATEGORY_LABELS } = LostFoundReport;
+
+const router = express.Router();
+
+const REPORTER_FIELDS = 'displayName username email avatarHash avatarSeed avatarStyle avatarType isActive campus privacy';
+const REPORTS_PER_PAGE = 20;
+// Only the best few matches notify anyone, so a vague report can't spam the board
+const MAX_MATCH_NOTIFICATIONS = 3;
+
+// Options every lost & found view needs for filters and forms
+router.use((req, res, next) => {
+  res.locals.itemCategories = ITEM_CATEGORIES;
+  res.locals.itemCategoryLabels = ITEM_CATEGORY_LABELS;
+  next();
+});
+
+// Validation rules
+const reportValidation = [
+  body('type')
+    .isIn(REPORT_TYPES)
+    .withMessage('Please choose lost or found'),
+  body('title')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Item name must be between 2 and 100 characters'),
+  body('category')
+    .isIn(ITEM_CATEGORIES)
+    .withMessage('Please choose a category'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('location')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Location must be between 2 and 200 characters'),
+  body('date')
+    .isISO8601()
+    .withMessage('Please choose a valid date')
+    .custom(value => new Date(value) <= new Date())
+    .withMessage('Date cannot be in the future')
+];
+
+const wantsJson = (req) => req.xhr || req.headers.accept?.includes('application/json');
+
+// Parse multipart report forms, keeping upload errors for the form to display
+const acceptReportPhoto = (req, res, next) => {
+  uploadLostFoundPhoto.single('photo')(req, res, (error) => {
+    if (error) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        req.uploadError = 'The photo must be 5MB or smaller';
+      } else if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        req.uploadError = 'You can add one photo';
+      } else {
+        req.uploadError = 'Failed to upload photo';
+      }
+    }
+    next();
+  });
+};
+
+// Collect validation and upload errors for a report form
+const getReportFormErrors = (req) => {
+  const errors = validationResult(req).array();
+  if (req.uploadError) {
+    errors.push({ msg: req.uploadError });
+  }
+  return errors;
+};
+
+// Load the report in :id, limited to the viewer's campus
+const loadReport = async (req, res, next) => {
+  try {
+    const report = mongoose.isValidObjectId(req.params.id)
+      ? await LostFoundReport.findById(req.params.id).populate('reporter', REPORTER_FIELDS)
+      : null;
+
+    if (!report) {
+      if (wantsJson(req)) {
+        return res.status(404).json({ success: false, message: 'Report not found' });
+      }
+      req.flash('error', 'Report not found');
+      return res.redirect('/lost-found');
+    }
+
+    if (report.campus !== req.user.campus) {
+      if (wantsJson(req)) {
+        return res.status(403).json({ success: false, message: 'You can only view reports from your campus' });
+      }
+      req.flash('error', 'You can only view reports from your campus');
+      return res.redirect('/lost-found');
+    }
+
+    req.report = report;
+    next();
+  } catch (error) {
+    console.error('Load report error:', error);
+    req.flash('error', 'Failed to load report');
+    res.redirect('/lost-found');
+  }
+};
+
+// Only the reporter or an admin may change a report
+const requireReporter = (req, res, next) => {
+  if (!req.report.isReporter(req.user._id) && req.user.role !== 'admin') {
+    if (wantsJson(req)) {
+      return res.status(403).json({ success: false, message: 'Only the person who filed this report can change it' });
+    }
+    req.flash('error', 'Only the person who filed this report can change it');
+    return res.redirect(`/lost-found/${req.report._id}`);
+  }
+  next();
+};
+
+// Tell both people about each likely match for a new report
+const notifyMatches = (report, reporter, matches) => Promise.all(
+  matches.slice(0, MAX_MATCH_NOTIFICATIONS).flatMap(({ report: match }) => [
+    notificationService.notify({
+      recipientId: match.reporter._id,
+      actor: reporter,
+      type: 'lost_found',
+      link: `/lost-found/${report._id}`,
+      message: `Possible match for your ${match.type} ${match.title}: ${report.title} was reported ${report.type}`.substring(0, 200)
+    }),
+    notificationService.notify({
+      recipientId: reporter._id,
+      actor: match.reporter,
+      type: 'lost_found',
+      link: `/lost-found/${match._id}`,
+      message: `Possible match for your ${report.type} ${report.title}: ${match.title} was reported ${match.type}`.substring(0, 200)
+    })
+  ])
+);
+
+// GET /lost-found - Open reports on your campus, or the archive
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const view = req.query.view === 'archived' ? 'archived' : 'open';
+    const type = REPORT_TYPES.includes(req.query.type) ? req.query.type : null;
+    const category = ITEM_CATEGORIES.includes(req.query.category) ? req.query.category : null;
+
+    const reports = await LostFoundReport.getBoard(req.user.campus, {
+      type,
+      category,
+      status: view === 'archived' ? 'resolved' : 'open'
+    }, REPORTS_PER_PAGE + 1, (page - 1) * REPORTS_PER_PAGE);
+
+    // Page links keep the current filters
+    const query = new URLSearchParams();
+    if (view === 'archived') {
+      query.set('view', view);
+    }
+    if (type) {
+      query.set('type', type);
+    }
+    if (category) {
+      query.set('category', category);
+    }
+
+    res.render('lost-found/index', {
+      title: 'Lost & Found',
+      reports: reports.slice(0, REPORTS_PER_PAGE),
+      currentView: view,
+      currentType: type,
+      currentCategory: category,
+      filterQuery: query.toString(),
+      currentPage: page,
+      hasNextPage: reports.length > REPORTS_PER_PAGE,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Lost & found error:', error);
+    req.flash('error', 'Failed to load lost & found');
+    res.redirect('/posts');
+  }
+});
+
+// GET /lost-found/create - Show report form
+router.get('/create', (req, res) => {
+  res.render('lost-found/form', {
+    title: 'New Report',
+    errors: [],
+    formData: { type: REPORT_TYPES.includes(req.query.type) ? req.query.type : 'lost' }
+  });
+});
+
+// POST /lost-found/create - File a report and look for matches
+router.post('/create',
+  acceptReportPhoto,
+  reportValidation,
+  logActivity('create lost & found report'),
+  async (req, res) => {
+    let photo = null;
+    try {
+      const errors = getReportFormErrors(req);
+      if (errors.length > 0) {
+        return res.render('lost-found/form', {
+          title: 'New Report',
+          errors,
+          formData: req.body
+        });
+      }
+
+      const { type, title, category, description, location, date } = req.body;
+
+      photo = await saveLostFoundPhoto(req.file);
+
+      const report = await LostFoundReport.create({
+        type,
+        title,
+        category,
+        description: description || '',
+        location,
+        date: new Date(date),
+        photo,
+        reporter: req.user._id,
+        campus: req.user.campus
+      });
+
+      const matches = await report.findMatches();
+      await notifyMatches(report, req.user, matches);
+
+      req.flash('success', matches.length > 0
+        ? `Report posted - we found ${matches.length} possible ${matches.length === 1 ? 'match' : 'matches'}`
+        : "Report posted - we'll let you know if a match turns up");
+      res.redirect(`/lost-found/${report._id}`);
+
+    } catch (error) {
+      console.error('Report creation error:', error);
+      await deleteLostFoundPhotos([photo]);
+      res.render('lost-found/form', {
+        title: 'New Report',
+        errors: [{ msg: error.code === 'INVALID_FILE_TYPE' ? error.message : 'Failed to post report. Please try again.' }],
+        formData: req.body
+      });
+    }
+  }
+);
+
+// GET /lost-found/:id - Show a report and its likely matches
+router.get('/:id', loadReport, async (req, res) => {
+  try {
+    const report = req.report;
+    const isReporter = report.isReporter(req.user._id);
+
+    res.render('lost-found/show', {
+      title: report.title,
+      report,
+      // Suggestions are only useful to the person who filed the report
+      matches: isReporter && report.status === 'open' ? await report.findMatches() : [],
+      isReporter,
+      canManage: isReporter || req.user.role === 'admin',
+      contactError: isReporter ? null : messagingService.getMessagingError(req.user, report.reporter),
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Report view error:', error);
+    req.flash('error', 'Failed to load report');
+    res.redirect('/lost-found');
+  }
+});
+
+// POST /lost-found/:id/resolve - Archive a report once the item is back with its owner
+router.post('/:id/resolve',
+  loadReport,
+  requireReporter,
+  logActivity('resolve lost & found report'),
+  async (req, res) => {
+    try {
+      if (req.report.status !== 'resolved') {
+        req.report.resolve();
+        await req.report.save();
+      }
+
+      if (wantsJson(req)) {
+        return res.json({ success: true, status: req.report.status });
+      }
+      req.flash('success', 'Marked as resolved and moved to the archive');
+      res.redirect(`/lost-found/${req.report._id}`);
+
+    } catch (error) {
+      console.error('Report resolve error:', error);
+      if (wantsJson(req)) {
+        return res.status(500).json({ success: false, message: 'Failed to resolve report' });
+      }
+      req.flash('error', 'Failed to resolve report');
+      res.redirect(`/lost-found/${req.report._id}`);
+    }
+  }
+);
+
+// DELETE /lost-found/:id - Delete report
+router.delete('/:id',
+  loadReport,
+  requireReporter,
+  logActivity('delete lost & found report'),
+  async (req, res) => {
+    try {
+      const photo = req.report.photo;
+      await req.report.deleteOne();
+      await deleteLostFoundPhotos([photo]);
+
+      if (wantsJson(req)) {
+        return res.json({ success: true });
+      }
+      req.flash('success', 'Report deleted');
+      res.redirect('/lost-found');
+
+    } catch (error) {
+      console.error('Report delete error:', error);
+      if (wantsJson(req)) {
+        return res.status(500).json({ success: false, message: 'Failed to delete report' });
+      }
+      req.flash('error', 'Failed to delete report');
+      res.redirect(`/lost-found/${req.report._id}`);
+    }
+  }
+);
+
+module.exports = router;
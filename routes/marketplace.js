@@ -0,0 +1,496 @@
+/**
+ * Marketplace Routes - UConnect
+ * Buying and selling textbooks, electronics and furniture on campus
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Listing = require('../models/Listing');
+const User = require('../models/User');
+const { logActivity } = require('../middleware/auth');
+const { uploadListingPhotos, saveListingPhotos, deleteListingPhotos, MAX_LISTING_PHOTOS } = require('../middleware/upload');
+const messagingService = require('../services/messagingService');
+const {
+  LISTING_CATEGORIES,
+  LISTING_CATEGORY_LABELS,
+  LISTING_CONDITIONS,
+  LISTING_CONDITION_LABELS,
+  LISTING_STATUSES,
+  LISTING_EXPIRY_DAYS
+} = Listing;
+
+const router = express.Router();
+
+const SELLER_FIELDS = 'displayName username email avatarHash avatarSeed avatarStyle avatarType isActive campus privacy';
+const LISTINGS_PER_PAGE = 24;
+const LISTING_SORTS = ['newest', 'price_low', 'price_high'];
+
+// Options every marketplace view needs for filters and forms
+router.use((req, res, next) => {
+  res.locals.listingCategories = LISTING_CATEGORIES;
+  res.locals.listingCategoryLabels = LISTING_CATEGORY_LABELS;
+  res.locals.listingConditions = LISTING_CONDITIONS;
+  res.locals.listingConditionLabels = LISTING_CONDITION_LABELS;
+  res.locals.maxListingPhotos = MAX_LISTING_PHOTOS;
+  next();
+});
+
+// Validation rules
+const listingValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  body('price')
+    .isFloat({ min: 0, max: 10000000 })
+    .withMessage('Please enter a valid price'),
+  body('condition')
+    .isIn(LISTING_CONDITIONS)
+    .withMessage('Please choose a condition'),
+  body('category')
+    .isIn(LISTING_CATEGORIES)
+    .withMessage('Please choose a category')
+];
+
+const contactValidation = [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 900 })
+    .withMessage('Message must be between 1 and 900 characters')
+];
+
+const wantsJson = (req) => req.xhr || req.headers.accept?.includes('application/json');
+
+// Parse multipart listing forms, keeping upload errors for the form to display
+const acceptListingPhotos = (req, res, next) => {
+  uploadListingPhotos.array('photos', MAX_LISTING_PHOTOS)(req, res, (error) => {
+    if (error) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        req.uploadError = 'Each photo must be 5MB or smaller';
+      } else if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        req.uploadError = `You can add up to ${MAX_LISTING_PHOTOS} photos`;
+      } else {
+        req.uploadError = 'Failed to upload photos';
+      }
+    }
+    next();
+  });
+};
+
+// Collect validation and upload errors for a listing form
+const getListingFormErrors = (req) => {
+  const errors = validationResult(req).array();
+  if (req.uploadError) {
+    errors.push({ msg: req.uploadError });
+  }
+  return errors;
+};
+
+// Listing fields from a submitted form
+const getListingFields = (formBody) => ({
+  title: formBody.title,
+  description: formBody.description || '',
+  // Whole rupees keep prices readable
+  price: Math.round(parseFloat(formBody.price)),
+  condition: formBody.condition,
+  category: formBody.category
+});
+
+// Parse an optional price filter
+const parsePrice = (value) => {
+  const price = parseFloat(value);
+  return Number.isFinite(price) && price >= 0 ? price : undefined;
+};
+
+// Load the listing in :id, limited to the viewer's campus
+const loadListing = async (req, res, next) => {
+  try {
+    const listing = mongoose.isValidObjectId(req.params.id)
+      ? await Listing.findById(req.params.id).populate('seller', SELLER_FIELDS)
+      : null;
+
+    if (!listing) {
+      if (wantsJson(req)) {
+        return res.status(404).json({ success: false, message: 'Listing not found' });
+      }
+      req.flash('error', 'Listing not found');
+      return res.redirect('/marketplace');
+    }
+
+    if (listing.campus !== req.user.campus) {
+      if (wantsJson(req)) {
+        return res.status(403).json({ success: false, message: 'You can only view listings from your campus' });
+      }
+      req.flash('error', 'You can only view listings from your campus');
+      return res.redirect('/marketplace');
+    }
+
+    req.listing = listing;
+    next();
+  } catch (error) {
+    console.error('Load listing error:', error);
+    req.flash('error', 'Failed to load listing');
+    res.redirect('/marketplace');
+  }
+};
+
+// Only the seller or an admin may change a listing
+const requireSeller = (req, res, next) => {
+  if (!req.listing.isSeller(req.user._id) && req.user.role !== 'admin') {
+    if (wantsJson(req)) {
+      return res.status(403).json({ success: false, message: 'Only the seller can change this listing' });
+    }
+    req.flash('error', 'Only the seller can change this listing');
+    return res.redirect(`/marketplace/${req.listing._id}`);
+  }
+  next();
+};
+
+// GET /marketplace - Browse listings on your campus
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const filters = {
+      category: LISTING_CATEGORIES.includes(req.query.category) ? req.query.category : null,
+      condition: LISTING_CONDITIONS.includes(req.query.condition) ? req.query.condition : null,
+      minPrice: parsePrice(req.query.minPrice),
+      maxPrice: parsePrice(req.query.maxPrice),
+      search: typeof req.query.q === 'string' ? req.query.q.trim().substring(0, 100) : '',
+      sort: LISTING_SORTS.includes(req.query.sort) ? req.query.sort : 'newest'
+    };
+
+    const listings = await Listing.browse(req.user.campus, filters, LISTINGS_PER_PAGE + 1, (page - 1) * LISTINGS_PER_PAGE);
+
+    // Page links keep the current filters
+    const query = new URLSearchParams();
+    if (filters.search) {
+      query.set('q', filters.search);
+    }
+    if (filters.category) {
+      query.set('category', filters.category);
+    }
+    if (filters.condition) {
+      query.set('condition', filters.condition);
+    }
+    if (filters.minPrice !== undefined) {
+      query.set('minPrice', filters.minPrice);
+    }
+    if (filters.maxPrice !== undefined) {
+      query.set('maxPrice', filters.maxPrice);
+    }
+    if (filters.sort !== 'newest') {
+      query.set('sort', filters.sort);
+    }
+
+    res.render('marketplace/index', {
+      title: 'Marketplace',
+      listings: listings.slice(0, LISTINGS_PER_PAGE),
+      filters,
+      filterQuery: query.toString(),
+      currentPage: page,
+      hasNextPage: listings.length > LISTINGS_PER_PAGE,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Marketplace error:', error);
+    req.flash('error', 'Failed to load the marketplace');
+    res.redirect('/posts');
+  }
+});
+
+// GET /marketplace/mine - Your listings, including sold and expired ones
+router.get('/mine', async (req, res) => {
+  try {
+    const listings = await Listing.getForSeller(req.user._id);
+
+    res.render('marketplace/mine', {
+      title: 'My Listings',
+      listings,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('My listings error:', error);
+    req.flash('error', 'Failed to load your listings');
+    res.redirect('/marketplace');
+  }
+});
+
+// GET /marketplace/create - Show listing creation form
+router.get('/create', (req, res) => {
+  res.render('marketplace/form', {
+    title: 'Sell Something',
+    listing: null,
+    errors: [],
+    formData: {}
+  });
+});
+
+// POST /marketplace/create - Handle listing creation
+router.post('/create',
+  acceptListingPhotos,
+  listingValidation,
+  logActivity('create listing'),
+  async (req, res) => {
+    let photos = [];
+    try {
+      const errors = getListingFormErrors(req);
+      if (errors.length > 0) {
+        return res.render('marketplace/form', {
+          title: 'Sell Something',
+          listing: null,
+          errors,
+          formData: req.body
+        });
+      }
+
+      photos = await saveListingPhotos(req.files);
+
+      const listing = await Listing.create({
+        ...getListingFields(req.body),
+        photos,
+        seller: req.user._id,
+        campus: req.user.campus
+      });
+
+      req.flash('success', `Listing posted! It stays up for ${LISTING_EXPIRY_DAYS} days.`);
+      res.redirect(`/marketplace/${listing._id}`);
+
+    } catch (error) {
+      console.error('Listing creation error:', error);
+      await deleteListingPhotos(photos);
+      res.render('marketplace/form', {
+        title: 'Sell Something',
+        listing: null,
+        errors: [{ msg: error.code === 'INVALID_FILE_TYPE' ? error.message : 'Failed to create listing. Please try again.' }],
+        formData: req.body
+      });
+    }
+  }
+);
+
+// GET /marketplace/:id - Show a single listing
+router.get('/:id', loadListing, (req, res) => {
+  const listing = req.listing;
+  const isSeller = listing.isSeller(req.user._id);
+
+  res.render('marketplace/show', {
+    title: listing.title,
+    listing,
+    isSeller,
+    canManage: isSeller || req.user.role === 'admin',
+    // Shown instead of the contact form when the seller can't be messaged
+    contactError: isSeller ? null : messagingService.getMessagingError(req.user, listing.seller),
+    user: req.user
+  });
+});
+
+// GET /marketplace/:id/edit - Show listing edit form
+router.get('/:id/edit', loadListing, requireSeller, (req, res) => {
+  const listing = req.listing;
+
+  res.render('marketplace/form', {
+    title: 'Edit Listing',
+    listing,
+    errors: [],
+    formData: {
+      title: listing.title,
+      description: listing.description,
+      price: listing.price,
+      condition: listing.condition,
+      category: listing.category
+    }
+  });
+});
+
+// PUT /marketplace/:id - Update listing
+router.put('/:id',
+  loadListing,
+  requireSeller,
+  acceptListingPhotos,
+  listingValidation,
+  logActivity('edit listing'),
+  async (req, res) => {
+    let addedPhotos = [];
+    try {
+      const errors = getListingFormErrors(req);
+
+      // Photos the seller ticked for removal
+      const removePhotos = [].concat(req.body.removePhotos || []);
+      const keptPhotos = req.listing.photos.filter(photo => !removePhotos.includes(photo.filename));
+      const removedPhotos = req.listing.photos.filter(photo => removePhotos.includes(photo.filename));
+
+      if (keptPhotos.length + (req.files || []).length > MAX_LISTING_PHOTOS) {
+        errors.push({ msg: `A listing can have at most ${MAX_LISTING_PHOTOS} photos` });
+      }
+
+      if (errors.length > 0) {
+        return res.render('marketplace/form', {
+          title: 'Edit Listing',
+          listing: req.listing,
+          errors,
+          formData: req.body
+        });
+      }
+
+      addedPhotos = await saveListingPhotos(req.files);
+
+      req.listing.set(getListingFields(req.body));
+      req.listing.photos = [...keptPhotos, ...addedPhotos];
+      await req.listing.save();
+
+      await deleteListingPhotos(removedPhotos);
+
+      req.flash('success', 'Listing updated successfully!');
+      res.redirect(`/marketplace/${req.listing._id}`);
+
+    } catch (error) {
+      console.error('Listing update error:', error);
+      await deleteListingPhotos(addedPhotos);
+      res.render('marketplace/form', {
+        title: 'Edit Listing',
+        listing: req.listing,
+        errors: [{ msg: error.code === 'INVALID_FILE_TYPE' ? error.message : 'Failed to update listing. Please try again.' }],
+        formData: req.body
+      });
+    }
+  }
+);
+
+// POST /marketplace/:id/status - Mark a listing available, reserved or sold
+router.post('/:id/status',
+  loadListing,
+  requireSeller,
+  logActivity('update listing status'),
+  async (req, res) => {
+    try {
+      const { status } = req.body;
+      if (!LISTING_STATUSES.includes(status)) {
+        if (wantsJson(req)) {
+          return res.status(400).json({ success: false, message: 'Invalid status' });
+        }
+        req.flash('error', 'Invalid status');
+        return res.redirect(`/marketplace/${req.listing._id}`);
+      }
+
+      req.listing.setStatus(status);
+      await req.listing.save();
+
+      if (wantsJson(req)) {
+        return res.json({ success: true, status: req.listing.status });
+      }
+      req.flash('success', status === 'sold' ? 'Marked as sold - congrats!' : `Listing marked ${status}`);
+      res.redirect(`/marketplace/${req.listing._id}`);
+
+    } catch (error) {
+      console.error('Listing status error:', error);
+      if (wantsJson(req)) {
+        return res.status(500).json({ success: false, message: 'Failed to update listing' });
+      }
+      req.flash('error', 'Failed to update listing');
+      res.redirect(`/marketplace/${req.listing._id}`);
+    }
+  }
+);
+
+// POST /marketplace/:id/renew - Put an expired listing back up
+router.post('/:id/renew',
+  loadListing,
+  requireSeller,
+  logActivity('renew listing'),
+  async (req, res) => {
+    try {
+      if (req.listing.status === 'sold') {
+        req.flash('error', 'Sold listings cannot be renewed');
+        return res.redirect(`/marketplace/${req.listing._id}`);
+      }
+
+      req.listing.renew();
+      await req.listing.save();
+
+      req.flash('success', `Listing renewed for another ${LISTING_EXPIRY_DAYS} days`);
+      res.redirect(`/marketplace/${req.listing._id}`);
+
+    } catch (error) {
+      console.error('Listing renew error:', error);
+      req.flash('error', 'Failed to renew listing');
+      res.redirect(`/marketplace/${req.listing._id}`);
+    }
+  }
+);
+
+// POST /marketplace/:id/contact - Message the seller about a listing
+router.post('/:id/contact',
+  loadListing,
+  contactValidation,
+  logActivity('contact seller'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect(`/marketplace/${req.listing._id}`);
+      }
+
+      // Re-read the seller so a privacy change made since the page loaded is respected
+      const seller = await User.findById(req.listing.seller._id);
+      const messagingError = messagingService.getMessagingError(req.user, seller);
+      if (messagingError) {
+        req.flash('error', messagingError);
+        return res.redirect(`/marketplace/${req.listing._id}`);
+      }
+
+      if (req.listing.status === 'sold' || req.listing.isExpired) {
+        req.flash('error', 'This listing is no longer available');
+        return res.redirect(`/marketplace/${req.listing._id}`);
+      }
+
+      const content = `About your listing "${req.listing.title}":\n${req.body.content}`;
+      const conversation = await messagingService.sendDirectMessage(req.user, seller, content);
+
+      res.redirect(`/users/messages/${conversation._id}`);
+
+    } catch (error) {
+      console.error('Contact seller error:', error);
+      req.flash('error', 'Failed to message the seller');
+      res.redirect(`/marketplace/${req.listing._id}`);
+    }
+  }
+);
+
+// DELETE /marketplace/:id - Delete listing
+router.delete('/:id',
+  loadListing,
+  requireSeller,
+  logActivity('delete listing'),
+  async (req, res) => {
+    try {
+      const photos = req.listing.photos;
+      await req.listing.deleteOne();
+      await deleteListingPhotos(photos);
+
+      if (wantsJson(req)) {
+        return res.json({ success: true });
+      }
+      req.flash('success', 'Listing deleted');
+      res.redirect('/marketplace/mine');
+
+    } catch (error) {
+      console.error('Listing delete error:', error);
+      if (wantsJson(req)) {
+        return res.status(500).json({ success: false, message: 'Failed to delete listing' });
+      }
+      req.flash('error', 'Failed to delete listing');
+      res.redirect(`/marketplace/${req.listing._id}`);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,201 @@
+/**
+ * Message Routes - UConnect
+ * Handles the direct message inbox and conversation threads
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { logActivity } = require('../middleware/auth');
+const messagingService = require('../services/messagingService');
+
+const router = express.Router();
+
+// Validation rules
+const messageValidation = [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Message must be between 1 and 1000 characters')
+];
+
+// GET /users/messages - Show inbox
+router.get('/', async (req, res) => {
+  try {
+    const conversations = (await Conversation.getInbox(req.user._id))
+      .filter(conversation => conversation.getOtherParticipant(req.user._id));
+    const unreadByConversation = await Message.countUnreadByConversation(req.user._id);
+
+    res.render('users/messages/inbox', {
+      title: 'Messages',
+      conversations,
+      unreadByConversation,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Inbox error:', error);
+    req.flash('error', 'Failed to load messages');
+    res.redirect('/posts');
+  }
+});
+
+// GET /users/messages/with/:userId - Open (or start) a conversation with a user
+router.get('/with/:userId', async (req, res) => {
+  try {
+    const recipient = await User.findById(req.params.userId);
+
+    const conversation = recipient && await Conversation.findBetween(req.user._id, recipient._id);
+    if (conversation) {
+      return res.redirect(`/users/messages/${conversation._id}`);
+    }
+
+    const messagingError = messagingService.getMessagingError(req.user, recipient);
+    if (messagingError) {
+      req.flash('error', messagingError);
+      return res.redirect(recipient && recipient.isActive ? `/users/${recipient._id}` : '/users/messages');
+    }
+
+    res.render('users/messages/thread', {
+      title: `Message ${recipient.displayName}`,
+      conversation: null,
+      messages: [],
+      otherUser: recipient,
+      canReply: true,
+      formAction: `/users/messages/with/${recipient._id}`,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('New conversation error:', error);
+    req.flash('error', 'Failed to open conversation');
+    res.redirect('/users/messages');
+  }
+});
+
+// POST /users/messages/with/:userId - Send the first message to a user
+router.post('/with/:userId',
+  messageValidation,
+  logActivity('send message'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect(`/users/messages/with/${req.params.userId}`);
+      }
+
+      const recipient = await User.findById(req.params.userId);
+      const messagingError = messagingService.getMessagingError(req.user, recipient);
+      if (messagingError) {
+        req.flash('error', messagingError);
+        return res.redirect('/users/messages');
+      }
+
+      const conversation = await messagingService.sendDirectMessage(req.user, recipient, req.body.content);
+
+      res.redirect(`/users/messages/${conversation._id}`);
+
+    } catch (error) {
+      console.error('Send message error:', error);
+      req.flash('error', 'Failed to send message');
+      res.redirect('/users/messages');
+    }
+  }
+);
+
+// GET /users/messages/:id - Show a conversation thread
+router.get('/:id', async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id)
+      .populate('participants', 'displayName username email avatarHash avatarSeed avatarStyle avatarType isActive campus privacy');
+
+    if (!conversation || !conversation.hasParticipant(req.user._id)) {
+      req.flash('error', 'Conversation not found');
+      return res.redirect('/users/messages');
+    }
+
+    const otherUser = conversation.getOtherParticipant(req.user._id);
+    if (!otherUser) {
+      req.flash('error', 'Conversation not found');
+      return res.redirect('/users/messages');
+    }
+
+    const messages = await Message.getThread(conversation._id);
+    await Message.markThreadRead(conversation._id, req.user._id);
+
+    res.render('users/messages/thread', {
+      title: `Chat with ${otherUser.displayName}`,
+      conversation,
+      messages,
+      otherUser,
+      canReply: !messagingService.getMessagingError(req.user, otherUser),
+      formAction: `/users/messages/${conversation._id}`,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Conversation error:', error);
+    req.flash('error', 'Failed to load conversation');
+    res.redirect('/users/messages');
+  }
+});
+
+// POST /users/messages/:id - Reply in a conversation
+router.post('/:id',
+  messageValidation,
+  logActivity('send message'),
+  async (req, res) => {
+    const wantsJson = req.xhr || req.headers.accept?.includes('application/json');
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        if (wantsJson) {
+          return res.status(400).json({ success: false, message: errors.array()[0].msg });
+        }
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect(`/users/messages/${req.params.id}`);
+      }
+
+      const conversation = await Conversation.findById(req.params.id);
+      if (!conversation || !conversation.hasParticipant(req.user._id)) {
+        if (wantsJson) {
+          return res.status(404).json({ success: false, message: 'Conversation not found' });
+        }
+        req.flash('error', 'Conversation not found');
+        return res.redirect('/users/messages');
+      }
+
+      const recipient = await User.findById(conversation.getOtherParticipant(req.user._id));
+      const messagingError = messagingService.getMessagingError(req.user, recipient);
+      if (messagingError) {
+        if (wantsJson) {
+          return res.status(403).json({ success: false, message: messagingError });
+        }
+        req.flash('error', messagingError);
+        return res.redirect(`/users/messages/${conversation._id}`);
+      }
+
+      const message = await messagingService.sendMessage(conversation, req.user, recipient, req.body.content);
+
+      if (wantsJson) {
+        return res.json({ success: true, message });
+      }
+
+      res.redirect(`/users/messages/${conversation._id}`);
+
+    } catch (error) {
+      console.error('Reply error:', error);
+      if (wantsJson) {
+        return res.status(500).json({ success: false, message: 'Failed to send message' });
+      }
+      req.flash('error', 'Failed to send message');
+      res.redirect('/users/messages');
+    }
+  }
+);
+
+module.exports = router;
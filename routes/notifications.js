@@ -0,0 +1,99 @@
+/**
+ * Notification Routes - UConnect
+ * Handles the in-app notification center
+ */
+
+const express = require('express');
+const Notification = require('../models/Notification');
+
+const router = express.Router();
+
+// GET /users/notifications - Show notification center
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = 20;
+    const skip = (page - 1) * limit;
+
+    const notifications = await Notification.getForUser(req.user._id, limit, skip);
+    const unreadCount = await Notification.countUnreadFor(req.user._id);
+
+    res.render('users/notifications', {
+      title: 'Notifications',
+      notifications,
+      unreadCount,
+      currentPage: page,
+      hasNextPage: notifications.length === limit,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Notifications error:', error);
+    req.flash('error', 'Failed to load notifications');
+    res.redirect('/posts');
+  }
+});
+
+// POST /users/notifications/read-all - Mark every notification as read
+router.post('/read-all', async (req, res) => {
+  try {
+    await Notification.markAllRead(req.user._id);
+
+    if (req.xhr || req.headers.accept?.includes('application/json')) {
+      return res.json({ success: true, unreadCount: 0 });
+    }
+
+    req.flash('success', 'All notifications marked as read');
+    res.redirect('/users/notifications');
+
+  } catch (error) {
+    console.error('Mark all read error:', error);
+    if (req.xhr || req.headers.accept?.includes('application/json')) {
+      return res.status(500).json({ success: false, message: 'Failed to update notifications' });
+    }
+    req.flash('error', 'Failed to update notifications');
+    res.redirect('/users/notifications');
+  }
+});
+
+// POST /users/notifications/:id/read - Mark one notification as read
+router.post('/:id/read', async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user._id
+    });
+
+    if (!notification) {
+      if (req.xhr || req.headers.accept?.includes('application/json')) {
+        return res.status(404).json({ success: false, message: 'Notification not found' });
+      }
+      req.flash('error', 'Notification not found');
+      return res.redirect('/users/notifications');
+    }
+
+    notification.markRead();
+    await notification.save();
+
+    if (req.xhr || req.headers.accept?.includes('application/json')) {
+      const unreadCount = await Notification.countUnreadFor(req.user._id);
+      return res.json({ success: true, unreadCount });
+    }
+
+    // Follow the notification through to what it is about; links are always in-app paths
+    if (notification.link && notification.link.startsWith('/') && !notification.link.startsWith('//')) {
+      return res.redirect(notification.link);
+    }
+    res.redirect(notification.post ? `/posts/${notification.post}` : '/users/notifications');
+
+  } catch (error) {
+    console.error('Mark read error:', error);
+    if (req.xhr || req.headers.accept?.includes('application/json')) {
+      return res.status(500).json({ success: false, message: 'Failed to update notification' });
+    }
+    req.flash('error', 'Failed to update notification');
+    res.redirect('/users/notifications');
+  }
+});
+
+module.exports = router;
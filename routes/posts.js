@@ -4,19 +4,44 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Post = require('../models/Post');
+const { POST_CATEGORIES, CATEGORY_LABELS } = require('../models/Post');
 const User = require('../models/User');
+const Comment = require('../models/Comment');
+const Club = require('../models/Club');
 const { requireOwnership, logActivity } = require('../middleware/auth');
+const { uploadPostMedia, savePostMedia, deletePostMedia, MAX_POST_ATTACHMENTS } = require('../middleware/upload');
+const realtimeService = require('../services/realtimeService');
+const notificationService = require('../services/notificationService');
+const feedService = require('../services/feedService');
+const { FEED_FILTERS } = require('../services/feedService');
 
 const router = express.Router();
 
+// Post forms show the attachment limit and the category picker, feeds show category chips
+router.use((req, res, next) => {
+  res.locals.maxAttachments = MAX_POST_ATTACHMENTS;
+  res.locals.postCategories = POST_CATEGORIES;
+  res.locals.categoryLabels = CATEGORY_LABELS;
+  next();
+});
+
 // Validation rules
 const postValidation = [
   body('content')
     .trim()
     .isLength({ min: 1, max: 2000 })
-    .withMessage('Post content must be between 1 and 2000 characters')
+    .withMessage('Post content must be between 1 and 2000 characters'),
+  body('category')
+    .optional({ checkFalsy: true })
+    .isIn(POST_CATEGORIES)
+    .withMessage('Please choose a valid category'),
+  body('club')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Please choose a valid club')
 ];
 
 const commentValidation = [
@@ -26,77 +51,143 @@ const commentValidation = [
     .withMessage('Comment must be between 1 and 500 characters')
 ];
 
+// Parse multipart post forms, keeping upload errors for the form to display
+const acceptPostMedia = (req, res, next) => {
+  uploadPostMedia.array('media', MAX_POST_ATTACHMENTS)(req, res, (error) => {
+    if (error) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        req.uploadError = 'Each attachment must be 5MB or smaller';
+      } else if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        req.uploadError = `You can attach up to ${MAX_POST_ATTACHMENTS} files`;
+      } else {
+        req.uploadError = 'Failed to upload attachments';
+      }
+    }
+    next();
+  });
+};
+
+// Collect validation and upload errors for a post form
+const getPostFormErrors = (req) => {
+  const errors = validationResult(req).array();
+  if (req.uploadError) {
+    errors.push({ msg: req.uploadError });
+  }
+  return errors;
+};
+
+// Show the create post form, with the clubs the user can post as
+const renderCreateForm = async (req, res, errors, formData) => {
+  res.render('posts/create', {
+    title: 'Create Post',
+    errors,
+    formData,
+    clubs: await Club.getManagedBy(req.user._id)
+  });
+};
+
+// Campus stats and trending tags shown beside every feed
+const getSidebarData = async (user) => {
+  const [userStats, campusUsers, trendingTags] = await Promise.all([
+    User.getStats(),
+    User.countDocuments({
+      campus: user.campus,
+      isVerified: true,
+      isActive: true
+    }),
+    Post.getTrendingTags(user.campus)
+  ]);
+
+  return { userStats, campusUsers, trendingTags };
+};
+
+// Infinite scroll asks for JSON: the rendered post cards plus the cursor for the next page
+const sendFeedPage = (res, { posts, nextCursor }, locals) => {
+  res.render('partials/post-cards', { posts, ...locals }, (error, html) => {
+    if (error) {
+      console.error('Feed page render error:', error);
+      return res.status(500).json({ success: false, message: 'Failed to load posts' });
+    }
+    res.json({ success: true, html, count: posts.length, nextCursor });
+  });
+};
+
 // GET /posts - Show main feed
 router.get('/', async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = 20;
-    const skip = (page - 1) * limit;
-    const filter = req.query.filter || 'recent';
-
-    let posts;
+    const filter = FEED_FILTERS.includes(req.query.filter) ? req.query.filter : 'recent';
+    const category = POST_CATEGORIES.includes(req.query.category) ? req.query.category : null;
+    const feed = await feedService.getPage({ user: req.user, filter, category, cursor: req.query.cursor });
+    const commentPreviews = await Comment.getPreviews(feed.posts.map(post => post._id));
 
-    if (filter === 'trending') {
-      posts = await Post.getTrending(req.user.campus, limit);
-    } else {
-      posts = await Post.getRecent(req.user.campus, limit, skip);
+    if (req.xhr || req.headers.accept?.includes('application/json')) {
+      return sendFeedPage(res, feed, { commentPreviews, user: req.user });
     }
 
-    // Get user statistics for sidebar
-    const userStats = await User.getStats();
-    const campusUsers = await User.countDocuments({
-      campus: req.user.campus,
-      isVerified: true,
-      isActive: true
-    });
-
     res.render('posts/feed', {
       title: 'Campus Feed',
-      posts,
+      ...feed,
+      commentPreviews,
       currentFilter: filter,
-      currentPage: page,
-      hasNextPage: posts.length === limit,
-      userStats,
-      campusUsers,
+      currentCategory: category,
+      ...await getSidebarData(req.user),
       user: req.user
     });
 
   } catch (error) {
     console.error('Feed error:', error);
+    if (req.xhr || req.headers.accept?.includes('application/json')) {
+      return res.status(500).json({ success: false, message: 'Failed to load posts' });
+    }
     req.flash('error', 'Failed to load posts');
     res.redirect('/');
   }
 });
 
-// GET /posts/create - Show create post form
-router.get('/create', (req, res) => {
-  res.render('posts/create', {
-    title: 'Create Post',
-    errors: [],
-    formData: {}
-  });
+// GET /posts/create - Show create post form, ?club= picks a club to post as
+router.get('/create', async (req, res) => {
+  try {
+    await renderCreateForm(req, res, [], { club: req.query.club });
+  } catch (error) {
+    console.error('Create post form error:', error);
+    req.flash('error', 'Failed to load the post form');
+    res.redirect('/posts');
+  }
 });
 
 // POST /posts/create - Handle post creation
 router.post('/create',
+  acceptPostMedia,
   postValidation,
   logActivity('create post'),
   async (req, res) => {
+    let media = [];
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.render('posts/create', {
-          title: 'Create Post',
-          errors: errors.array(),
-          formData: req.body
-        });
+      const errors = getPostFormErrors(req);
+
+      let club = null;
+      if (req.body.club && errors.length === 0) {
+        club = await Club.findById(req.body.club);
+        // Only the club's officers may post as it
+        if (!club || club.campus !== req.user.campus || !club.isOfficer(req.user._id)) {
+          errors.push({ msg: 'Only club officers can post as the club' });
+        }
+      }
+
+      if (errors.length > 0) {
+        return await renderCreateForm(req, res, errors, req.body);
       }
 
-      const { content } = req.body;
+      const { content, category } = req.body;
+
+      media = await savePostMedia(req.files);
 
       const post = new Post({
         author: req.user._id,
         content,
+        category: category || undefined,
+        media,
+        club: club ? club._id : null,
         campus: req.user.campus
       });
 
@@ -107,26 +198,83 @@ router.post('/create',
         $inc: { 'stats.postsCount': 1 }
       });
 
+      realtimeService.publishToCampus(post.campus, 'post:new', {
+        postId: post._id,
+        authorId: req.user._id,
+        authorName: req.user.displayName
+      });
+
+      await notificationService.notifyMentions({
+        mentions: post.mentions,
+        actor: req.user,
+        postId: post._id,
+        message: `${req.user.displayName} mentioned you in a post`
+      });
+
       req.flash('success', 'Post created successfully!');
-      res.redirect('/posts');
+      res.redirect(club ? `/clubs/${club._id}` : '/posts');
 
     } catch (error) {
       console.error('Post creation error:', error);
-      res.render('posts/create', {
-        title: 'Create Post',
-        errors: [{ msg: 'Failed to create post. Please try again.' }],
-        formData: req.body
-      });
+      await deletePostMedia(media);
+      try {
+        await renderCreateForm(req, res, [{ msg: error.code === 'INVALID_FILE_TYPE' ? error.message : 'Failed to create post. Please try again.' }], req.body);
+      } catch (renderError) {
+        req.flash('error', 'Failed to create post. Please try again.');
+        res.redirect('/posts');
+      }
     }
   }
 );
 
+// GET /posts/tag/:tag - Show posts with a hashtag
+router.get('/tag/:tag', async (req, res) => {
+  try {
+    const tag = req.params.tag.toLowerCase();
+    const wantsJson = req.xhr || req.headers.accept?.includes('application/json');
+
+    if (!/^\w{1,50}$/.test(tag)) {
+      if (wantsJson) {
+        return res.status(400).json({ success: false, message: 'Invalid hashtag' });
+      }
+      req.flash('error', 'Invalid hashtag');
+      return res.redirect('/posts');
+    }
+
+    const feed = await feedService.getPage({ user: req.user, filter: 'tag', tag, cursor: req.query.cursor });
+    const commentPreviews = await Comment.getPreviews(feed.posts.map(post => post._id));
+
+    if (wantsJson) {
+      return sendFeedPage(res, feed, { commentPreviews, user: req.user });
+    }
+
+    res.render('posts/feed', {
+      title: `#${tag}`,
+      ...feed,
+      commentPreviews,
+      currentFilter: 'tag',
+      currentTag: tag,
+      currentCategory: null,
+      ...await getSidebarData(req.user),
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Tag feed error:', error);
+    if (req.xhr || req.headers.accept?.includes('application/json')) {
+      return res.status(500).json({ success: false, message: 'Failed to load posts' });
+    }
+    req.flash('error', 'Failed to load posts');
+    res.redirect('/posts');
+  }
+});
+
 // GET /posts/:id - Show single post
 router.get('/:id', async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
-      .populate('author', 'displayName username email avatar avatarSeed avatarType')
-      .populate('comments.author', 'displayName username email avatar avatarSeed avatarType');
+      .populate('author', 'displayName username email avatarHash avatarSeed avatarStyle avatarType')
+      .populate('club', 'name avatar');
 
     if (!post || !post.isActive) {
       req.flash('error', 'Post not found');
@@ -139,9 +287,15 @@ router.get('/:id', async (req, res) => {
       return res.redirect('/posts');
     }
 
+    // Top-level comments page forward from the last one shown
+    const { threads, nextCursor } = await Comment.getThreadPage(post._id, { after: req.query.after });
+
     res.render('posts/single', {
       title: 'Post Details',
       post,
+      threads,
+      nextCursor,
+      isFirstCommentPage: !req.query.after,
       user: req.user
     });
 
@@ -186,6 +340,22 @@ router.post('/:id/like',
 
       await post.save();
 
+      realtimeService.publishToCampus(post.campus, 'post:updated', {
+        postId: post._id,
+        likeCount: post.likeCount,
+        commentCount: post.commentCount
+      });
+
+      if (liked) {
+        await notificationService.notify({
+          recipientId: post.author,
+          actor: req.user,
+          type: 'like',
+          postId: post._id,
+          message: `${req.user.displayName} liked your post`
+        });
+      }
+
       // Return JSON for AJAX requests
       if (req.xhr || req.headers.accept?.includes('application/json')) {
         return res.json({
@@ -233,8 +403,32 @@ router.post('/:id/comment',
         return res.redirect('/posts');
       }
 
-      const { content } = req.body;
-      post.addComment(req.user._id, content);
+      const { content, parentId } = req.body;
+
+      // Replying to a reply joins the same thread, keeping threads one level deep
+      let parent = null;
+      if (parentId) {
+        parent = mongoose.isValidObjectId(parentId)
+          ? await Comment.findOne({ _id: parentId, post: post._id })
+          : null;
+        if (!parent) {
+          req.flash('error', 'The comment you replied to no longer exists');
+          return res.redirect('back');
+        }
+        if (parent.parent) {
+          parent = await Comment.findById(parent.parent);
+        }
+      }
+
+      const comment = await Comment.create({
+        post: post._id,
+        author: req.user._id,
+        campus: post.campus,
+        content,
+        parent: parent ? parent._id : null
+      });
+
+      post.$inc('commentCount', 1);
       await post.save();
 
       // Update user stats
@@ -242,6 +436,42 @@ router.post('/:id/comment',
         $inc: { 'stats.commentsCount': 1 }
       });
 
+      realtimeService.publishToCampus(post.campus, 'post:updated', {
+        postId: post._id,
+        likeCount: post.likeCount,
+        commentCount: post.commentCount
+      });
+
+      await notificationService.notify({
+        recipientId: post.author,
+        actor: req.user,
+        type: 'comment',
+        postId: post._id,
+        commentId: comment._id,
+        message: `${req.user.displayName} commented on your post`
+      });
+
+      // Replies also reach whoever started the thread
+      if (parent && parent.author.toString() !== post.author.toString()) {
+        await notificationService.notify({
+          recipientId: parent.author,
+          actor: req.user,
+          type: 'comment',
+          postId: post._id,
+          commentId: comment._id,
+          message: `${req.user.displayName} replied to your comment`
+        });
+      }
+
+      // The post and thread authors already hear about the comment itself
+      await notificationService.notifyMentions({
+        mentions: comment.mentions,
+        actor: req.user,
+        postId: post._id,
+        message: `${req.user.displayName} mentioned you in a comment`,
+        exclude: parent ? [post.author, parent.author] : [post.author]
+      });
+
       req.flash('success', 'Comment added successfully!');
       res.redirect(`/posts/${req.params.id}`);
 
@@ -253,6 +483,194 @@ router.post('/:id/comment',
   }
 );
 
+// Load an active, same-campus post and one of its comments for the comment routes
+const loadComment = async (req, res, next) => {
+  const wantsJson = req.xhr || req.headers.accept?.includes('application/json');
+  const fail = (status, message) => {
+    if (wantsJson) {
+      return res.status(status).json({ success: false, message });
+    }
+    req.flash('error', message);
+    res.redirect(status === 404 ? '/posts' : 'back');
+  };
+
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post || !post.isActive) {
+      return fail(404, 'Post not found');
+    }
+
+    if (post.campus !== req.user.campus) {
+      return fail(403, 'Access denied');
+    }
+
+    const comment = mongoose.isValidObjectId(req.params.commentId)
+      ? await Comment.findOne({ _id: req.params.commentId, post: post._id })
+      : null;
+    if (!comment) {
+      return fail(404, 'Comment not found');
+    }
+
+    req.post = post;
+    req.comment = comment;
+    next();
+  } catch (error) {
+    console.error('Load comment error:', error);
+    fail(500, 'Failed to load comment');
+  }
+};
+
+// Only the comment author or an admin may change a comment
+const requireCommentOwnership = (req, res, next) => {
+  if (req.comment.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (req.xhr || req.headers.accept?.includes('application/json')) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+    }
+    req.flash('error', 'You do not have permission to perform this action');
+    return res.redirect('back');
+  }
+  next();
+};
+
+// POST /posts/:id/comments/:commentId/like - Toggle like on a comment
+router.post('/:id/comments/:commentId/like',
+  loadComment,
+  logActivity('like/unlike comment'),
+  async (req, res) => {
+    try {
+      const liked = req.comment.toggleLike(req.user._id);
+      await req.comment.save();
+
+      req.post.$inc('commentLikeCount', liked ? 1 : -1);
+      await req.post.save();
+
+      if (liked) {
+        await notificationService.notify({
+          recipientId: req.comment.author,
+          actor: req.user,
+          type: 'like',
+          postId: req.post._id,
+          commentId: req.comment._id,
+          message: `${req.user.displayName} liked your comment`
+        });
+      }
+
+      if (req.xhr || req.headers.accept?.includes('application/json')) {
+        return res.json({
+          success: true,
+          liked,
+          likeCount: req.comment.likeCount
+        });
+      }
+
+      res.redirect('back');
+
+    } catch (error) {
+      console.error('Comment like error:', error);
+      if (req.xhr || req.headers.accept?.includes('application/json')) {
+        return res.status(500).json({ success: false, message: 'Failed to update like' });
+      }
+      req.flash('error', 'Failed to update like');
+      res.redirect('back');
+    }
+  }
+);
+
+// PUT /posts/:id/comments/:commentId - Edit a comment
+router.put('/:id/comments/:commentId',
+  loadComment,
+  requireCommentOwnership,
+  commentValidation,
+  logActivity('edit comment'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect('back');
+      }
+
+      // Only people added by this edit hear about it
+      const previousMentions = req.comment.mentions.map(mention => mention.user);
+
+      req.comment.content = req.body.content;
+      req.comment.editedAt = new Date();
+      await req.comment.save();
+
+      await notificationService.notifyMentions({
+        mentions: req.comment.mentions,
+        actor: req.user,
+        postId: req.post._id,
+        message: `${req.user.displayName} mentioned you in a comment`,
+        exclude: previousMentions
+      });
+
+      req.flash('success', 'Comment updated successfully!');
+      res.redirect(`/posts/${req.post._id}`);
+
+    } catch (error) {
+      console.error('Comment update error:', error);
+      req.flash('error', 'Failed to update comment');
+      res.redirect('back');
+    }
+  }
+);
+
+// DELETE /posts/:id/comments/:commentId - Delete a comment and its replies
+router.delete('/:id/comments/:commentId',
+  loadComment,
+  requireCommentOwnership,
+  logActivity('delete comment'),
+  async (req, res) => {
+    try {
+      // Removing a top-level comment takes its replies with it
+      const removed = await Comment.find({
+        post: req.post._id,
+        $or: [{ _id: req.comment._id }, { parent: req.comment._id }]
+      }).select('author likes');
+      await Comment.deleteMany({ _id: { $in: removed.map(comment => comment._id) } });
+
+      req.post.$inc('commentCount', -removed.length);
+      req.post.$inc('commentLikeCount', -removed.reduce((sum, comment) => sum + comment.likes.length, 0));
+      await req.post.save();
+
+      // Each author loses one comment from their stats per removed comment
+      const removedByAuthor = new Map();
+      removed.forEach(comment => {
+        const authorId = comment.author.toString();
+        removedByAuthor.set(authorId, (removedByAuthor.get(authorId) || 0) + 1);
+      });
+      await User.bulkWrite([...removedByAuthor].map(([authorId, count]) => ({
+        updateOne: {
+          filter: { _id: authorId },
+          update: { $inc: { 'stats.commentsCount': -count } }
+        }
+      })));
+
+      realtimeService.publishToCampus(req.post.campus, 'post:updated', {
+        postId: req.post._id,
+        likeCount: req.post.likeCount,
+        commentCount: req.post.commentCount
+      });
+
+      if (req.xhr || req.headers.accept?.includes('application/json')) {
+        return res.json({ success: true, commentCount: req.post.commentCount });
+      }
+
+      req.flash('success', 'Comment deleted successfully!');
+      res.redirect(`/posts/${req.post._id}`);
+
+    } catch (error) {
+      console.error('Comment deletion error:', error);
+      if (req.xhr || req.headers.accept?.includes('application/json')) {
+        return res.status(500).json({ success: false, message: 'Failed to delete comment' });
+      }
+      req.flash('error', 'Failed to delete comment');
+      res.redirect('back');
+    }
+  }
+);
+
 // POST /posts/:id/report - Report a post
 router.post('/:id/report',
   body('reason').isIn(['spam', 'inappropriate', 'harassment', 'fake', 'other']),
@@ -302,7 +720,7 @@ router.get('/:id/edit',
       title: 'Edit Post',
       post: req.resource,
       errors: [],
-      formData: { content: req.resource.content }
+      formData: { content: req.resource.content, category: req.resource.category }
     });
   }
 );
@@ -310,33 +728,64 @@ router.get('/:id/edit',
 // PUT /posts/:id - Update post
 router.put('/:id',
   requireOwnership(Post),
+  acceptPostMedia,
   postValidation,
   logActivity('edit post'),
   async (req, res) => {
+    let addedMedia = [];
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
+      const errors = getPostFormErrors(req);
+
+      // Attachments the author ticked for removal
+      const removeMedia = [].concat(req.body.removeMedia || []);
+      const keptMedia = req.resource.media.filter(item => !removeMedia.includes(item.filename));
+      const removedMedia = req.resource.media.filter(item => removeMedia.includes(item.filename));
+
+      if (keptMedia.length + (req.files || []).length > MAX_POST_ATTACHMENTS) {
+        errors.push({ msg: `A post can have at most ${MAX_POST_ATTACHMENTS} attachments` });
+      }
+
+      if (errors.length > 0) {
         return res.render('posts/edit', {
           title: 'Edit Post',
           post: req.resource,
-          errors: errors.array(),
+          errors,
           formData: req.body
         });
       }
 
-      const { content } = req.body;
+      const { content, category } = req.body;
+
+      addedMedia = await savePostMedia(req.files);
+
+      // Only people added by this edit hear about it
+      const previousMentions = req.resource.mentions.map(mention => mention.user);
+
       req.resource.content = content;
+      req.resource.category = category || 'general';
+      req.resource.media = [...keptMedia, ...addedMedia];
       await req.resource.save();
 
+      await deletePostMedia(removedMedia);
+
+      await notificationService.notifyMentions({
+        mentions: req.resource.mentions,
+        actor: req.user,
+        postId: req.resource._id,
+        message: `${req.user.displayName} mentioned you in a post`,
+        exclude: previousMentions
+      });
+
       req.flash('success', 'Post updated successfully!');
       res.redirect(`/posts/${req.resource._id}`);
 
     } catch (error) {
       console.error('Post update error:', error);
+      await deletePostMedia(addedMedia);
       res.render('posts/edit', {
         title: 'Edit Post',
         post: req.resource,
-        errors: [{ msg: 'Failed to update post. Please try again.' }],
+        errors: [{ msg: error.code === 'INVALID_FILE_TYPE' ? error.message : 'Failed to update post. Please try again.' }],
         formData: req.body
       });
     }
@@ -349,15 +798,22 @@ router.delete('/:id',
   logActivity('delete post'),
   async (req, res) => {
     try {
-      // Soft delete - mark as inactive
+      // Soft delete - mark as inactive and drop the attachment files
+      const media = req.resource.media;
       req.resource.isActive = false;
+      req.resource.media = [];
       await req.resource.save();
+      await deletePostMedia(media);
 
       // Update user stats
       await User.findByIdAndUpdate(req.user._id, {
         $inc: { 'stats.postsCount': -1 }
       });
 
+      realtimeService.publishToCampus(req.resource.campus, 'post:removed', {
+        postId: req.resource._id
+      });
+
       req.flash('success', 'Post deleted successfully!');
 
       if (req.xhr || req.headers.accept?.includes('application/json')) {
@@ -0,0 +1,88 @@
+/**
+ * Realtime Routes - UConnect
+ * Server-Sent Events stream for live feed and notification updates
+ */
+
+const express = require('express');
+const User = require('../models/User');
+const realtimeService = require('../services/realtimeService');
+
+const router = express.Router();
+
+// Keep idle proxies from closing the connection
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// The stream outlives the request that opened it, so check on every heartbeat that the
+// session still exists and still matches the user, as requireAuth does on each request
+const isSessionCurrent = async (req) => {
+  const session = await new Promise((resolve, reject) => {
+    req.sessionStore.get(req.sessionID, (error, stored) => (error ? reject(error) : resolve(stored)));
+  });
+  if (!session || !session.user || String(session.user.id) !== String(req.user._id)) {
+    return false;
+  }
+
+  const user = await User.findById(req.user._id).select('isActive sessionVersion');
+  return !!user && user.isActive && (session.user.sessionVersion || 0) === (user.sessionVersion || 0);
+};
+
+// GET /realtime/stream - Subscribe to live events for the logged in user
+router.get('/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const write = (chunk) => {
+    res.write(chunk);
+    // compression() buffers responses unless explicitly flushed
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  };
+
+  write('retry: 5000\n\n');
+
+  const unsubscribe = realtimeService.subscribeUser({
+    userId: req.user._id,
+    campus: req.user.campus
+  }, (event) => {
+    write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  });
+
+  let closed = false;
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await isSessionCurrent(req))) {
+        // Logged out, deactivated or password reset since the stream opened
+        write('event: session:ended\ndata: {}\n\n');
+        close();
+        res.end();
+        return;
+      }
+    } catch (error) {
+      // Keep the stream open through a passing store or database error
+      console.error('Realtime session check error:', error);
+    }
+
+    if (!closed) {
+      write(': ping\n\n');
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  req.on('close', close);
+});
+
+module.exports = router;
@@ -0,0 +1,445 @@
+/**
+ * Ride Routes - UConnect
+ * Ride offers and requests, with join requests the owner approves
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Ride = require('../models/Ride');
+const { logActivity } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+const { RIDE_TYPES, MAX_RIDE_SEATS } = Ride;
+
+const router = express.Router();
+
+const OWNER_FIELDS = 'displayName username email avatarHash avatarSeed avatarStyle avatarType';
+const RIDER_FIELDS = 'displayName username avatarHash avatarSeed avatarStyle avatarType';
+const RIDES_PER_PAGE = 20;
+
+// Validation rules
+const rideValidation = [
+  body('type')
+    .isIn(RIDE_TYPES)
+    .withMessage('Please choose whether you are offering or looking for a ride'),
+  body('origin')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Starting point must be between 2 and 100 characters'),
+  body('destination')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Destination must be between 2 and 100 characters'),
+  body('departsAt')
+    .isISO8601()
+    .withMessage('Please choose a valid departure time')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Departure time must be in the future'),
+  body('seats')
+    .isInt({ min: 1, max: MAX_RIDE_SEATS })
+    .withMessage(`Seats must be between 1 and ${MAX_RIDE_SEATS}`),
+  body('totalCost')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('Please enter the trip cost in whole rupees'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const joinValidation = [
+  body('seats')
+    .optional()
+    .isInt({ min: 1, max: MAX_RIDE_SEATS })
+    .withMessage(`Seats must be between 1 and ${MAX_RIDE_SEATS}`),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Message cannot exceed 300 characters')
+];
+
+const wantsJson = (req) => req.xhr || req.headers.accept?.includes('application/json');
+
+// Load the ride in :id, limited to the viewer's campus
+const loadRide = async (req, res, next) => {
+  try {
+    const ride = mongoose.isValidObjectId(req.params.id)
+      ? await Ride.findById(req.params.id).populate('owner', OWNER_FIELDS)
+      : null;
+
+    if (!ride) {
+      if (wantsJson(req)) {
+        return res.status(404).json({ success: false, message: 'Ride not found' });
+      }
+      req.flash('error', 'Ride not found');
+      return res.redirect('/rides');
+    }
+
+    if (ride.campus !== req.user.campus) {
+      if (wantsJson(req)) {
+        return res.status(403).json({ success: false, message: 'You can only view rides from your campus' });
+      }
+      req.flash('error', 'You can only view rides from your campus');
+      return res.redirect('/rides');
+    }
+
+    req.ride = ride;
+    next();
+  } catch (error) {
+    console.error('Load ride error:', error);
+    req.flash('error', 'Failed to load ride');
+    res.redirect('/rides');
+  }
+};
+
+// Only the person who posted the ride may manage it
+const requireOwner = (req, res, next) => {
+  if (!req.ride.isOwner(req.user._id) && req.user.role !== 'admin') {
+    if (wantsJson(req)) {
+      return res.status(403).json({ success: false, message: 'Only the person who posted this ride can do that' });
+    }
+    req.flash('error', 'Only the person who posted this ride can do that');
+    return res.redirect(`/rides/${req.ride._id}`);
+  }
+  next();
+};
+
+// Rides that have left or been cancelled can't change any more
+const requireUpcoming = (req, res, next) => {
+  if (req.ride.isCancelled || req.ride.hasDeparted) {
+    const message = req.ride.isCancelled ? 'This ride has been cancelled' : 'This ride has already left';
+    if (wantsJson(req)) {
+      return res.status(400).json({ success: false, message });
+    }
+    req.flash('error', message);
+    return res.redirect(`/rides/${req.ride._id}`);
+  }
+  next();
+};
+
+// Apply a join request change and save, retrying once if the ride changed at the same moment
+// `change` returns an error message, or null when the change was made
+const changeJoinRequests = async (ride, change) => {
+  try {
+    const error = change(ride);
+    if (!error) {
+      await ride.save();
+    }
+    return { ride, error };
+  } catch (saveError) {
+    if (saveError.name !== 'VersionError') {
+      throw saveError;
+    }
+    const fresh = await Ride.findById(ride._id).populate('owner', OWNER_FIELDS);
+    const error = change(fresh);
+    if (!error) {
+      await fresh.save();
+    }
+    return { ride: fresh, error };
+  }
+};
+
+// Short description used in notifications, e.g. "ride to Airport on 12 Mar"
+const describeRide = (ride) =>
+  `ride to ${ride.destination} on ${ride.departsAt.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}`;
+
+// Send a flash-or-JSON result for the join routes
+const sendResult = (req, res, { status = 200, message, ride }) => {
+  if (wantsJson(req)) {
+    return res.status(status).json({
+      success: status < 400,
+      message,
+      seatsLeft: ride ? ride.seatsLeft : undefined
+    });
+  }
+  req.flash(status < 400 ? 'success' : 'error', message);
+  res.redirect(`/rides/${req.ride._id}`);
+};
+
+// GET /rides - Search upcoming rides on your campus, or the ones you're part of
+router.get('/', async (req, res) => {
+  try {
+    const view = req.query.view === 'mine' ? 'mine' : 'all';
+    const page = parseInt(req.query.page) || 1;
+    const filters = {
+      type: RIDE_TYPES.includes(req.query.type) ? req.query.type : null,
+      destination: typeof req.query.destination === 'string' ? req.query.destination.trim().substring(0, 100) : '',
+      date: /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') ? req.query.date : ''
+    };
+
+    const rides = view === 'mine'
+      ? await Ride.getForUser(req.user._id)
+      : await Ride.search(req.user.campus, {
+        type: filters.type,
+        destination: filters.destination,
+        // Midnight in server time at the start of the chosen day
+        date: filters.date ? new Date(`${filters.date}T00:00`) : null
+      }, RIDES_PER_PAGE + 1, (page - 1) * RIDES_PER_PAGE);
+
+    // Page links keep the current filters
+    const query = new URLSearchParams();
+    if (filters.type) {
+      query.set('type', filters.type);
+    }
+    if (filters.destination) {
+      query.set('destination', filters.destination);
+    }
+    if (filters.date) {
+      query.set('date', filters.date);
+    }
+
+    res.render('rides/index', {
+      title: 'Ride Sharing',
+      rides: rides.slice(0, RIDES_PER_PAGE),
+      filters,
+      filterQuery: query.toString(),
+      currentView: view,
+      currentPage: page,
+      hasNextPage: view === 'all' && rides.length > RIDES_PER_PAGE,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Rides error:', error);
+    req.flash('error', 'Failed to load rides');
+    res.redirect('/posts');
+  }
+});
+
+// GET /rides/create - Show ride form
+router.get('/create', (req, res) => {
+  res.render('rides/form', {
+    title: 'Post a Ride',
+    errors: [],
+    formData: { type: RIDE_TYPES.includes(req.query.type) ? req.query.type : 'offer', seats: 1 },
+    maxSeats: MAX_RIDE_SEATS
+  });
+});
+
+// POST /rides/create - Post a ride offer or request
+router.post('/create',
+  rideValidation,
+  logActivity('create ride'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.render('rides/form', {
+          title: 'Post a Ride',
+          errors: errors.array(),
+          formData: req.body,
+          maxSeats: MAX_RIDE_SEATS
+        });
+      }
+
+      const { type, origin, destination, departsAt, seats, totalCost, notes } = req.body;
+
+      const ride = await Ride.create({
+        type,
+        origin,
+        destination,
+        departsAt: new Date(departsAt),
+        seats: parseInt(seats),
+        totalCost: totalCost ? parseInt(totalCost) : 0,
+        notes: notes || '',
+        owner: req.user._id,
+        campus: req.user.campus
+      });
+
+      req.flash('success', type === 'offer' ? 'Ride offer posted!' : 'Ride request posted!');
+      res.redirect(`/rides/${ride._id}`);
+
+    } catch (error) {
+      console.error('Ride creation error:', error);
+      res.render('rides/form', {
+        title: 'Post a Ride',
+        errors: [{ msg: error.name === 'ValidationError' ? Object.values(error.errors)[0].message : 'Failed to post ride. Please try again.' }],
+        formData: req.body,
+        maxSeats: MAX_RIDE_SEATS
+      });
+    }
+  }
+);
+
+// GET /rides/:id - Show a ride
+router.get('/:id', loadRide, async (req, res) => {
+  try {
+    const ride = req.ride;
+    const isOwner = ride.isOwner(req.user._id);
+
+    // Riders are only named to the owner and to each other once approved
+    const joinRequest = ride.getJoinRequest(req.user._id);
+    if (isOwner || (joinRequest && joinRequest.status === 'approved')) {
+      await ride.populate('joinRequests.user', RIDER_FIELDS);
+    }
+
+    res.render('rides/show', {
+      title: `Ride to ${ride.destination}`,
+      ride,
+      isOwner,
+      canManage: isOwner || req.user.role === 'admin',
+      joinRequest,
+      maxSeats: MAX_RIDE_SEATS,
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Ride view error:', error);
+    req.flash('error', 'Failed to load ride');
+    res.redirect('/rides');
+  }
+});
+
+// POST /rides/:id/join - Ask to join a ride
+router.post('/:id/join',
+  loadRide,
+  requireUpcoming,
+  joinValidation,
+  logActivity('request ride seat'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendResult(req, res, { status: 400, message: errors.array()[0].msg });
+      }
+
+      const { ride, error } = await changeJoinRequests(req.ride, (ride) => ride.requestToJoin(req.user._id, {
+        seats: parseInt(req.body.seats) || 1,
+        message: req.body.message || ''
+      }));
+      if (error) {
+        return sendResult(req, res, { status: 400, message: error, ride });
+      }
+
+      await notificationService.notify({
+        recipientId: ride.owner._id,
+        actor: req.user,
+        type: 'ride',
+        link: `/rides/${ride._id}`,
+        message: ride.type === 'offer'
+          ? `${req.user.displayName} asked to join your ${describeRide(ride)}`.substring(0, 200)
+          : `${req.user.displayName} can give you a ${describeRide(ride)}`.substring(0, 200)
+      });
+
+      sendResult(req, res, { message: 'Request sent - you\'ll be notified when it\'s answered', ride });
+
+    } catch (error) {
+      console.error('Join ride error:', error);
+      sendResult(req, res, { status: 500, message: 'Failed to send your request. Please try again.' });
+    }
+  }
+);
+
+// DELETE /rides/:id/join - Withdraw your request or give up your seat
+router.delete('/:id/join',
+  loadRide,
+  logActivity('leave ride'),
+  async (req, res) => {
+    try {
+      let removed = null;
+      const { ride, error } = await changeJoinRequests(req.ride, (ride) => {
+        removed = ride.leave(req.user._id);
+        return removed ? null : 'You have not asked to join this ride';
+      });
+      if (error) {
+        return sendResult(req, res, { status: 400, message: error, ride });
+      }
+
+      if (removed.status === 'approved' && !ride.hasDeparted) {
+        await notificationService.notify({
+          recipientId: ride.owner._id,
+          actor: req.user,
+          type: 'ride',
+          link: `/rides/${ride._id}`,
+          message: `${req.user.displayName} gave up their seat on your ${describeRide(ride)}`.substring(0, 200)
+        });
+      }
+
+      sendResult(req, res, { message: 'You have left this ride', ride });
+
+    } catch (error) {
+      console.error('Leave ride error:', error);
+      sendResult(req, res, { status: 500, message: 'Failed to leave ride. Please try again.' });
+    }
+  }
+);
+
+// POST /rides/:id/requests/:userId - Approve or decline a join request
+router.post('/:id/requests/:userId',
+  loadRide,
+  requireOwner,
+  requireUpcoming,
+  logActivity('answer ride request'),
+  async (req, res) => {
+    try {
+      const approve = req.body.decision === 'approve';
+      const { ride, error } = await changeJoinRequests(req.ride, (ride) => ride.respondToJoinRequest(req.params.userId, approve));
+      if (error) {
+        return sendResult(req, res, { status: 400, message: error, ride });
+      }
+
+      await notificationService.notify({
+        recipientId: req.params.userId,
+        actor: req.user,
+        type: 'ride',
+        link: `/rides/${ride._id}`,
+        message: approve
+          ? `You're in! ${req.user.displayName} approved you for the ${describeRide(ride)}`.substring(0, 200)
+          : `${req.user.displayName} couldn't fit you on the ${describeRide(ride)}`.substring(0, 200)
+      });
+
+      sendResult(req, res, { message: approve ? 'Request approved' : 'Request declined', ride });
+
+    } catch (error) {
+      console.error('Answer ride request error:', error);
+      sendResult(req, res, { status: 500, message: 'Failed to answer request. Please try again.' });
+    }
+  }
+);
+
+// DELETE /rides/:id - Cancel a ride
+router.delete('/:id',
+  loadRide,
+  requireOwner,
+  logActivity('cancel ride'),
+  async (req, res) => {
+    try {
+      const ride = req.ride;
+      if (!ride.isCancelled) {
+        ride.isCancelled = true;
+        await ride.save();
+
+        if (!ride.hasDeparted) {
+          await Promise.all(ride.joinRequests
+            .filter(request => request.status !== 'declined')
+            .map(request => notificationService.notify({
+              recipientId: request.user._id || request.user,
+              actor: req.user,
+              type: 'ride',
+              link: `/rides/${ride._id}`,
+              message: `The ${describeRide(ride)} has been cancelled`.substring(0, 200)
+            })));
+        }
+      }
+
+      if (wantsJson(req)) {
+        return res.json({ success: true });
+      }
+      req.flash('success', 'Ride cancelled');
+      res.redirect('/rides?view=mine');
+
+    } catch (error) {
+      console.error('Ride cancel error:', error);
+      if (wantsJson(req)) {
+        return res.status(500).json({ success: false, message: 'Failed to cancel ride' });
+      }
+      req.flash('error', 'Failed to cancel ride');
+      res.redirect(`/rides/${req.ride._id}`);
+    }
+  }
+);
+
+module.exports = router;
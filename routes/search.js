@@ -0,0 +1,37 @@
+/**
+ * Search Routes - UConnect
+ * Searches posts, comments and people on the user's campus
+ */
+
+const express = require('express');
+const searchService = require('../services/searchService');
+const { MAX_QUERY_LENGTH } = require('../services/searchService');
+
+const router = express.Router();
+
+// GET /search - Search results page
+router.get('/', async (req, res) => {
+  try {
+    const search = await searchService.search({
+      campus: req.user.campus,
+      query: req.query.q,
+      type: req.query.type,
+      page: req.query.page
+    });
+
+    res.render('search/results', {
+      title: search.query ? `Search: ${search.query}` : 'Search',
+      ...search,
+      maxQueryLength: MAX_QUERY_LENGTH,
+      highlight: (text) => searchService.highlight(searchService.snippet(text, search.terms), search.terms),
+      user: req.user
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    req.flash('error', 'Search failed. Please try again.');
+    res.redirect('/posts');
+  }
+});
+
+module.exports = router;
@@ -5,48 +5,27 @@
 
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs').promises;
-const fsSync = require('fs');
 const User = require('../models/User');
 const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Follow = require('../models/Follow');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const Listing = require('../models/Listing');
+const LostFoundReport = require('../models/LostFoundReport');
+const Ride = require('../models/Ride');
+const HousingListing = require('../models/HousingListing');
+const RoommateProfile = require('../models/RoommateProfile');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
 const { sensitiveOperationLimit, logActivity } = require('../middleware/auth');
+const { uploadAvatarTemp, saveAvatarImage, deleteAvatarImages, deletePostMedia, deleteListingPhotos, deleteLostFoundPhotos, deleteHousingPhotos, deleteClubAvatars } = require('../middleware/upload');
+const { AVATAR_STYLES, MAX_SEED_LENGTH } = require('../services/avatarGenerator');
+const notificationService = require('../services/notificationService');
 
 const router = express.Router();
 
-// Configure multer for avatar uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const uploadPath = path.join(__dirname, '../public/uploads/avatars');
-    try {
-      await fs.mkdir(uploadPath, { recursive: true });
-      cb(null, uploadPath);
-    } catch (error) {
-      cb(error);
-    }
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, `avatar-${req.user._id}-${uniqueSuffix}${path.extname(file.originalname)}`);
-  }
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Check file type
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'), false);
-    }
-  }
-});
-
 // Validation rules
 const profileValidation = [
   body('username')
@@ -93,11 +72,16 @@ router.get('/profile', async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
     const userPosts = await Post.getByUser(req.user._id, 10, 0);
+    const followers = await Follow.getFollowers(req.user._id);
+    const following = await Follow.getFollowing(req.user._id);
 
     res.render('users/profile', {
       title: 'My Profile',
       profileUser: user,
       posts: userPosts,
+      followers,
+      following,
+      isFollowing: false,
       isOwnProfile: true,
       user: req.user
     });
@@ -131,11 +115,17 @@ router.get('/:id', async (req, res) => {
     }
 
     const userPosts = await Post.getByUser(userId, 10, 0);
+    const followers = await Follow.getFollowers(userId);
+    const following = await Follow.getFollowing(userId);
+    const isFollowing = await Follow.isFollowing(req.user._id, userId);
 
     res.render('users/profile', {
       title: `${user.displayName}'s Profile`,
       profileUser: user,
       posts: userPosts,
+      followers,
+      following,
+      isFollowing,
       isOwnProfile: false,
       user: req.user
     });
@@ -147,10 +137,112 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// POST /users/:id/follow - Follow a user
+router.post('/:id/follow',
+  logActivity('follow user'),
+  async (req, res) => {
+    const wantsJson = req.xhr || req.headers.accept?.includes('application/json');
+
+    try {
+      const userId = req.params.id;
+
+      if (userId === req.user._id.toString()) {
+        if (wantsJson) {
+          return res.status(400).json({ success: false, message: 'You cannot follow yourself' });
+        }
+        req.flash('error', 'You cannot follow yourself');
+        return res.redirect('/users/profile');
+      }
+
+      const target = await User.findById(userId);
+      if (!target || !target.isActive) {
+        if (wantsJson) {
+          return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        req.flash('error', 'User not found');
+        return res.redirect('/posts');
+      }
+
+      // Follows stay within the same campus, like profile views
+      if (target.campus !== req.user.campus) {
+        if (wantsJson) {
+          return res.status(403).json({ success: false, message: 'Access denied' });
+        }
+        req.flash('error', 'You can only follow students from your campus');
+        return res.redirect('/posts');
+      }
+
+      await Follow.follow(req.user._id, target._id);
+      const updatedTarget = await User.findById(target._id).select('stats');
+
+      if (wantsJson) {
+        return res.json({
+          success: true,
+          following: true,
+          followersCount: updatedTarget.stats.followersCount
+        });
+      }
+
+      req.flash('success', `You are now following @${target.username}`);
+      res.redirect(`/users/${target._id}`);
+
+    } catch (error) {
+      console.error('Follow error:', error);
+      if (wantsJson) {
+        return res.status(500).json({ success: false, message: 'Failed to follow user' });
+      }
+      req.flash('error', 'Failed to follow user');
+      res.redirect('back');
+    }
+  }
+);
+
+// POST /users/:id/unfollow - Unfollow a user
+router.post('/:id/unfollow',
+  logActivity('unfollow user'),
+  async (req, res) => {
+    const wantsJson = req.xhr || req.headers.accept?.includes('application/json');
+
+    try {
+      const target = await User.findById(req.params.id);
+      if (!target) {
+        if (wantsJson) {
+          return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        req.flash('error', 'User not found');
+        return res.redirect('/posts');
+      }
+
+      await Follow.unfollow(req.user._id, target._id);
+      const updatedTarget = await User.findById(target._id).select('stats');
+
+      if (wantsJson) {
+        return res.json({
+          success: true,
+          following: false,
+          followersCount: updatedTarget.stats.followersCount
+        });
+      }
+
+      req.flash('success', `You unfollowed @${target.username}`);
+      res.redirect(target.isActive ? `/users/${target._id}` : '/users/profile');
+
+    } catch (error) {
+      console.error('Unfollow error:', error);
+      if (wantsJson) {
+        return res.status(500).json({ success: false, message: 'Failed to unfollow user' });
+      }
+      req.flash('error', 'Failed to unfollow user');
+      res.redirect('back');
+    }
+  }
+);
+
 // GET /users/settings/profile - Show profile settings
 router.get('/settings/profile', (req, res) => {
   res.render('users/settings/profile', {
     title: 'Profile Settings',
+    avatarStyles: AVATAR_STYLES,
     errors: [],
     formData: {
       displayName: req.user.displayName
@@ -189,6 +281,7 @@ router.post('/settings/profile',
         console.log('❌ Validation errors:', errors.array());
         return res.render('users/settings/profile', {
           title: 'Profile Settings',
+          avatarStyles: AVATAR_STYLES,
           errors: errors.array(),
           formData: req.body,
           user: req.user
@@ -231,13 +324,13 @@ router.post('/settings/profile',
         email: updatedUser.email,
         displayName: updatedUser.displayName,
         username: updatedUser.username,
-        avatar: updatedUser.avatar,
         avatarType: updatedUser.avatarType,
         avatarUrl: updatedUser.avatarUrl,
         role: updatedUser.role,
         campus: updatedUser.campus,
         bio: updatedUser.bio,
-        privacy: updatedUser.privacy
+        privacy: updatedUser.privacy,
+        sessionVersion: updatedUser.sessionVersion
       };
 
       console.log('✅ GODLY SUCCESS: Profile updated and session synced!');
@@ -263,6 +356,7 @@ router.post('/settings/profile',
       console.error('❌ Profile update error:', error);
       res.render('users/settings/profile', {
         title: 'Profile Settings',
+        avatarStyles: AVATAR_STYLES,
         errors: [{ msg: 'Failed to update profile. Please try again.' }],
         formData: req.body,
         user: req.user
@@ -273,7 +367,7 @@ router.post('/settings/profile',
 
 // POST /users/settings/avatar - Update avatar
 router.post('/settings/avatar',
-  upload.single('avatar'),
+  uploadAvatarTemp.single('avatar'),
   logActivity('update avatar'),
   async (req, res) => {
     try {
@@ -283,29 +377,20 @@ router.post('/settings/avatar',
       }
 
       const user = await User.findById(req.user._id);
+      const oldAvatarHash = user.avatarHash;
 
-      // Delete old uploaded avatar if exists
-      if (user.avatar && user.avatarType === 'upload') {
-        try {
-          const oldAvatarPath = path.join(__dirname, '../public/uploads/avatars', user.avatar);
-          await fs.unlink(oldAvatarPath);
-        } catch (error) {
-          console.log('Old avatar deletion failed:', error.message);
-        }
-      }
-
-      // Update user with new avatar
-      const avatarData = fsSync.readFileSync(req.file.path);
-      user.avatar = {
-        data: avatarData,
-        contentType: req.file.mimetype
-      };
+      // Resize into the fixed sizes and strip metadata before storing
+      user.avatarHash = await saveAvatarImage(req.file.buffer, user._id);
       user.avatarType = 'upload';
-      user.avatarUrl = `data:${req.file.mimetype};base64,${avatarData.toString('base64')}`;
+      user.avatar = undefined;
       await user.save();
 
+      if (oldAvatarHash && oldAvatarHash !== user.avatarHash) {
+        await deleteAvatarImages(user._id, oldAvatarHash);
+      }
+
       // Update session
-      req.session.user.avatar = user.avatar;
+      req.session.user.avatar = undefined;
       req.session.user.avatarType = 'upload';
       req.session.user.avatarUrl = user.avatarUrl;
 
@@ -316,16 +401,13 @@ router.post('/settings/avatar',
         });
       });
 
-      // Clean up temporary file
-      fsSync.unlinkSync(req.file.path);
-
       console.log('📁 Avatar uploaded successfully');
       req.flash('success', 'Avatar updated successfully!');
       res.redirect('/users/settings/profile');
 
     } catch (error) {
       console.error('Avatar update error:', error);
-      req.flash('error', 'Failed to update avatar');
+      req.flash('error', error.code === 'INVALID_FILE_TYPE' ? error.message : 'Failed to update avatar');
       res.redirect('/users/settings/profile');
     }
   }
@@ -336,35 +418,36 @@ router.post('/settings/avatar-api',
   logActivity('set random avatar'),
   async (req, res) => {
     try {
-      const { avatarSeed } = req.body;
+      const { avatarSeed, avatarStyle } = req.body;
 
-      if (!avatarSeed) {
+      if (!avatarSeed || avatarSeed.length > MAX_SEED_LENGTH) {
         req.flash('error', 'Invalid avatar seed');
         return res.redirect('/users/settings/profile');
       }
 
-      // Generate API avatar URL
-      const avatarUrl = `https://api.dicebear.com/9.x/adventurer/svg?seed=${avatarSeed}`;
+      if (avatarStyle && !AVATAR_STYLES.includes(avatarStyle)) {
+        req.flash('error', 'Invalid avatar style');
+        return res.redirect('/users/settings/profile');
+      }
 
       // Update user avatar
       const user = await User.findById(req.user._id);
 
-      // Clear any existing uploaded avatar file
-      if (user.avatar && user.avatarType === 'upload') {
-        try {
-          const oldAvatarPath = path.join(__dirname, '../public/uploads/avatars', user.avatar);
-          await fs.unlink(oldAvatarPath);
-        } catch (error) {
-          console.log('Old avatar deletion failed:', error.message);
-        }
-      }
+      // Clear any existing uploaded avatar files
+      await deleteAvatarImages(user._id, user.avatarHash);
 
-      // Set API avatar
-      user.avatarUrl = avatarUrl;
+      // Set generated avatar, keeping the current style unless a new one was picked
+      user.avatarSeed = avatarSeed;
+      if (avatarStyle) {
+        user.avatarStyle = avatarStyle;
+      }
       user.avatarType = 'api';
-      user.avatar = null; // Clear file reference
+      user.avatar = undefined;
+      user.avatarHash = null;
       await user.save();
 
+      const avatarUrl = user.avatarUrl;
+
       // Update session
       req.session.user.avatarUrl = avatarUrl;
       req.session.user.avatarType = 'api';
@@ -396,25 +479,18 @@ router.post('/settings/remove-avatar',
     try {
       const user = await User.findById(req.user._id);
 
-      // Delete uploaded avatar file if exists
-      if (user.avatar && user.avatarType === 'upload') {
-        try {
-          const avatarPath = path.join(__dirname, '../public/uploads/avatars', user.avatar);
-          await fs.unlink(avatarPath);
-        } catch (error) {
-          console.log('Avatar file deletion failed:', error.message);
-        }
-      }
+      // Delete uploaded avatar files if they exist
+      await deleteAvatarImages(user._id, user.avatarHash);
 
       // Set default avatar
-      const defaultAvatarUrl = `https://api.dicebear.com/9.x/adventurer/svg?seed=default`;
-      user.avatarUrl = defaultAvatarUrl;
+      user.avatarSeed = 'default';
       user.avatarType = 'api';
-      user.avatar = null;
+      user.avatar = undefined;
+      user.avatarHash = null;
       await user.save();
 
       // Update session
-      req.session.user.avatarUrl = defaultAvatarUrl;
+      req.session.user.avatarUrl = user.avatarUrl;
       req.session.user.avatarType = 'api';
       req.session.user.avatar = null;
 
@@ -544,15 +620,15 @@ router.post('/settings/notifications',
   logActivity('update notifications'),
   async (req, res) => {
     try {
-      const { emailNotifications, followNotifications, likeNotifications, marketingEmails } = req.body;
+      const { emailNotifications, likeNotifications, commentNotifications, mentionNotifications, weeklyDigest } = req.body;
 
+      // Stored in User.notifications, which the notification service reads
       const user = await User.findById(req.user._id);
-      user.notificationPreferences = {
-        email: !!emailNotifications,
-        follows: !!followNotifications,
-        likes: !!likeNotifications,
-        marketing: !!marketingEmails
-      };
+      user.notifications.email = !!emailNotifications;
+      user.notifications.likes = !!likeNotifications;
+      user.notifications.comments = !!commentNotifications;
+      user.notifications.mentions = !!mentionNotifications;
+      user.notifications.weeklyDigest = !!weeklyDigest;
       await user.save();
 
       req.flash('success', 'Notification preferences updated!');
@@ -589,9 +665,15 @@ router.post('/settings/deactivate',
       const user = await User.findById(req.user._id);
 
       // Deactivate account
+      const wasActive = user.isActive;
       user.isActive = false;
       await user.save();
 
+      // Inactive accounts no longer count towards follower stats
+      if (wasActive) {
+        await Follow.adjustCountsForUser(user._id, -1);
+      }
+
       // Deactivate all user's posts
       await Post.updateMany(
         { author: req.user._id },
@@ -631,18 +713,57 @@ router.post('/settings/delete-account',
         return res.redirect('/users/settings/account');
       }
 
-      // Delete user's posts
+      // Delete user's posts, the comments on them and their attachments
+      const userPosts = await Post.find({ author: req.user._id }).select('media');
+      await deletePostMedia(userPosts.flatMap(post => post.media));
+      await Comment.deleteMany({ post: { $in: userPosts.map(post => post._id) } });
       await Post.deleteMany({ author: req.user._id });
 
-      // Delete user's avatar if exists
-      if (user.avatar) {
-        try {
-          const avatarPath = path.join(__dirname, '../public/uploads/avatars', user.avatar);
-          await fs.unlink(avatarPath);
-        } catch (error) {
-          console.log('Avatar deletion failed:', error.message);
-        }
-      }
+      // Delete user's marketplace listings and their photos
+      const userListings = await Listing.find({ seller: req.user._id }).select('photos');
+      await deleteListingPhotos(userListings.flatMap(listing => listing.photos));
+      await Listing.deleteMany({ seller: req.user._id });
+
+      // Delete user's lost & found reports and their photos
+      const userReports = await LostFoundReport.find({ reporter: req.user._id }).select('photo');
+      await deleteLostFoundPhotos(userReports.map(report => report.photo));
+      await LostFoundReport.deleteMany({ reporter: req.user._id });
+
+      // Delete user's housing listings and their photos, and their roommate profile
+      const userHousing = await HousingListing.find({ owner: req.user._id }).select('photos');
+      await deleteHousingPhotos(userHousing.flatMap(listing => listing.photos));
+      await HousingListing.deleteMany({ owner: req.user._id });
+      await RoommateProfile.deleteOne({ user: req.user._id });
+
+      // Delete user's rides and take them off everyone else's
+      await Ride.deleteMany({ owner: req.user._id });
+      await Ride.updateMany({ 'joinRequests.user': req.user._id }, { $pull: { joinRequests: { user: req.user._id } } });
+
+      // Delete user's events and give up their RSVPs, letting waitlisted people know they got a spot
+      const promotions = await Event.removeUser(user._id);
+      await Promise.all(promotions.map(({ event, promoted }) =>
+        notificationService.notifyWaitlistPromoted({ event, userIds: promoted })
+      ));
+
+      // Leave every club, handing owned ones on; clubs with nobody left are deleted
+      const emptyClubs = await Club.removeUser(user._id);
+      const emptyClubIds = emptyClubs.map(club => club._id);
+      await deleteClubAvatars(emptyClubs.map(club => club.avatar));
+      await Post.updateMany({ club: { $in: emptyClubIds } }, { $set: { club: null } });
+      await Club.deleteMany({ _id: { $in: emptyClubIds } });
+
+      // Remove follow relations and fix up everyone's counters
+      await Follow.removeUser(user._id, user.isActive);
+
+      // Delete user's conversations and messages
+      await Message.deleteMany({ $or: [{ sender: user._id }, { recipient: user._id }] });
+      await Conversation.deleteMany({ participants: user._id });
+
+      // Delete notifications to and from the user
+      await Notification.deleteMany({ $or: [{ recipient: user._id }, { actor: user._id }] });
+
+      // Delete user's avatar files if they exist
+      await deleteAvatarImages(user._id, user.avatarHash);
 
       // Delete user account
       await User.findByIdAndDelete(req.user._id);
@@ -678,7 +799,7 @@ router.get('/campus', async (req, res) => {
       isActive: true,
       _id: { $ne: req.user._id } // Exclude current user
     })
-    .select('displayName avatar stats createdAt')
+    .select('displayName username email avatarHash avatarSeed avatarStyle avatarType stats createdAt')
     .sort({ 'stats.postsCount': -1, createdAt: -1 })
     .skip(skip)
     .limit(limit);
@@ -0,0 +1,69 @@
+/**
+ * Avatar Migration Script - UConnect
+ * Moves avatars stored inline on User documents into resized image files
+ *
+ * Usage: node scripts/migrateAvatars.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const { saveAvatarImage } = require('../middleware/upload');
+
+async function migrateAvatars() {
+  let exitCode = 0;
+
+  try {
+    console.log('🖼️  Starting avatar migration...');
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/campus_connect', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const cursor = User.find({ 'avatar.data': { $exists: true }, avatarHash: null }).cursor();
+    let migrated = 0;
+    let failed = 0;
+
+    for (let user = await cursor.next(); user; user = await cursor.next()) {
+      try {
+        const avatarHash = await saveAvatarImage(user.avatar.data, user._id);
+        await User.updateOne(
+          { _id: user._id },
+          { avatarHash, avatarType: 'upload', $unset: { avatar: 1 } }
+        );
+        migrated++;
+      } catch (error) {
+        // Unreadable images fall back to a generated avatar
+        console.error(`❌ Could not migrate avatar for ${user.email}:`, error.message);
+        await User.updateOne(
+          { _id: user._id },
+          { avatarType: 'api', $unset: { avatar: 1 } }
+        );
+        failed++;
+      }
+    }
+
+    console.log('\n📋 Summary:');
+    console.log(`   Avatars migrated: ${migrated}`);
+    console.log(`   Reset to generated avatar: ${failed}`);
+
+  } catch (error) {
+    console.error('❌ Error migrating avatars:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+    process.exit(exitCode);
+  }
+}
+
+// Run the migration script
+if (require.main === module) {
+  migrateAvatars();
+}
+
+module.exports = migrateAvatars;
@@ -0,0 +1,112 @@
+/**
+ * Comment Migration Script - UConnect
+ * Moves comments embedded in Post documents into the comments collection
+ *
+ * Usage: node scripts/migrateComments.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+const DUPLICATE_KEY_ERROR = 11000;
+const TEXT_INDEX_NAME = 'post_text_search';
+
+async function migrateComments() {
+  let exitCode = 0;
+
+  try {
+    console.log('💬 Starting comment migration...');
+
+    // Connect to MongoDB
+    // Indexes are built by hand below, once the old text index is out of the way
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/campus_connect', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      autoIndex: false
+    });
+    console.log('✅ Connected to MongoDB');
+
+    // The search index used to cover embedded comment content too; a collection
+    // can only have one text index, so the old one has to go before the new one is built
+    const indexes = await Post.collection.indexes();
+    const oldTextIndex = indexes.find(index => index.name === TEXT_INDEX_NAME && index.weights && index.weights['comments.content']);
+    if (oldTextIndex) {
+      await Post.collection.dropIndex(TEXT_INDEX_NAME);
+      console.log(`🗑️  Dropped old ${TEXT_INDEX_NAME} index`);
+    }
+
+    // Embedded comments are no longer in the schema, so read the raw documents
+    const cursor = Post.collection.find(
+      { 'comments.0': { $exists: true } },
+      { projection: { campus: 1, comments: 1 } }
+    );
+    let migratedPosts = 0;
+    let migratedComments = 0;
+
+    for (let post = await cursor.next(); post; post = await cursor.next()) {
+      // Keep the original ids so reply parents and notification links still resolve
+      const comments = post.comments.map(comment => ({
+        _id: comment._id,
+        post: post._id,
+        author: comment.author,
+        campus: post.campus,
+        content: comment.content,
+        mentions: comment.mentions || [],
+        parent: comment.parent || null,
+        likes: comment.likes || [],
+        editedAt: comment.editedAt || null,
+        createdAt: comment.createdAt,
+        updatedAt: comment.updatedAt || comment.createdAt
+      }));
+
+      try {
+        await Comment.collection.insertMany(comments, { ordered: false });
+      } catch (error) {
+        // Comments copied by an earlier, interrupted run are already there
+        const writeErrors = error.writeErrors || [];
+        if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY_ERROR)) {
+          throw error;
+        }
+      }
+
+      await Post.collection.updateOne(
+        { _id: post._id },
+        {
+          $set: {
+            commentCount: comments.length,
+            commentLikeCount: comments.reduce((total, comment) => total + comment.likes.length, 0)
+          },
+          $unset: { comments: 1 }
+        }
+      );
+
+      migratedPosts++;
+      migratedComments += comments.length;
+    }
+
+    await Promise.all([Post.createIndexes(), Comment.createIndexes()]);
+    console.log('✅ Indexes built');
+
+    console.log('\n📋 Summary:');
+    console.log(`   Posts migrated: ${migratedPosts}`);
+    console.log(`   Comments moved: ${migratedComments}`);
+
+  } catch (error) {
+    console.error('❌ Error migrating comments:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+    process.exit(exitCode);
+  }
+}
+
+// Run the migration script
+if (require.main === module) {
+  migrateComments();
+}
+
+module.exports = migrateComments;
@@ -0,0 +1,48 @@
+/**
+ * Engagement Recompute Script - UConnect
+ * Rescores posts by hand, outside the in-app scheduler
+ *
+ * Usage: node scripts/recomputeEngagement.js [--all]
+ *   --all  Rescore every post, not only those from the last 30 days
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const engagementService = require('../services/engagementService');
+
+async function recomputeEngagement() {
+  let exitCode = 0;
+
+  try {
+    console.log('📈 Starting engagement recompute...');
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/campus_connect', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const result = await engagementService.run({ all: process.argv.includes('--all') });
+
+    console.log('\n📋 Summary:');
+    console.log(`   Posts scanned: ${result.scanned}`);
+    console.log(`   Scores updated: ${result.updated}`);
+
+  } catch (error) {
+    console.error('❌ Error recomputing engagement:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+    process.exit(exitCode);
+  }
+}
+
+// Run the recompute script
+if (require.main === module) {
+  recomputeEngagement();
+}
+
+module.exports = recomputeEngagement;
@@ -9,12 +9,15 @@ require('dotenv').config();
 
 const User = require('../models/User');
 const Post = require('../models/Post');
+const Comment = require('../models/Comment');
 
 // Sample data
 const sampleUsers = [
   {
     email: 'admin@iitdelhi.edu.in',
     displayName: 'Admin User',
+    avatarSeed: 'admin',
+    avatarStyle: 'rings',
     password: 'AdminPass123!',
     role: 'admin',
     isVerified: true,
@@ -23,6 +26,8 @@ const sampleUsers = [
   {
     email: 'priya.sharma@iitdelhi.edu.in',
     displayName: 'Priya Sharma',
+    avatarSeed: 'priya',
+    avatarStyle: 'face',
     password: 'StudentPass123!',
     role: 'student',
     isVerified: true,
@@ -31,6 +36,8 @@ const sampleUsers = [
   {
     email: 'rahul.kumar@iitdelhi.edu.in',
     displayName: 'Rahul Kumar',
+    avatarSeed: 'rahul',
+    avatarStyle: 'identicon',
     password: 'StudentPass123!',
     role: 'student',
     isVerified: true,
@@ -39,6 +46,8 @@ const sampleUsers = [
   {
     email: 'ananya.patel@iitdelhi.edu.in',
     displayName: 'Ananya Patel',
+    avatarSeed: 'ananya',
+    avatarStyle: 'shapes',
     password: 'StudentPass123!',
     role: 'student',
     isVerified: true,
@@ -47,6 +56,8 @@ const sampleUsers = [
   {
     email: 'arjun.singh@iitdelhi.edu.in',
     displayName: 'Arjun Singh',
+    avatarSeed: 'arjun',
+    avatarStyle: 'face',
     password: 'StudentPass123!',
     role: 'student',
     isVerified: true,
@@ -57,35 +68,43 @@ const sampleUsers = [
 const samplePosts = [
   {
     content: "Just finished my Machine Learning project! Anyone interested in collaborating on AI research? The possibilities are endless and I'd love to work with fellow students on innovative projects. 🤖",
-    campus: 'iitdelhi'
+    campus: 'iitdelhi',
+    category: 'academics'
   },
   {
     content: "Tech fest planning meeting tomorrow at 4 PM in the auditorium. All volunteers welcome! We need help with organizing events, managing logistics, and coordinating with sponsors. 🎉",
-    campus: 'iitdelhi'
+    campus: 'iitdelhi',
+    category: 'events'
   },
   {
     content: "Looking for study partners for the upcoming algorithms exam. Let's form a study group and tackle those complex problems together! 📚",
-    campus: 'iitdelhi'
+    campus: 'iitdelhi',
+    category: 'academics'
   },
   {
     content: "Amazing guest lecture by Dr. Smith on quantum computing today! The future of technology is so exciting. Anyone else attended? Would love to discuss the key takeaways.",
-    campus: 'iitdelhi'
+    campus: 'iitdelhi',
+    category: 'academics'
   },
   {
     content: "Campus placement season is here! Tips for interview preparation: practice coding problems daily, work on communication skills, and research the companies thoroughly. Good luck everyone! 💼",
-    campus: 'iitdelhi'
+    campus: 'iitdelhi',
+    category: 'careers'
   },
   {
     content: "Organizing a hackathon next month. Theme: 'Technology for Social Good'. Registration opens soon. Start thinking about innovative solutions to real-world problems! 💻",
-    campus: 'iitdelhi'
+    campus: 'iitdelhi',
+    category: 'events'
   },
   {
     content: "Beautiful sunset from the campus library today. Sometimes we need to take a break from studies and appreciate the little things in life. 🌅",
-    campus: 'iitdelhi'
+    campus: 'iitdelhi',
+    category: 'general'
   },
   {
     content: "New research paper published on renewable energy systems! Proud to be part of this groundbreaking work. Link in bio for those interested in sustainable technology.",
-    campus: 'iitdelhi'
+    campus: 'iitdelhi',
+    category: 'academics'
   }
 ];
 
@@ -104,6 +123,7 @@ async function seedDatabase() {
     console.log('🧹 Clearing existing data...');
     await User.deleteMany({});
     await Post.deleteMany({});
+    await Comment.deleteMany({});
     console.log('✅ Existing data cleared');
 
     // Create users
@@ -163,9 +183,15 @@ async function seedDatabase() {
       for (let k = 0; k < commentCount; k++) {
         const randomCommenter = studentUsers[Math.floor(Math.random() * studentUsers.length)];
         const randomComment = comments[Math.floor(Math.random() * comments.length)];
-        post.addComment(randomCommenter._id, randomComment);
+        await Comment.create({
+          post: post._id,
+          author: randomCommenter._id,
+          campus: post.campus,
+          content: randomComment
+        });
       }
 
+      post.commentCount = commentCount;
       await post.save();
 
       // Update user stats
@@ -182,14 +208,10 @@ async function seedDatabase() {
     // Update user comment stats
     console.log('📊 Updating user statistics...');
     for (const user of studentUsers) {
-      const commentCount = await Post.aggregate([
-        { $unwind: '$comments' },
-        { $match: { 'comments.author': user._id } },
-        { $count: 'total' }
-      ]);
+      const commentCount = await Comment.countDocuments({ author: user._id });
 
       await User.findByIdAndUpdate(user._id, {
-        'stats.commentsCount': commentCount[0]?.total || 0
+        'stats.commentsCount': commentCount
       });
     }
 
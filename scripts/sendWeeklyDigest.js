@@ -0,0 +1,52 @@
+/**
+ * Weekly Digest Script - UConnect
+ * Sends the weekly campus digest by hand, outside the in-app scheduler
+ *
+ * Usage: node scripts/sendWeeklyDigest.js [--force]
+ *   --force  Send even to users who already received a digest this week
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const digestService = require('../services/digestService');
+
+async function sendWeeklyDigest() {
+  let exitCode = 0;
+
+  try {
+    console.log('📊 Starting weekly digest...');
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/campus_connect', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const result = await digestService.run({ force: process.argv.includes('--force') });
+
+    console.log('\n📋 Summary:');
+    console.log(`   Sent: ${result.sent}`);
+    console.log(`   Skipped (nothing to report): ${result.skipped}`);
+    console.log(`   Failed: ${result.failed}`);
+
+    if (result.failed > 0) {
+      exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Error sending weekly digest:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+    process.exit(exitCode);
+  }
+}
+
+// Run the digest script
+if (require.main === module) {
+  sendWeeklyDigest();
+}
+
+module.exports = sendWeeklyDigest;
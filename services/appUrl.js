@@ -0,0 +1,13 @@
+/**
+ * App URL - UConnect
+ * Public base URL for links that are opened outside the app, such as in emails
+ */
+
+/**
+ * Base URL from APP_URL, without a trailing slash
+ * Never built from the request, so a forged Host header can't redirect links
+ * @returns {string}
+ */
+const getAppUrl = () => (process.env.APP_URL || `http://localhost:${process.env.PORT || 4000}`).replace(/\/$/, '');
+
+module.exports = { getAppUrl };
@@ -0,0 +1,167 @@
+/**
+ * Avatar Generator - UConnect
+ * Draws deterministic SVG avatars from a seed, served locally at /avatars/:seed.svg
+ */
+
+const crypto = require('crypto');
+
+const AVATAR_STYLES = ['face', 'identicon', 'shapes', 'rings'];
+const DEFAULT_AVATAR_STYLE = 'face';
+const MAX_SEED_LENGTH = 100;
+
+const BACKGROUNDS = ['#FDE2E4', '#E2ECE9', '#DFE7FD', '#FFF1E6', '#F0EFEB', '#E8E8E4', '#D8E2DC', '#FCE1E4'];
+const COLORS = ['#B22222', '#E17055', '#00B894', '#0984E3', '#6C5CE7', '#FDCB6E', '#E84393', '#2D3436', '#00CEC9', '#D63031'];
+const SKIN_TONES = ['#FFDBB4', '#EDB98A', '#D08B5B', '#AE5D29', '#614335', '#F8D25C'];
+const HAIR_COLORS = ['#2C1B18', '#4A312C', '#724133', '#A55728', '#B58143', '#D6B370', '#C93305', '#E8E1E1'];
+
+class AvatarGenerator {
+  /**
+   * Build the local URL for a generated avatar
+   * @param {string} seed - Avatar seed
+   * @param {string} [style] - One of AVATAR_STYLES
+   */
+  getUrl(seed, style = DEFAULT_AVATAR_STYLE) {
+    return `/avatars/${encodeURIComponent(seed || 'default')}.svg?style=${this.normalizeStyle(style)}`;
+  }
+
+  /**
+   * Fall back to the default style for anything unknown
+   */
+  normalizeStyle(style) {
+    return AVATAR_STYLES.includes(style) ? style : DEFAULT_AVATAR_STYLE;
+  }
+
+  /**
+   * Deterministic pseudo-random number source for a seed
+   * @param {string} seed - Avatar seed
+   * @returns {Function} Returns an integer in [0, max) on each call
+   */
+  createRandom(seed) {
+    const digest = crypto.createHash('sha256').update(String(seed)).digest();
+    let state = digest.readUInt32LE(0);
+
+    // mulberry32
+    return (max) => {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return (((t ^ (t >>> 14)) >>> 0) / 4294967296 * max) | 0;
+    };
+  }
+
+  /**
+   * Render an avatar as an SVG document
+   * @param {string} seed - Avatar seed
+   * @param {string} [style] - One of AVATAR_STYLES
+   */
+  generate(seed, style = DEFAULT_AVATAR_STYLE) {
+    const normalized = this.normalizeStyle(style);
+    const random = this.createRandom(`${normalized}:${String(seed).substring(0, MAX_SEED_LENGTH)}`);
+    const pick = (list) => list[random(list.length)];
+
+    const background = pick(BACKGROUNDS);
+    const drawers = {
+      face: this.drawFace,
+      identicon: this.drawIdenticon,
+      shapes: this.drawShapes,
+      rings: this.drawRings
+    };
+    const body = drawers[normalized].call(this, random, pick);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100" width="100" height="100">` +
+      `<rect width="100" height="100" fill="${background}"/>${body}</svg>`;
+  }
+
+  drawFace(random, pick) {
+    const skin = pick(SKIN_TONES);
+    const hair = pick(HAIR_COLORS);
+    const shirt = pick(COLORS);
+
+    const hairStyles = [
+      `<path d="M28 44 Q28 18 50 18 Q72 18 72 44 Q66 30 50 30 Q34 30 28 44Z" fill="${hair}"/>`,
+      `<path d="M26 50 Q24 16 50 16 Q76 16 74 50 L70 40 Q50 24 30 40Z" fill="${hair}"/>`,
+      `<circle cx="50" cy="20" r="9" fill="${hair}"/><path d="M30 40 Q30 22 50 22 Q70 22 70 40 Q50 30 30 40Z" fill="${hair}"/>`,
+      `<path d="M24 70 Q20 20 50 18 Q80 20 76 70 L70 70 Q72 36 50 32 Q28 36 30 70Z" fill="${hair}"/>`,
+      ''
+    ];
+    const eyes = [
+      '<circle cx="42" cy="48" r="3" fill="#2D3436"/><circle cx="58" cy="48" r="3" fill="#2D3436"/>',
+      '<path d="M38 48 Q42 44 46 48 M54 48 Q58 44 62 48" stroke="#2D3436" stroke-width="2.5" fill="none" stroke-linecap="round"/>',
+      '<ellipse cx="42" cy="48" rx="2.5" ry="4" fill="#2D3436"/><ellipse cx="58" cy="48" rx="2.5" ry="4" fill="#2D3436"/>'
+    ];
+    const mouths = [
+      '<path d="M42 60 Q50 68 58 60" stroke="#2D3436" stroke-width="2.5" fill="none" stroke-linecap="round"/>',
+      '<path d="M43 61 L57 61" stroke="#2D3436" stroke-width="2.5" stroke-linecap="round"/>',
+      '<path d="M42 59 Q50 70 58 59Z" fill="#2D3436"/>',
+      '<circle cx="50" cy="62" r="3.5" fill="#2D3436"/>'
+    ];
+
+    return `<path d="M18 100 Q18 76 50 76 Q82 76 82 100Z" fill="${shirt}"/>` +
+      `<rect x="44" y="62" width="12" height="16" fill="${skin}"/>` +
+      `<circle cx="50" cy="48" r="22" fill="${skin}"/>` +
+      pick(hairStyles) + pick(eyes) + pick(mouths);
+  }
+
+  drawIdenticon(random, pick) {
+    const color = pick(COLORS);
+    const cells = [];
+
+    // 5x5 grid mirrored around the middle column
+    for (let row = 0; row < 5; row++) {
+      for (let col = 0; col < 3; col++) {
+        if (random(2) === 0) {
+          continue;
+        }
+        cells.push(`<rect x="${15 + col * 14}" y="${15 + row * 14}" width="14" height="14" fill="${color}"/>`);
+        if (col < 2) {
+          cells.push(`<rect x="${15 + (4 - col) * 14}" y="${15 + row * 14}" width="14" height="14" fill="${color}"/>`);
+        }
+      }
+    }
+
+    return cells.join('');
+  }
+
+  drawShapes(random, pick) {
+    const shapes = [];
+
+    for (let i = 0; i < 3; i++) {
+      const color = pick(COLORS);
+      const x = 20 + random(60);
+      const y = 20 + random(60);
+      const size = 18 + random(22);
+      const rotation = random(360);
+
+      switch (random(3)) {
+        case 0:
+          shapes.push(`<circle cx="${x}" cy="${y}" r="${size / 2}" fill="${color}" opacity="0.85"/>`);
+          break;
+        case 1:
+          shapes.push(`<rect x="${x - size / 2}" y="${y - size / 2}" width="${size}" height="${size}" fill="${color}" opacity="0.85" transform="rotate(${rotation} ${x} ${y})"/>`);
+          break;
+        default:
+          shapes.push(`<polygon points="${x},${y - size / 2} ${x + size / 2},${y + size / 2} ${x - size / 2},${y + size / 2}" fill="${color}" opacity="0.85" transform="rotate(${rotation} ${x} ${y})"/>`);
+      }
+    }
+
+    return shapes.join('');
+  }
+
+  drawRings(random, pick) {
+    const rings = [];
+
+    for (let radius = 44; radius > 6; radius -= 8 + random(6)) {
+      rings.push(`<circle cx="50" cy="50" r="${radius}" fill="none" stroke="${pick(COLORS)}" stroke-width="${3 + random(4)}"/>`);
+    }
+
+    return rings.join('');
+  }
+}
+
+// Create singleton instance
+const avatarGenerator = new AvatarGenerator();
+
+module.exports = avatarGenerator;
+module.exports.AVATAR_STYLES = AVATAR_STYLES;
+module.exports.DEFAULT_AVATAR_STYLE = DEFAULT_AVATAR_STYLE;
+module.exports.MAX_SEED_LENGTH = MAX_SEED_LENGTH;
@@ -0,0 +1,113 @@
+/**
+ * Calendar Service - UConnect
+ * Builds iCalendar (.ics) files for campus events
+ */
+
+const { getAppUrl } = require('./appUrl');
+
+const PRODUCT_ID = '-//UConnect//Campus Events//EN';
+// RFC 5545 asks for lines of at most 75 octets
+const MAX_LINE_OCTETS = 75;
+
+class CalendarService {
+  /**
+   * Escape text for a TEXT property value
+   * @param {string} text - Plain text
+   */
+  escapeText(text) {
+    return String(text || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Format a date as a UTC date-time, e.g. 20250101T093000Z
+   * @param {Date} date - Date to format
+   */
+  formatDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Fold a content line so no physical line is longer than 75 octets
+   * @param {string} line - Unfolded content line
+   */
+  foldLine(line) {
+    const parts = [];
+    let current = '';
+    let limit = MAX_LINE_OCTETS;
+
+    for (const char of line) {
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+        // Continuation lines start with a space, which counts towards their length
+        limit = MAX_LINE_OCTETS - 1;
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Content lines for one event
+   * @param {Object} event - Event document
+   * @param {Date} stamp - When the file was generated
+   * @param {boolean} [tentative=false] - Mark the event as not yet confirmed, e.g. while waitlisted
+   */
+  buildEvent(event, stamp, tentative = false) {
+    const url = `${getAppUrl()}/events/${event._id}`;
+    const description = [event.description, url].filter(Boolean).join('\n\n');
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${event._id}@uconnect`,
+      `DTSTAMP:${this.formatDate(stamp)}`,
+      `DTSTART:${this.formatDate(event.startsAt)}`,
+      `DTEND:${this.formatDate(event.endsAt)}`,
+      `SUMMARY:${this.escapeText(event.title)}`,
+      `DESCRIPTION:${this.escapeText(description)}`,
+      `LOCATION:${this.escapeText(event.location)}`,
+      `URL:${url}`,
+      `STATUS:${event.isCancelled ? 'CANCELLED' : tentative ? 'TENTATIVE' : 'CONFIRMED'}`,
+      // Lets calendar apps replace an older copy after the event is edited
+      `SEQUENCE:${Math.floor(new Date(event.updatedAt || stamp).getTime() / 1000)}`,
+      'END:VEVENT'
+    ];
+  }
+
+  /**
+   * Build a calendar file
+   * @param {Object[]} events - Event documents
+   * @param {Object} [options]
+   * @param {string} [options.name] - Calendar name shown by calendar apps
+   * @param {Function} [options.isTentative] - Given an event, whether to mark it tentative
+   * @returns {string} iCalendar text with CRLF line endings
+   */
+  buildCalendar(events, { name, isTentative = () => false } = {}) {
+    const stamp = new Date();
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+    if (name) {
+      lines.push(`X-WR-CALNAME:${this.escapeText(name)}`);
+    }
+    events.forEach(event => lines.push(...this.buildEvent(event, stamp, isTentative(event))));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+}
+
+// Create singleton instance
+const calendarService = new CalendarService();
+
+module.exports = calendarService;
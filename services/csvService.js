@@ -0,0 +1,34 @@
+/**
+ * CSV Service - UConnect
+ * Builds CSV exports that open safely in spreadsheet apps
+ */
+
+// Leading characters spreadsheet apps treat as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class CsvService {
+  /**
+   * Quote a single field, and stop spreadsheet apps from running values that look like formulas
+   * @param {*} value - Field value, null and undefined become empty
+   */
+  toField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_PREFIX.test(text)) {
+      text = `'${text}`;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Build a CSV document with CRLF line endings
+   * @param {Array<Array>} rows - Rows of field values, header row first
+   */
+  toCsv(rows) {
+    return rows.map(row => row.map(value => this.toField(value)).join(',')).join('\r\n') + '\r\n';
+  }
+}
+
+// Create singleton instance
+const csvService = new CsvService();
+
+module.exports = csvService;
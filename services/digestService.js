@@ -0,0 +1,185 @@
+/**
+ * Digest Service - UConnect
+ * Builds and sends the weekly campus digest to subscribed users
+ */
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const emailService = require('./emailService');
+const { getAppUrl } = require('./appUrl');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_PERIOD_MS = 7 * DAY_MS;
+// Allow an hour of slack so a daily check never pushes a digest to day 8
+const RESEND_AFTER_MS = DIGEST_PERIOD_MS - 60 * 60 * 1000;
+const TRENDING_LIMIT = 5;
+const STARTUP_DELAY_MS = 5 * 60 * 1000;
+
+class DigestService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Count likes, comments and new followers a user received since a date
+   * @param {Object} user - User document
+   * @param {Date} since - Start of the digest period
+   */
+  async getActivityForUser(user, since) {
+    const [engagement] = await Post.aggregate([
+      { $match: { author: user._id, isActive: true } },
+      {
+        $project: {
+          likes: {
+            $size: {
+              $filter: {
+                input: '$likes',
+                cond: { $and: [{ $gte: ['$$this.createdAt', since] }, { $ne: ['$$this.user', user._id] }] }
+              }
+            }
+          }
+        }
+      },
+      { $group: { _id: null, likes: { $sum: '$likes' }, postIds: { $push: '$_id' } } }
+    ]);
+
+    const comments = engagement ? await Comment.countDocuments({
+      post: { $in: engagement.postIds },
+      author: { $ne: user._id },
+      createdAt: { $gte: since }
+    }) : 0;
+
+    const followers = await Follow.countDocuments({
+      following: user._id,
+      createdAt: { $gte: since }
+    });
+
+    return {
+      likes: engagement ? engagement.likes : 0,
+      comments,
+      followers
+    };
+  }
+
+  /**
+   * Build and send the digest for a single user
+   * @param {Object} user - User document
+   * @param {Object} options
+   * @param {Date} options.since - Start of the digest period
+   * @param {Map} options.trendingByCampus - Per-run cache of trending posts
+   * @returns {Promise<boolean>} Whether an email was sent
+   */
+  async sendDigestToUser(user, { since, trendingByCampus }) {
+    if (!trendingByCampus.has(user.campus)) {
+      trendingByCampus.set(user.campus, await Post.getTrending(user.campus, TRENDING_LIMIT));
+    }
+    const trendingPosts = trendingByCampus.get(user.campus);
+    const activity = await this.getActivityForUser(user, since);
+
+    // Nothing worth an email this week
+    if (trendingPosts.length === 0 && activity.likes === 0 && activity.comments === 0 && activity.followers === 0) {
+      return false;
+    }
+
+    const appUrl = getAppUrl();
+    await emailService.sendWeeklyDigestEmail({
+      to: user.email,
+      displayName: user.displayName,
+      campus: user.campus,
+      trendingPosts,
+      activity,
+      appUrl,
+      unsubscribeUrl: `${appUrl}/auth/unsubscribe/digest?token=${user.generateDigestUnsubscribeToken()}`
+    });
+
+    await User.updateOne({ _id: user._id }, { lastDigestSentAt: new Date() });
+    return true;
+  }
+
+  /**
+   * Send the digest to every subscribed user who is due one
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Ignore when the last digest was sent
+   * @returns {Promise<Object>} Counts of sent, skipped and failed digests
+   */
+  async run({ force = false } = {}) {
+    if (this.isRunning) {
+      console.log('⏳ Weekly digest already running, skipping');
+      return { sent: 0, skipped: 0, failed: 0 };
+    }
+
+    this.isRunning = true;
+    const now = Date.now();
+    const since = new Date(now - DIGEST_PERIOD_MS);
+    const trendingByCampus = new Map();
+    const result = { sent: 0, skipped: 0, failed: 0 };
+
+    const query = {
+      isActive: true,
+      isVerified: true,
+      'notifications.weeklyDigest': true
+    };
+    if (!force) {
+      query.$or = [
+        { lastDigestSentAt: null },
+        { lastDigestSentAt: { $lte: new Date(now - RESEND_AFTER_MS) } }
+      ];
+    }
+
+    try {
+      const cursor = User.find(query)
+        .select('email displayName campus notifications lastDigestSentAt')
+        .cursor();
+
+      for (let user = await cursor.next(); user; user = await cursor.next()) {
+        try {
+          const sent = await this.sendDigestToUser(user, { since, trendingByCampus });
+          result[sent ? 'sent' : 'skipped']++;
+        } catch (error) {
+          // One bad address should not stop everyone else's digest
+          console.error(`❌ Weekly digest failed for ${user.email}:`, error.message);
+          result.failed++;
+        }
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    console.log(`📊 Weekly digest finished: ${result.sent} sent, ${result.skipped} skipped, ${result.failed} failed`);
+    return result;
+  }
+
+  /**
+   * Check once a day for users who are due their weekly digest
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = () => {
+      this.run().catch(error => console.error('❌ Weekly digest job error:', error.message));
+    };
+
+    // First check shortly after boot so frequent restarts never starve the job
+    setTimeout(tick, STARTUP_DELAY_MS).unref();
+    this.timer = setInterval(tick, DAY_MS);
+    this.timer.unref();
+    console.log('📅 Weekly digest scheduler started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Create singleton instance
+const digestService = new DigestService();
+
+module.exports = digestService;
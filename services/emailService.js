@@ -406,12 +406,516 @@ If you have any questions, please contact our support team.
   }
 
   /**
-   * Send password reset email (for future use)
+   * Send weekly campus digest
+   * @param {Object} options - Email options
+   * @param {string} options.to - Recipient email
+   * @param {string} options.displayName - User's display name
+   * @param {string} options.campus - User's campus
+   * @param {Array} options.trendingPosts - Top campus posts of the week
+   * @param {Object} options.activity - Likes, comments and followers received this week
+   * @param {string} options.appUrl - Base URL used for links
+   * @param {string} options.unsubscribeUrl - One-click unsubscribe URL
+   */
+  async sendWeeklyDigestEmail({ to, displayName, campus, trendingPosts, activity, appUrl, unsubscribeUrl }) {
+    if (!this.isConfigured) {
+      await this.verifyConnection();
+      if (!this.isConfigured) {
+        throw new Error('Email service is not properly configured. Check your Gmail credentials in .env file.');
+      }
+    }
+
+    const mailOptions = {
+      from: {
+        name: process.env.EMAIL_FROM_NAME || 'UConnect Campus',
+        address: process.env.EMAIL_FROM || process.env.EMAIL_USER
+      },
+      to: to,
+      subject: `📊 Your week at ${campus} on UConnect`,
+      text: this.generateWeeklyDigestEmailText({ displayName, campus, trendingPosts, activity, appUrl, unsubscribeUrl }),
+      html: this.generateWeeklyDigestEmailHTML({ displayName, campus, trendingPosts, activity, appUrl, unsubscribeUrl, to }),
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log(`✅ Weekly digest sent to ${to} (${info.messageId})`);
+      return {
+        success: true,
+        messageId: info.messageId,
+        response: info.response
+      };
+    } catch (error) {
+      console.error(`❌ Failed to send weekly digest to ${to}:`, error.message);
+      throw new Error(`Email sending failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Escape user generated text before it goes into an HTML email
+   */
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Shorten post content for digest previews
+   */
+  excerpt(content, length = 140) {
+    const text = String(content).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    return text.length > length ? `${text.substring(0, length)}...` : text;
+  }
+
+  /**
+   * Generate HTML email template for the weekly digest
+   */
+  generateWeeklyDigestEmailHTML({ displayName, campus, trendingPosts, activity, appUrl, unsubscribeUrl, to }) {
+    const postsHTML = trendingPosts.length > 0
+      ? trendingPosts.map(post => `
+                <div class="post">
+                    <div class="post-author">${this.escapeHTML(post.author ? post.author.displayName : 'A student')}</div>
+                    <div class="post-text">${this.escapeHTML(this.excerpt(post.content))}</div>
+                    <div class="post-meta">❤️ ${post.likeCount} · 💬 ${post.commentCount} ·
+                        <a href="${appUrl}/posts/${post._id}">Read more</a>
+                    </div>
+                </div>`).join('')
+      : '<p class="message">It was a quiet week on campus. Why not start the conversation?</p>';
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your Week on UConnect</title>
+        <style>
+            * {
+                margin: 0;
+                padding: 0;
+                box-sizing: border-box;
+            }
+
+            body {
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+                line-height: 1.6;
+                color: #333;
+                background-color: #f8f9fa;
+            }
+
+            .container {
+                max-width: 600px;
+                margin: 0 auto;
+                background-color: #ffffff;
+                border-radius: 12px;
+                overflow: hidden;
+                box-shadow: 0 10px 30px rgba(0, 0, 0, 0.1);
+            }
+
+            .header {
+                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                color: white;
+                padding: 40px 30px;
+                text-align: center;
+            }
+
+            .header h1 {
+                font-size: 28px;
+                margin-bottom: 10px;
+                font-weight: 700;
+            }
+
+            .content {
+                padding: 40px 30px;
+            }
+
+            .welcome {
+                font-size: 18px;
+                margin-bottom: 20px;
+                color: #2c3e50;
+            }
+
+            .message {
+                font-size: 16px;
+                margin-bottom: 20px;
+                color: #555;
+            }
+
+            .section-title {
+                font-size: 18px;
+                font-weight: 600;
+                margin: 30px 0 15px;
+                color: #2c3e50;
+            }
+
+            .activity {
+                display: flex;
+                justify-content: space-between;
+                background-color: #f8f9fa;
+                border: 1px solid #e9ecef;
+                border-radius: 8px;
+                padding: 20px;
+                text-align: center;
+            }
+
+            .activity-number {
+                display: block;
+                font-size: 24px;
+                font-weight: 700;
+                color: #667eea;
+            }
+
+            .post {
+                border-left: 4px solid #667eea;
+                padding: 10px 15px;
+                margin-bottom: 15px;
+                background-color: #fafbff;
+                border-radius: 4px;
+            }
+
+            .post-author {
+                font-weight: 600;
+                color: #2c3e50;
+            }
+
+            .post-meta {
+                font-size: 13px;
+                color: #6c757d;
+            }
+
+            .post-meta a {
+                color: #667eea;
+            }
+
+            .footer {
+                background-color: #f8f9fa;
+                padding: 30px;
+                text-align: center;
+                border-top: 1px solid #e9ecef;
+            }
+
+            .footer p {
+                color: #6c757d;
+                font-size: 14px;
+                margin: 5px 0;
+            }
+
+            .footer a {
+                color: #667eea;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>📊 Your Week on UConnect</h1>
+                <p class="subtitle">What happened at ${this.escapeHTML(campus)}</p>
+            </div>
+
+            <div class="content">
+                <div class="welcome">
+                    Hi ${this.escapeHTML(displayName)}! 👋
+                </div>
+
+                <div class="section-title">Activity on your posts</div>
+                <div class="activity">
+                    <div><span class="activity-number">${activity.likes}</span>Likes</div>
+                    <div><span class="activity-number">${activity.comments}</span>Comments</div>
+                    <div><span class="activity-number">${activity.followers}</span>New followers</div>
+                </div>
+
+                <div class="section-title">🔥 Trending on campus</div>
+                ${postsHTML}
+
+                <div style="text-align: center; margin-top: 30px;">
+                    <a href="${appUrl}/posts" style="color: #667eea; font-weight: 600;">Open your campus feed →</a>
+                </div>
+            </div>
+
+            <div class="footer">
+                <p><strong>UConnect Campus Community</strong></p>
+                <p>Connecting students, building communities</p>
+                <p style="margin-top: 20px; font-size: 12px;">
+                    This email was sent to ${to} because you subscribed to the UConnect weekly digest.<br>
+                    <a href="${unsubscribeUrl}">Unsubscribe from weekly digests</a>
+                </p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Generate text email template for the weekly digest (fallback)
+   */
+  generateWeeklyDigestEmailText({ displayName, campus, trendingPosts, activity, appUrl, unsubscribeUrl }) {
+    const postsText = trendingPosts.length > 0
+      ? trendingPosts.map(post =>
+        `- ${post.author ? post.author.displayName : 'A student'}: ${this.excerpt(post.content)}\n  ❤️ ${post.likeCount}  💬 ${post.commentCount}  ${appUrl}/posts/${post._id}`
+      ).join('\n\n')
+      : 'It was a quiet week on campus. Why not start the conversation?';
+
+    return `
+📊 Your week at ${campus} on UConnect
+
+Hi ${displayName}!
+
+Activity on your posts:
+❤️ ${activity.likes} likes  💬 ${activity.comments} comments  👥 ${activity.followers} new followers
+
+🔥 Trending on campus:
+
+${postsText}
+
+Open your campus feed: ${appUrl}/posts
+
+---
+UConnect Campus Community
+Connecting students, building communities
+
+Unsubscribe from weekly digests: ${unsubscribeUrl}
+    `.trim();
+  }
+
+  /**
+   * Send password reset email
+   * @param {Object} options - Email options
+   * @param {string} options.to - Recipient email
+   * @param {string} options.username - User's username
+   * @param {string} options.displayName - User's display name
+   * @param {string} options.resetUrl - Password reset URL
    */
   async sendPasswordResetEmail({ to, username, displayName, resetUrl }) {
-    // Implementation for password reset emails
-    // This is for future enhancement
-    console.log('Password reset email functionality - Coming soon!');
+    if (!this.isConfigured) {
+      await this.verifyConnection();
+      if (!this.isConfigured) {
+        throw new Error('Email service is not properly configured. Check your Gmail credentials in .env file.');
+      }
+    }
+
+    const mailOptions = {
+      from: {
+        name: process.env.EMAIL_FROM_NAME || 'UConnect Campus',
+        address: process.env.EMAIL_FROM || process.env.EMAIL_USER
+      },
+      to: to,
+      subject: '🔑 Reset Your UConnect Password',
+      text: this.generatePasswordResetEmailText({ username, displayName, resetUrl }),
+      html: this.generatePasswordResetEmailHTML({ username, displayName, resetUrl, to })
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log(`✅ Password reset email sent to ${to} (${info.messageId})`);
+      return {
+        success: true,
+        messageId: info.messageId,
+        response: info.response
+      };
+    } catch (error) {
+      console.error(`❌ Failed to send password reset email to ${to}:`, error.message);
+      throw new Error(`Email sending failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate HTML email template for password reset
+   */
+  generatePasswordResetEmailHTML({ username, displayName, resetUrl, to }) {
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Reset Your UConnect Password</title>
+        <style>
+            * {
+                margin: 0;
+                padding: 0;
+                box-sizing: border-box;
+            }
+
+            body {
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+                line-height: 1.6;
+                color: #333;
+                background-color: #f8f9fa;
+            }
+
+            .container {
+                max-width: 600px;
+                margin: 0 auto;
+                background-color: #ffffff;
+                border-radius: 12px;
+                overflow: hidden;
+                box-shadow: 0 10px 30px rgba(0, 0, 0, 0.1);
+            }
+
+            .header {
+                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                color: white;
+                padding: 40px 30px;
+                text-align: center;
+            }
+
+            .header h1 {
+                font-size: 28px;
+                margin-bottom: 10px;
+                font-weight: 700;
+            }
+
+            .content {
+                padding: 40px 30px;
+            }
+
+            .welcome {
+                font-size: 18px;
+                margin-bottom: 20px;
+                color: #2c3e50;
+            }
+
+            .message {
+                font-size: 16px;
+                margin-bottom: 30px;
+                color: #555;
+                line-height: 1.7;
+            }
+
+            .reset-button {
+                display: inline-block;
+                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                color: white;
+                text-decoration: none;
+                padding: 16px 32px;
+                border-radius: 8px;
+                font-weight: 600;
+                font-size: 16px;
+                margin: 20px 0;
+                box-shadow: 0 4px 15px rgba(102, 126, 234, 0.4);
+            }
+
+            .alternative-link {
+                background-color: #f8f9fa;
+                border: 1px solid #e9ecef;
+                border-radius: 6px;
+                padding: 15px;
+                margin: 25px 0;
+                word-break: break-all;
+                font-size: 14px;
+                color: #6c757d;
+            }
+
+            .security-notice {
+                background-color: #fff3cd;
+                border-left: 4px solid #ffc107;
+                padding: 15px;
+                margin: 25px 0;
+                border-radius: 4px;
+            }
+
+            .security-notice strong {
+                color: #856404;
+            }
+
+            .footer {
+                background-color: #f8f9fa;
+                padding: 30px;
+                text-align: center;
+                border-top: 1px solid #e9ecef;
+            }
+
+            .footer p {
+                color: #6c757d;
+                font-size: 14px;
+                margin: 5px 0;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🔑 UConnect</h1>
+                <p class="subtitle">Password reset request</p>
+            </div>
+
+            <div class="content">
+                <div class="welcome">
+                    Hi ${this.escapeHTML(displayName)}! 👋
+                </div>
+
+                <div class="message">
+                    We received a request to reset the password for your UConnect account
+                    (@${this.escapeHTML(username)}). Click the button below to choose a new password.
+                </div>
+
+                <div style="text-align: center;">
+                    <a href="${resetUrl}" class="reset-button">
+                        🔑 Reset My Password
+                    </a>
+                </div>
+
+                <div class="message">
+                    This link will expire in <strong>1 hour</strong> and can only be used once.
+                    Resetting your password signs you out on every device.
+                </div>
+
+                <div class="security-notice">
+                    <strong>🔒 Security Notice:</strong> If you didn't ask to reset your password,
+                    you can safely ignore this email. Your password will not change.
+                </div>
+
+                <div class="alternative-link">
+                    <strong>Having trouble with the button?</strong> Copy and paste this link into your browser:
+                    <br><br>
+                    ${resetUrl}
+                </div>
+            </div>
+
+            <div class="footer">
+                <p><strong>UConnect Campus Community</strong></p>
+                <p>Connecting students, building communities</p>
+                <p style="margin-top: 20px; font-size: 12px;">
+                    This email was sent to ${to} because a password reset was requested for this address.<br>
+                    If you have any questions, please contact our support team.
+                </p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Generate text email template for password reset (fallback)
+   */
+  generatePasswordResetEmailText({ username, displayName, resetUrl }) {
+    return `
+🔑 Reset your UConnect password
+
+Hi ${displayName}!
+
+We received a request to reset the password for your UConnect account (@${username}). Open the link below to choose a new password:
+
+${resetUrl}
+
+This link will expire in 1 hour and can only be used once. Resetting your password signs you out on every device.
+
+🔒 Security Notice: If you didn't ask to reset your password, you can safely ignore this email. Your password will not change.
+
+---
+UConnect Campus Community
+Connecting students, building communities
+
+If you have any questions, please contact our support team.
+    `.trim();
   }
 
   /**
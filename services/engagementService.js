@@ -0,0 +1,125 @@
+/**
+ * Engagement Service - UConnect
+ * Recomputes post engagement scores as posts age, so trending never favours stale posts
+ */
+
+const Post = require('../models/Post');
+
+const HOUR_MS = 60 * 60 * 1000;
+const RECOMPUTE_INTERVAL_MS = HOUR_MS;
+// Trending looks back 7 days; older posts only need their score to keep falling for a while
+const RECOMPUTE_WINDOW_MS = 30 * 24 * HOUR_MS;
+const BATCH_SIZE = 500;
+const STARTUP_DELAY_MS = 2 * 60 * 1000;
+// Skip writes that would not change the ordering in any meaningful way
+const MIN_SCORE_CHANGE = 1e-6;
+
+class EngagementService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Recompute engagement scores with bulk writes
+   * @param {Object} [options]
+   * @param {boolean} [options.all=false] - Rescore every post instead of only recent ones
+   * @returns {Promise<Object>} Counts of scanned and updated posts
+   */
+  async run({ all = false } = {}) {
+    if (this.isRunning) {
+      console.log('⏳ Engagement recompute already running, skipping');
+      return { scanned: 0, updated: 0 };
+    }
+
+    this.isRunning = true;
+    const now = Date.now();
+    const result = { scanned: 0, updated: 0 };
+
+    const match = { isActive: true };
+    if (!all) {
+      match.createdAt = { $gte: new Date(now - RECOMPUTE_WINDOW_MS) };
+    }
+
+    try {
+      // Only the counts are needed, so like arrays never leave the database
+      const cursor = Post.aggregate([
+        { $match: match },
+        {
+          $project: {
+            createdAt: 1,
+            engagementScore: 1,
+            likes: { $size: { $ifNull: ['$likes', []] } },
+            comments: { $ifNull: ['$commentCount', 0] },
+            commentLikes: { $ifNull: ['$commentLikeCount', 0] }
+          }
+        }
+      ]).cursor({ batchSize: BATCH_SIZE });
+
+      let operations = [];
+      const flush = async () => {
+        if (operations.length > 0) {
+          await Post.bulkWrite(operations, { ordered: false });
+          result.updated += operations.length;
+          operations = [];
+        }
+      };
+
+      for (let post = await cursor.next(); post; post = await cursor.next()) {
+        result.scanned++;
+        const engagementScore = Post.calculateEngagementScore(post, post.createdAt, now);
+        if (Math.abs(engagementScore - (post.engagementScore || 0)) < MIN_SCORE_CHANGE) {
+          continue;
+        }
+
+        // A rescore is not an edit, so leave updatedAt alone
+        operations.push({
+          updateOne: {
+            filter: { _id: post._id },
+            update: { $set: { engagementScore } },
+            timestamps: false
+          }
+        });
+        if (operations.length >= BATCH_SIZE) {
+          await flush();
+        }
+      }
+      await flush();
+    } finally {
+      this.isRunning = false;
+    }
+
+    console.log(`📈 Engagement recompute finished: ${result.updated} of ${result.scanned} posts updated`);
+    return result;
+  }
+
+  /**
+   * Recompute engagement scores every hour
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = () => {
+      this.run().catch(error => console.error('❌ Engagement recompute job error:', error.message));
+    };
+
+    setTimeout(tick, STARTUP_DELAY_MS).unref();
+    this.timer = setInterval(tick, RECOMPUTE_INTERVAL_MS);
+    this.timer.unref();
+    console.log('📈 Engagement recompute scheduler started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Create singleton instance
+const engagementService = new EngagementService();
+
+module.exports = engagementService;
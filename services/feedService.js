@@ -0,0 +1,277 @@
+/**
+ * Feed Service - UConnect
+ * Builds campus feed pages with opaque cursors, so infinite scroll stays stable as new posts arrive
+ */
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Follow = require('../models/Follow');
+
+const FEED_FILTERS = ['recent', 'foryou', 'trending', 'following'];
+const PAGE_SIZE = 20;
+const HOUR_MS = 60 * 60 * 1000;
+const TRENDING_WINDOW_MS = 7 * 24 * HOUR_MS;
+
+// "For you" ranks the newest posts from the last two weeks
+const FOR_YOU_WINDOW_MS = 14 * 24 * HOUR_MS;
+const FOR_YOU_CANDIDATES = 300;
+// Likes and comments the viewer gave in this window count towards author affinity
+const AFFINITY_WINDOW_MS = 90 * 24 * HOUR_MS;
+const AFFINITY_PER_LIKE = 1;
+const AFFINITY_PER_COMMENT = 2;
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Ranking weights for the "For you" feed, tunable per deployment
+const FOR_YOU_WEIGHTS = {
+  affinity: numberFromEnv('FEED_AFFINITY_WEIGHT', 1.5),
+  engagement: numberFromEnv('FEED_ENGAGEMENT_WEIGHT', 1),
+  halfLifeHours: numberFromEnv('FEED_HALF_LIFE_HOURS', 24) || 24
+};
+
+class FeedService {
+  /**
+   * Turn the last post of a page into a cursor for the next one
+   * @param {Object} position
+   * @param {Date|number} position.value - Sort value of the last post
+   * @param {ObjectId} position.id - Id of the last post
+   * @param {Date} [position.rankedAt] - When a ranked feed was scored, so later pages score the same way
+   */
+  encodeCursor({ value, id, rankedAt }) {
+    const cursor = { v: value instanceof Date ? value.getTime() : value, id: id.toString() };
+    if (rankedAt) {
+      cursor.t = rankedAt.getTime();
+    }
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+  }
+
+  /**
+   * Read a cursor from the query string
+   * @param {string} cursor - Cursor from encodeCursor()
+   * @param {string} sortField - Field the feed is sorted by
+   * @returns {Object|null} { value, id, rankedAt }, or null when missing or tampered with
+   */
+  decodeCursor(cursor, sortField) {
+    if (typeof cursor !== 'string' || !cursor) {
+      return null;
+    }
+
+    try {
+      const { v, id, t } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      if (typeof v !== 'number' || !mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      return {
+        value: sortField === 'createdAt' ? new Date(v) : v,
+        id: new mongoose.Types.ObjectId(id),
+        rankedAt: typeof t === 'number' ? new Date(t) : null
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * How much a user interacts with each author, from their likes and comments
+   * @param {Object} user - Viewing user
+   * @param {Date} now - Time the feed is ranked at
+   * @returns {Promise<Map>} Affinity points keyed by author id
+   */
+  async getAuthorAffinity(user, now) {
+    const since = new Date(now.getTime() - AFFINITY_WINDOW_MS);
+
+    const [likes, comments] = await Promise.all([
+      Post.aggregate([
+        { $match: { campus: user.campus, author: { $ne: user._id }, 'likes.user': user._id } },
+        {
+          $project: {
+            author: 1,
+            likes: {
+              $size: {
+                $filter: {
+                  input: '$likes',
+                  cond: { $and: [{ $eq: ['$$this.user', user._id] }, { $gte: ['$$this.createdAt', since] }] }
+                }
+              }
+            }
+          }
+        },
+        { $group: { _id: '$author', count: { $sum: '$likes' } } }
+      ]),
+      Comment.aggregate([
+        { $match: { author: user._id, createdAt: { $gte: since } } },
+        { $group: { _id: '$post', count: { $sum: 1 } } },
+        {
+          $lookup: {
+            from: 'posts',
+            let: { postId: '$_id' },
+            pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$postId'] } } }, { $project: { author: 1 } }],
+            as: 'post'
+          }
+        },
+        { $unwind: '$post' },
+        { $match: { 'post.author': { $ne: user._id } } },
+        { $group: { _id: '$post.author', count: { $sum: '$count' } } }
+      ])
+    ]);
+
+    const affinity = new Map();
+    const add = (authorId, points) => {
+      const key = authorId.toString();
+      affinity.set(key, (affinity.get(key) || 0) + points);
+    };
+    likes.forEach(({ _id, count }) => add(_id, count * AFFINITY_PER_LIKE));
+    comments.forEach(({ _id, count }) => add(_id, count * AFFINITY_PER_COMMENT));
+
+    return affinity;
+  }
+
+  /**
+   * Score and order candidate posts for the "For you" feed
+   * Pure, so the same posts, affinity and `now` always give the same order
+   * @param {Object[]} posts - Candidate posts
+   * @param {Map} affinity - From getAuthorAffinity()
+   * @param {Object} options
+   * @param {Date} options.now - Time the feed is ranked at
+   * @param {Object} [options.weights=FOR_YOU_WEIGHTS] - { affinity, engagement, halfLifeHours }
+   * @returns {Object[]} { post, score } pairs, best first
+   */
+  rankPosts(posts, affinity, { now, weights = FOR_YOU_WEIGHTS }) {
+    return posts
+      .map(post => {
+        const authorId = (post.author._id || post.author).toString();
+        const ageInHours = Math.max(0, now - post.createdAt) / HOUR_MS;
+
+        // Log scales stop one very popular post or very close friend from taking over
+        const relevance = 1 +
+          weights.affinity * Math.log1p(affinity.get(authorId) || 0) +
+          weights.engagement * Math.log1p(post.getInteractionScore());
+        const decay = Math.pow(0.5, ageInHours / weights.halfLifeHours);
+
+        return { post, score: relevance * decay };
+      })
+      .sort((a, b) => b.score - a.score || this.compareIds(b.post._id, a.post._id));
+  }
+
+  // Order ObjectIds by creation, as their hex strings sort the same way
+  compareIds(a, b) {
+    const left = a.toString();
+    const right = b.toString();
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+
+  /**
+   * Get one page of the "For you" feed
+   * Later pages reuse the first page's ranking time, so scores line up with the cursor
+   * @param {Object} user - Viewing user
+   * @param {string} [cursor] - nextCursor of the previous page
+   * @param {string} [category] - Only rank posts in this category
+   */
+  async getForYouPage(user, cursor, category) {
+    const after = this.decodeCursor(cursor, 'score');
+    const now = after && after.rankedAt ? after.rankedAt : new Date();
+
+    const query = {
+      campus: user.campus,
+      author: { $ne: user._id },
+      createdAt: { $gte: new Date(now.getTime() - FOR_YOU_WINDOW_MS), $lte: now }
+    };
+    if (category) {
+      query.category = category;
+    }
+
+    const [candidates, affinity] = await Promise.all([
+      Post.getFeedPage(query, { limit: FOR_YOU_CANDIDATES }),
+      this.getAuthorAffinity(user, now)
+    ]);
+
+    let ranked = this.rankPosts(candidates, affinity, { now });
+    if (after) {
+      ranked = ranked.filter(({ post, score }) =>
+        score < after.value || (score === after.value && this.compareIds(post._id, after.id) < 0));
+    }
+
+    const page = ranked.slice(0, PAGE_SIZE);
+    const last = page[page.length - 1];
+
+    return {
+      posts: page.map(({ post }) => post),
+      nextCursor: ranked.length > PAGE_SIZE
+        ? this.encodeCursor({ value: last.score, id: last.post._id, rankedAt: now })
+        : null
+    };
+  }
+
+  /**
+   * Query and sort order for a feed filter
+   * @param {Object} user - Viewing user
+   * @param {string} filter - One of FEED_FILTERS, or 'tag'
+   * @param {string} [tag] - Hashtag for the 'tag' filter
+   * @param {string} [category] - Only include posts in this category
+   */
+  async getFeedQuery(user, filter, tag, category) {
+    const query = { campus: user.campus };
+    if (category) {
+      query.category = category;
+    }
+
+    if (filter === 'trending') {
+      query.createdAt = { $gte: new Date(Date.now() - TRENDING_WINDOW_MS) };
+      return { query, sortField: 'engagementScore' };
+    }
+
+    if (filter === 'following') {
+      query.author = { $in: await Follow.getFollowingIds(user._id) };
+    } else if (filter === 'tag') {
+      query.hashtags = tag.toLowerCase();
+    }
+
+    return { query, sortField: 'createdAt' };
+  }
+
+  /**
+   * Get one page of a feed
+   * @param {Object} options
+   * @param {Object} options.user - Viewing user
+   * @param {string} [options.filter='recent'] - One of FEED_FILTERS, or 'tag'
+   * @param {string} [options.tag] - Hashtag for the 'tag' filter
+   * @param {string} [options.category] - One of Post.POST_CATEGORIES
+   * @param {string} [options.cursor] - nextCursor of the previous page
+   * @returns {Promise<Object>} { posts, nextCursor }, nextCursor is null on the last page
+   */
+  async getPage({ user, filter = 'recent', tag, category, cursor }) {
+    if (filter === 'foryou') {
+      return this.getForYouPage(user, cursor, category);
+    }
+
+    const { query, sortField } = await this.getFeedQuery(user, filter, tag, category);
+
+    // One extra tells us whether another page exists
+    const posts = await Post.getFeedPage(query, {
+      sortField,
+      after: this.decodeCursor(cursor, sortField),
+      limit: PAGE_SIZE + 1
+    });
+    const hasMore = posts.length > PAGE_SIZE;
+    const page = posts.slice(0, PAGE_SIZE);
+
+    return {
+      posts: page,
+      nextCursor: hasMore
+        ? this.encodeCursor({ value: page[page.length - 1][sortField], id: page[page.length - 1]._id })
+        : null
+    };
+  }
+}
+
+// Create singleton instance
+const feedService = new FeedService();
+
+module.exports = feedService;
+module.exports.FEED_FILTERS = FEED_FILTERS;
+module.exports.PAGE_SIZE = PAGE_SIZE;
+module.exports.FOR_YOU_WEIGHTS = FOR_YOU_WEIGHTS;
@@ -0,0 +1,87 @@
+/**
+ * Mention Service - UConnect
+ * Finds @username mentions in posts and comments and turns them into profile links
+ */
+
+const mongoose = require('mongoose');
+
+// "@" not preceded by a word character, so email addresses are skipped
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9_]{3,20})\b/g;
+const MAX_MENTIONS = 10;
+
+// Users mentioned in a post or comment, resolved on save
+const mentionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+class MentionService {
+  /**
+   * Pull unique, lowercased usernames mentioned in content
+   * @param {string} content - Post or comment content
+   */
+  extract(content) {
+    const usernames = new Set();
+    for (const match of String(content || '').matchAll(MENTION_PATTERN)) {
+      usernames.add(match[2].toLowerCase());
+      if (usernames.size >= MAX_MENTIONS) {
+        break;
+      }
+    }
+    return [...usernames];
+  }
+
+  /**
+   * Resolve mentions in content against active users on a campus
+   * @param {string} content - Post or comment content
+   * @param {string} campus - Campus of the post
+   * @returns {Promise<Array>} Mentions as { user, username }
+   */
+  async resolve(content, campus) {
+    const usernames = this.extract(content);
+    if (usernames.length === 0) {
+      return [];
+    }
+
+    // Only people on the same campus with an active account can be mentioned
+    const users = await mongoose.model('User').find({
+      username: { $in: usernames },
+      campus,
+      isActive: true
+    }).select('username');
+    const idByUsername = new Map(users.map(user => [user.username, user._id]));
+
+    return usernames
+      .filter(username => idByUsername.has(username))
+      .map(username => ({ user: idByUsername.get(username), username }));
+  }
+
+  /**
+   * Turn resolved mentions into profile links, leaving unknown names as text
+   * @param {string} html - Sanitized content
+   * @param {Array} mentions - Resolved mentions
+   */
+  link(html, mentions) {
+    if (!mentions || mentions.length === 0) {
+      return html;
+    }
+    const byUsername = new Map(mentions.map(mention => [mention.username, mention.user]));
+    return html.replace(MENTION_PATTERN, (match, prefix, username) => {
+      const userId = byUsername.get(username.toLowerCase());
+      return userId ? `${prefix}<a href="/users/${userId}" class="mention">@${username}</a>` : match;
+    });
+  }
+}
+
+// Create singleton instance
+const mentionService = new MentionService();
+
+module.exports = mentionService;
+module.exports.mentionSchema = mentionSchema;
@@ -0,0 +1,78 @@
+/**
+ * Messaging Service - UConnect
+ * Direct message rules shared by the inbox and features that put people in touch
+ */
+
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+
+class MessagingService {
+  /**
+   * Check whether the sender may message the recipient
+   * @param {Object} sender - User sending the message
+   * @param {Object} recipient - User document, or null when not found
+   * @returns {string|null} Error message, or null when the message is allowed
+   */
+  getMessagingError(sender, recipient) {
+    if (!recipient || !recipient.isActive) {
+      return 'User not found';
+    }
+
+    if (recipient._id.toString() === sender._id.toString()) {
+      return 'You cannot message yourself';
+    }
+
+    // Same campus rule as GET /users/:id
+    if (recipient.campus !== sender.campus) {
+      return 'You can only message students from your campus';
+    }
+
+    if (recipient.privacy && recipient.privacy.allowMessages === false) {
+      return `@${recipient.username} is not accepting messages`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Store a message and bump the conversation
+   * @param {Object} conversation - Conversation document, saved if new
+   * @param {Object} sender - User sending the message
+   * @param {Object} recipient - User receiving the message
+   * @param {string} content - Message text
+   */
+  async sendMessage(conversation, sender, recipient, content) {
+    const message = new Message({
+      conversation: conversation._id,
+      sender: sender._id,
+      recipient: recipient._id,
+      content
+    });
+    await message.save();
+
+    conversation.lastMessage = {
+      sender: sender._id,
+      content: message.content.substring(0, 100),
+      createdAt: message.createdAt
+    };
+    await conversation.save();
+
+    return message;
+  }
+
+  /**
+   * Send a message in the conversation between two users, starting one if needed
+   * Callers check `getMessagingError` first.
+   * @returns {Promise<Object>} The conversation
+   */
+  async sendDirectMessage(sender, recipient, content) {
+    const conversation = await Conversation.findOrCreateBetween(sender._id, recipient._id, sender.campus);
+    await this.sendMessage(conversation, sender, recipient, content);
+    return conversation;
+  }
+}
+
+// Create singleton instance
+const messagingService = new MessagingService();
+
+module.exports = messagingService;
@@ -0,0 +1,138 @@
+/**
+ * Notification Service - UConnect
+ * Creates in-app notifications, honouring each user's notification preferences
+ */
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const realtimeService = require('./realtimeService');
+
+// Which `User.notifications` flag controls each notification type
+const PREFERENCE_BY_TYPE = {
+  like: 'likes',
+  comment: 'comments',
+  mention: 'mentions'
+};
+
+class NotificationService {
+  /**
+   * Check whether a user wants notifications of a given type
+   * @param {Object} recipient - User document
+   * @param {string} type - Notification type
+   */
+  wantsNotification(recipient, type) {
+    const preference = PREFERENCE_BY_TYPE[type];
+    if (!preference || !recipient.notifications) {
+      return true;
+    }
+    return recipient.notifications[preference] !== false;
+  }
+
+  /**
+   * Create a notification unless the recipient opted out
+   * @param {Object} options - Notification options
+   * @param {string|ObjectId} options.recipientId - User being notified
+   * @param {Object} options.actor - User who triggered the notification
+   * @param {string} options.type - Notification type, e.g. 'like'
+   * @param {string|ObjectId} [options.postId] - Related post
+   * @param {string|ObjectId} [options.commentId] - Related comment on the post
+   * @param {string} [options.link] - In-app path to open, when the activity is not on a post
+   * @param {string} [options.message] - Text shown in the notification center
+   * @returns {Promise<Object|null>} The notification, or null when skipped
+   */
+  async notify({ recipientId, actor, type, postId = null, commentId = null, link = null, message = '' }) {
+    // Never notify people about their own activity
+    if (recipientId.toString() === actor._id.toString()) {
+      return null;
+    }
+
+    try {
+      const recipient = await User.findById(recipientId).select('notifications isActive');
+      if (!recipient || !recipient.isActive || !this.wantsNotification(recipient, type)) {
+        return null;
+      }
+
+      // Liking, unliking and liking again should not pile up duplicates
+      if (type === 'like' && postId) {
+        const existing = await Notification.findOne({
+          recipient: recipient._id,
+          actor: actor._id,
+          type,
+          post: postId,
+          comment: commentId,
+          isRead: false
+        });
+        if (existing) {
+          return existing;
+        }
+      }
+
+      const notification = await Notification.create({
+        recipient: recipient._id,
+        actor: actor._id,
+        type,
+        post: postId,
+        comment: commentId,
+        link,
+        message
+      });
+
+      const unreadCount = await Notification.countUnreadFor(recipient._id);
+      realtimeService.publishToUser(recipient._id, 'notification', {
+        notificationId: notification._id,
+        type,
+        message,
+        unreadCount
+      });
+
+      return notification;
+    } catch (error) {
+      // Notifications are a side effect - never fail the triggering request
+      console.error('Notification error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Notify everyone newly mentioned in a post or comment
+   * @param {Object} options - Mention options
+   * @param {Array} options.mentions - Resolved mentions ({ user, username })
+   * @param {Object} options.actor - User who wrote the mention
+   * @param {string|ObjectId} options.postId - Post containing the mention
+   * @param {string} options.message - Text shown in the notification center
+   * @param {Array} [options.exclude] - User ids already notified some other way
+   */
+  async notifyMentions({ mentions, actor, postId, message, exclude = [] }) {
+    const skip = new Set(exclude.map(id => id.toString()));
+    const recipients = (mentions || [])
+      .map(mention => mention.user.toString())
+      .filter(userId => !skip.has(userId));
+
+    return Promise.all([...new Set(recipients)].map(recipientId =>
+      this.notify({ recipientId, actor, type: 'mention', postId, message })
+    ));
+  }
+
+  /**
+   * Tell people moved off an event's waitlist that they now have a spot
+   * @param {Object} options - Promotion options
+   * @param {Object} options.event - Event they were promoted on
+   * @param {Array} options.userIds - Users promoted off the waitlist
+   */
+  async notifyWaitlistPromoted({ event, userIds }) {
+    return Promise.all(userIds.map(recipientId =>
+      this.notify({
+        recipientId,
+        actor: event.organizer,
+        type: 'event',
+        link: `/events/${event._id}`,
+        message: `A spot opened up - you're now going to ${event.title}`.substring(0, 200)
+      })
+    ));
+  }
+}
+
+// Create singleton instance
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
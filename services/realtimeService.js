@@ -0,0 +1,97 @@
+/**
+ * Realtime Service - UConnect
+ * Pushes live feed, engagement and moderation events to connected clients
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * In-process broker. Delivers events to subscribers in the same Node
+ * process, which is all a single server (or a test) needs. A broker backed
+ * by Redis or similar only has to offer the same publish/subscribe methods.
+ */
+class LocalBroker {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  publish(channel, event) {
+    this.emitter.emit(channel, event);
+  }
+
+  subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+    return () => this.emitter.off(channel, handler);
+  }
+}
+
+class RealtimeService {
+  constructor(broker = new LocalBroker()) {
+    this.broker = broker;
+  }
+
+  /**
+   * Swap the broker (e.g. a fresh LocalBroker per test)
+   */
+  setBroker(broker) {
+    this.broker = broker;
+  }
+
+  campusChannel(campus) {
+    return `campus:${campus}`;
+  }
+
+  userChannel(userId) {
+    return `user:${userId.toString()}`;
+  }
+
+  /**
+   * Publish an event to everyone connected from a campus
+   * @param {string} campus - Campus identifier
+   * @param {string} type - Event type, e.g. 'post:new'
+   * @param {Object} data - Event payload
+   */
+  publishToCampus(campus, type, data = {}) {
+    this.publish(this.campusChannel(campus), type, data);
+  }
+
+  /**
+   * Publish an event to a single user's connections
+   * @param {string|ObjectId} userId - Recipient user id
+   * @param {string} type - Event type, e.g. 'post:liked'
+   * @param {Object} data - Event payload
+   */
+  publishToUser(userId, type, data = {}) {
+    this.publish(this.userChannel(userId), type, data);
+  }
+
+  publish(channel, type, data) {
+    try {
+      this.broker.publish(channel, { type, data, sentAt: new Date().toISOString() });
+    } catch (error) {
+      // Live updates are best effort - never fail the request that caused them
+      console.error('Realtime publish error:', error.message);
+    }
+  }
+
+  /**
+   * Subscribe a connected user to their campus and personal channels
+   * @returns {Function} unsubscribe
+   */
+  subscribeUser({ userId, campus }, handler) {
+    const unsubscribers = [
+      this.broker.subscribe(this.campusChannel(campus), handler),
+      this.broker.subscribe(this.userChannel(userId), handler)
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+}
+
+// Create singleton instance
+const realtimeService = new RealtimeService();
+
+module.exports = realtimeService;
+module.exports.RealtimeService = RealtimeService;
+module.exports.LocalBroker = LocalBroker;
@@ -0,0 +1,166 @@
+/**
+ * Search Service - UConnect
+ * Campus-scoped full-text search over posts, comments and people
+ */
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+
+const SEARCH_TYPES = ['posts', 'comments', 'people'];
+const RESULTS_PER_PAGE = 20;
+const MAX_QUERY_LENGTH = 100;
+const SNIPPET_LENGTH = 240;
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+class SearchService {
+  /**
+   * Trim and cap a raw query string
+   * @param {string} query - Raw query from the request
+   */
+  normalizeQuery(query) {
+    return typeof query === 'string' ? query.trim().substring(0, MAX_QUERY_LENGTH) : '';
+  }
+
+  /**
+   * Words worth highlighting, without the operators $text understands
+   * @param {string} query - Normalized query
+   */
+  getTerms(query) {
+    return query
+      .split(/\s+/)
+      .filter(term => !term.startsWith('-'))
+      .map(term => term.replace(/"/g, ''))
+      .filter(term => term.length > 1);
+  }
+
+  escapeHTML(text) {
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Turn stored content into plain text
+   * Post content is sanitized on save, so it arrives entity-encoded and must be decoded
+   * before it is cut or matched, then escaped exactly once on the way out
+   * @param {string} text - Plain text or stored post HTML
+   */
+  toPlainText(text) {
+    return String(text || '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|nbsp);/gi, (entity, code) => {
+        const lower = code.toLowerCase();
+        if (!lower.startsWith('#')) {
+          return NAMED_ENTITIES[lower];
+        }
+        const codePoint = lower.startsWith('#x') ? parseInt(lower.substring(2), 16) : parseInt(lower.substring(1), 10);
+        return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+      });
+  }
+
+  /**
+   * Escape plain text for HTML and wrap every search term in <mark>
+   * Matches word prefixes, so stemmed matches like "studying" for "study" still light up
+   * @param {string} text - Plain text, e.g. from snippet()
+   * @param {string[]} terms - Terms from getTerms()
+   * @returns {string} Safe HTML
+   */
+  highlight(text, terms) {
+    const plain = String(text || '');
+    if (!terms || terms.length === 0) {
+      return this.escapeHTML(plain);
+    }
+
+    const pattern = terms
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+
+    // Splitting on a capturing group puts the matches at the odd indexes
+    return plain
+      .split(new RegExp(`\\b(${pattern})`, 'gi'))
+      .map((part, index) => (index % 2 === 1 ? `<mark>${this.escapeHTML(part)}</mark>` : this.escapeHTML(part)))
+      .join('');
+  }
+
+  /**
+   * Cut a snippet around the first matching term so long posts stay readable
+   * @param {string} text - Plain text or stored post HTML
+   * @param {string[]} terms - Terms from getTerms()
+   * @returns {string} Plain text, ready for highlight()
+   */
+  snippet(text, terms) {
+    const plain = this.toPlainText(text);
+    if (plain.length <= SNIPPET_LENGTH) {
+      return plain;
+    }
+
+    const lower = plain.toLowerCase();
+    const hit = terms
+      .map(term => lower.indexOf(term.toLowerCase()))
+      .filter(index => index >= 0)
+      .sort((a, b) => a - b)[0] || 0;
+    const start = Math.max(0, hit - SNIPPET_LENGTH / 4);
+    const end = Math.min(plain.length, start + SNIPPET_LENGTH);
+
+    return `${start > 0 ? '…' : ''}${plain.substring(start, end)}${end < plain.length ? '…' : ''}`;
+  }
+
+  /**
+   * Run a search within one campus
+   * @param {Object} options
+   * @param {string} options.campus - Searcher's campus
+   * @param {string} options.query - Raw query
+   * @param {string} [options.type='posts'] - One of SEARCH_TYPES
+   * @param {number} [options.page=1] - 1-based page number
+   */
+  async search({ campus, query, type = 'posts', page = 1 }) {
+    const q = this.normalizeQuery(query);
+    const searchType = SEARCH_TYPES.includes(type) ? type : 'posts';
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const skip = (currentPage - 1) * RESULTS_PER_PAGE;
+
+    const result = {
+      query: q,
+      type: searchType,
+      terms: this.getTerms(q),
+      results: [],
+      counts: { posts: 0, comments: 0, people: 0 },
+      currentPage,
+      totalPages: 0,
+      hasNextPage: false
+    };
+
+    if (!q) {
+      return result;
+    }
+
+    // Counts feed the tab badges, so they all run regardless of the active tab
+    const [postCount, commentCount, peopleCount] = await Promise.all([
+      Post.countSearch(campus, q),
+      Comment.countSearch(campus, q),
+      User.countSearch(campus, q)
+    ]);
+    result.counts = { posts: postCount, comments: commentCount, people: peopleCount };
+
+    const searchers = { posts: Post, comments: Comment, people: User };
+    result.results = await searchers[searchType].search(campus, q, RESULTS_PER_PAGE, skip);
+
+    const total = result.counts[searchType];
+    result.totalPages = Math.ceil(total / RESULTS_PER_PAGE);
+    result.hasNextPage = skip + result.results.length < total;
+
+    return result;
+  }
+}
+
+// Create singleton instance
+const searchService = new SearchService();
+
+module.exports = searchService;
+module.exports.SEARCH_TYPES = SEARCH_TYPES;
+module.exports.MAX_QUERY_LENGTH = MAX_QUERY_LENGTH;
@@ -0,0 +1,77 @@
+/**
+ * Event model tests - check-in tickets and duplicate scans
+ */
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Event = require('../../models/Event');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Event check-in', () => {
+  const attendeeId = new mongoose.Types.ObjectId();
+  let event;
+
+  beforeEach(() => {
+    event = new Event({
+      title: 'Hack Night',
+      startsAt: new Date(Date.now() - HOUR),
+      endsAt: new Date(Date.now() + HOUR),
+      rsvps: [{ user: attendeeId, status: 'going' }]
+    });
+  });
+
+  const sign = (payload, options) => jwt.sign(payload, process.env.JWT_SECRET || 'fallback-secret', options);
+
+  test('a ticket from the event reads back its attendee', () => {
+    const { userId, error } = event.readCheckInToken(event.generateCheckInToken(attendeeId));
+
+    expect(error).toBeUndefined();
+    expect(String(userId)).toBe(attendeeId.toString());
+  });
+
+  test('scanning the same ticket twice is a duplicate', () => {
+    expect(event.checkIn(attendeeId)).toBe('checked_in');
+    const firstCheckIn = event.getRsvp(attendeeId).checkedInAt;
+
+    expect(event.checkIn(attendeeId)).toBe('duplicate');
+    expect(event.getRsvp(attendeeId).checkedInAt).toBe(firstCheckIn);
+    expect(event.checkedInCount).toBe(1);
+  });
+
+  test('only people on the going list can check in', () => {
+    event.rsvps[0].status = 'waitlist';
+
+    expect(event.checkIn(attendeeId)).toBe('not_going');
+    expect(event.checkIn(new mongoose.Types.ObjectId())).toBe('not_going');
+  });
+
+  test('an expired ticket is rejected', () => {
+    const token = sign({
+      eventId: event._id,
+      userId: attendeeId,
+      type: 'event_check_in',
+      exp: Math.floor((Date.now() - HOUR) / 1000)
+    });
+
+    expect(event.readCheckInToken(token)).toEqual({ error: 'This ticket has expired' });
+  });
+
+  test('a ticket for another event is rejected', () => {
+    const otherEvent = new Event({ title: 'Other', startsAt: event.startsAt, endsAt: event.endsAt });
+
+    expect(event.readCheckInToken(otherEvent.generateCheckInToken(attendeeId)))
+      .toEqual({ error: 'This ticket is for a different event' });
+  });
+
+  test('a token with the wrong type claim is rejected', () => {
+    const token = sign({ eventId: event._id, userId: attendeeId, type: 'password_reset' }, { expiresIn: '1h' });
+
+    expect(event.readCheckInToken(token)).toEqual({ error: 'This ticket is not valid' });
+  });
+
+  test('garbage and missing tokens are rejected', () => {
+    expect(event.readCheckInToken('not-a-token')).toEqual({ error: 'This ticket is not valid' });
+    expect(event.readCheckInToken(undefined)).toEqual({ error: 'This ticket is not valid' });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Lost & Found Report tests - keywords and match scoring
+ */
+
+const { extractKeywords, scoreMatch, MATCH_WINDOW_DAYS, MIN_MATCH_SCORE } = require('../../models/LostFoundReport');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOST_ON = new Date('2024-03-01T10:00:00Z');
+
+const report = (overrides) => ({
+  type: 'lost',
+  category: 'electronics',
+  date: LOST_ON,
+  keywords: [],
+  ...overrides
+});
+
+const daysAfterLoss = (days) => new Date(LOST_ON.getTime() + days * DAY_MS);
+
+describe('extractKeywords', () => {
+  test('drops stop words, short words and duplicates', () => {
+    expect(extractKeywords('Lost my black AirPods near the library, please help! Black case'))
+      .toEqual(['black', 'airpods', 'library', 'help', 'case']);
+  });
+
+  test('keeps numbers and handles empty input', () => {
+    expect(extractKeywords('Room 204 keys')).toEqual(['room', '204', 'keys']);
+    expect(extractKeywords('')).toEqual([]);
+    expect(extractKeywords(null)).toEqual([]);
+  });
+});
+
+describe('scoreMatch', () => {
+  const lost = report({ keywords: ['black', 'airpods', 'library'] });
+
+  test('two reports of the same type never match', () => {
+    expect(scoreMatch(lost, report({ keywords: ['black', 'airpods'] }))).toBe(0);
+  });
+
+  test('weighs category, shared keywords and how close the dates are', () => {
+    const found = report({ type: 'found', date: daysAfterLoss(0.5), keywords: ['airpods', 'black', 'gym'] });
+
+    // 3 for the category, 1.5 per shared keyword, 1 for within a day
+    expect(scoreMatch(lost, found)).toBe(3 + 2 * 1.5 + 1);
+    expect(scoreMatch(found, lost)).toBe(scoreMatch(lost, found));
+  });
+
+  test('stops matching past the date window', () => {
+    const atEdge = report({ type: 'found', date: daysAfterLoss(MATCH_WINDOW_DAYS), keywords: ['airpods'] });
+    const pastEdge = report({ type: 'found', date: daysAfterLoss(MATCH_WINDOW_DAYS + 0.01), keywords: ['airpods'] });
+    const before = report({ type: 'found', date: daysAfterLoss(-(MATCH_WINDOW_DAYS + 1)), keywords: ['airpods'] });
+
+    expect(MATCH_WINDOW_DAYS).toBe(14);
+    expect(scoreMatch(lost, atEdge)).toBe(3 + 1.5);
+    expect(scoreMatch(lost, pastEdge)).toBe(0);
+    expect(scoreMatch(lost, before)).toBe(0);
+  });
+
+  test('a suggestion needs at least MIN_MATCH_SCORE', () => {
+    // One shared keyword on the same day, different category
+    const weak = report({ type: 'found', category: 'bags', date: LOST_ON, keywords: ['black'] });
+    // Two shared keywords are enough on their own
+    const keywordsOnly = report({ type: 'found', category: 'bags', date: daysAfterLoss(5), keywords: ['black', 'library'] });
+    // So is the same category
+    const categoryOnly = report({ type: 'found', date: daysAfterLoss(5), keywords: [] });
+
+    expect(MIN_MATCH_SCORE).toBe(3);
+    expect(scoreMatch(lost, weak)).toBeLessThan(MIN_MATCH_SCORE);
+    expect(scoreMatch(lost, keywordsOnly)).toBeGreaterThanOrEqual(MIN_MATCH_SCORE);
+    expect(scoreMatch(lost, categoryOnly)).toBe(MIN_MATCH_SCORE);
+  });
+});
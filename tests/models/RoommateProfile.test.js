@@ -0,0 +1,82 @@
+/**
+ * Roommate Profile tests - compatibility scoring
+ */
+
+const { acceptsGender, scoreCompatibility } = require('../../models/RoommateProfile');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MOVE_IN = new Date('2024-07-01T00:00:00Z');
+
+const profile = (overrides) => ({
+  gender: 'female',
+  genderPreference: 'any',
+  budgetMin: 8000,
+  budgetMax: 12000,
+  moveInDate: MOVE_IN,
+  sleepSchedule: 'flexible',
+  cleanliness: 'tidy',
+  guests: 'sometimes',
+  smoking: 'no',
+  ...overrides
+});
+
+describe('acceptsGender', () => {
+  test('"any" accepts everyone, otherwise only the matching gender', () => {
+    expect(acceptsGender('any', 'male')).toBe(true);
+    expect(acceptsGender('any', 'unspecified')).toBe(true);
+    expect(acceptsGender('female', 'female')).toBe(true);
+    expect(acceptsGender('female', 'male')).toBe(false);
+    expect(acceptsGender('male', 'non_binary')).toBe(false);
+  });
+});
+
+describe('scoreCompatibility', () => {
+  test('identical profiles score 100', () => {
+    expect(scoreCompatibility(profile(), profile())).toBe(100);
+  });
+
+  test('is 0 when either gender preference rules the other out', () => {
+    const womenOnly = profile({ genderPreference: 'female' });
+    const man = profile({ gender: 'male' });
+
+    expect(scoreCompatibility(womenOnly, man)).toBe(0);
+    expect(scoreCompatibility(man, womenOnly)).toBe(0);
+    expect(scoreCompatibility(profile({ gender: 'male', genderPreference: 'male' }), profile())).toBe(0);
+  });
+
+  test('overlapping budgets score in full, gaps cost in proportion', () => {
+    const base = profile();
+
+    // Touching ranges still overlap
+    expect(scoreCompatibility(base, profile({ budgetMin: 12000, budgetMax: 15000 }))).toBe(100);
+    // A 3000 gap against a top budget of 20000 loses 30% of the 30 budget points
+    expect(scoreCompatibility(base, profile({ budgetMin: 15000, budgetMax: 20000 }))).toBe(91);
+    // A gap of half the top budget or more loses all of them
+    expect(scoreCompatibility(base, profile({ budgetMin: 40000, budgetMax: 50000 }))).toBe(70);
+  });
+
+  test('move-in dates score by how far apart they are', () => {
+    const base = profile();
+    const movingIn = (days) => profile({ moveInDate: new Date(MOVE_IN.getTime() + days * DAY_MS) });
+
+    expect(scoreCompatibility(base, movingIn(14))).toBe(100);
+    expect(scoreCompatibility(base, movingIn(30))).toBe(90);
+    expect(scoreCompatibility(base, movingIn(60))).toBe(80);
+  });
+
+  test('sleep and habits score by distance along their scales', () => {
+    const earlyBird = profile({ sleepSchedule: 'early_bird' });
+
+    // Flexible sits halfway between early birds and night owls
+    expect(scoreCompatibility(earlyBird, profile())).toBe(90);
+    expect(scoreCompatibility(earlyBird, profile({ sleepSchedule: 'night_owl' }))).toBe(80);
+
+    // Opposite ends of every habit scale: cleanliness 12, guests 8, smoking 10
+    const relaxed = profile({ cleanliness: 'relaxed', guests: 'rarely', smoking: 'no' });
+    const opposite = profile({ cleanliness: 'very_tidy', guests: 'often', smoking: 'yes' });
+    expect(scoreCompatibility(relaxed, opposite)).toBe(70);
+
+    // One step on the smoking scale costs half its points
+    expect(scoreCompatibility(profile(), profile({ smoking: 'outside' }))).toBe(95);
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * CSV Service tests - quoting and formula escaping
+ */
+
+const csvService = require('../../services/csvService');
+
+describe('csvService', () => {
+  test('fields are always quoted and empty values stay empty', () => {
+    expect(csvService.toField('Asha')).toBe('"Asha"');
+    expect(csvService.toField(null)).toBe('""');
+    expect(csvService.toField(undefined)).toBe('""');
+    expect(csvService.toField(0)).toBe('"0"');
+  });
+
+  test('quote characters are doubled', () => {
+    expect(csvService.toField('Asha "Ace" Rao')).toBe('"Asha ""Ace"" Rao"');
+  });
+
+  test('values that look like formulas are prefixed so they are not run', () => {
+    expect(csvService.toField('=cmd|\' /C calc\'!A0')).toBe('"\'=cmd|\' /C calc\'!A0"');
+    expect(csvService.toField('+1')).toBe('"\'+1"');
+    expect(csvService.toField('-1')).toBe('"\'-1"');
+    expect(csvService.toField('@SUM(A1)')).toBe('"\'@SUM(A1)"');
+    expect(csvService.toField('a=b')).toBe('"a=b"');
+  });
+
+  test('formula escaping and quote doubling combine', () => {
+    expect(csvService.toField('=HYPERLINK("http://evil")')).toBe('"\'=HYPERLINK(""http://evil"")"');
+  });
+
+  test('rows are joined with CRLF and end with one', () => {
+    expect(csvService.toCsv([['Name', 'RSVP'], ['Asha', 'going']]))
+      .toBe('"Name","RSVP"\r\n"Asha","going"\r\n');
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Feed Service tests - "For you" ranking
+ */
+
+const mongoose = require('mongoose');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date('2024-03-10T12:00:00Z');
+
+const FRIEND_ID = new mongoose.Types.ObjectId('65a000000000000000000001');
+const STRANGER_ID = new mongoose.Types.ObjectId('65a000000000000000000002');
+
+// Fixed ids, so ties always break the same way
+const postIds = {
+  friend: '65b000000000000000000001',
+  popular: '65b000000000000000000002',
+  older: '65b000000000000000000003',
+  quietFirst: '65b000000000000000000004',
+  quietSecond: '65b000000000000000000005'
+};
+
+// The viewer has liked or commented on the friend's posts
+const affinity = new Map([[FRIEND_ID.toString(), 4]]);
+
+const buildFixture = (Post) => {
+  const post = (key, author, hoursOld, likeCount = 0) => new Post({
+    _id: new mongoose.Types.ObjectId(postIds[key]),
+    author,
+    content: key,
+    campus: 'Test Campus',
+    createdAt: new Date(NOW.getTime() - hoursOld * HOUR_MS),
+    likes: Array.from({ length: likeCount }, () => ({ user: new mongoose.Types.ObjectId() }))
+  });
+
+  return [
+    post('quietFirst', STRANGER_ID, 5),
+    post('older', STRANGER_ID, 30, 20),
+    post('friend', FRIEND_ID, 2),
+    post('quietSecond', STRANGER_ID, 5),
+    post('popular', STRANGER_ID, 2, 6)
+  ];
+};
+
+const keysOf = (ranked) => ranked.map(({ post }) => post.content);
+
+// Load the service fresh, so weights are read from the environment given
+const loadFeedService = (env = {}) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+
+  let modules;
+  jest.isolateModules(() => {
+    modules = {
+      feedService: require('../../services/feedService'),
+      Post: require('../../models/Post')
+    };
+  });
+
+  process.env = saved;
+  return modules;
+};
+
+describe('feedService.rankPosts', () => {
+  const { feedService, Post } = loadFeedService({
+    FEED_AFFINITY_WEIGHT: '',
+    FEED_ENGAGEMENT_WEIGHT: '',
+    FEED_HALF_LIFE_HOURS: ''
+  });
+
+  test('orders the fixture the same way every time', () => {
+    const expected = ['friend', 'popular', 'older', 'quietSecond', 'quietFirst'];
+
+    const posts = buildFixture(Post);
+    expect(keysOf(feedService.rankPosts(posts, affinity, { now: NOW }))).toEqual(expected);
+    expect(keysOf(feedService.rankPosts([...posts].reverse(), affinity, { now: NOW }))).toEqual(expected);
+  });
+
+  test('breaks equal scores by newest id first', () => {
+    const ranked = feedService.rankPosts(buildFixture(Post), affinity, { now: NOW });
+    const quiet = ranked.filter(({ post }) => post.content.startsWith('quiet'));
+
+    expect(quiet[0].score).toBe(quiet[1].score);
+    expect(keysOf(quiet)).toEqual(['quietSecond', 'quietFirst']);
+  });
+
+  test('ranks by age alone when affinity and engagement weigh nothing', () => {
+    const weights = { affinity: 0, engagement: 0, halfLifeHours: 24 };
+    const ranked = feedService.rankPosts(buildFixture(Post), affinity, { now: NOW, weights });
+
+    expect(keysOf(ranked)).toEqual(['popular', 'friend', 'quietSecond', 'quietFirst', 'older']);
+  });
+
+  test('uses the default weights when none are configured', () => {
+    expect(feedService.FOR_YOU_WEIGHTS).toEqual({ affinity: 1.5, engagement: 1, halfLifeHours: 24 });
+  });
+});
+
+describe('feedService weights from the environment', () => {
+  test('honours FEED_* weights', () => {
+    const { feedService, Post } = loadFeedService({
+      FEED_AFFINITY_WEIGHT: '0',
+      FEED_ENGAGEMENT_WEIGHT: '2',
+      FEED_HALF_LIFE_HOURS: '12'
+    });
+
+    expect(feedService.FOR_YOU_WEIGHTS).toEqual({ affinity: 0, engagement: 2, halfLifeHours: 12 });
+
+    // Without affinity the friend's post loses its lead, and doubled engagement lifts the older liked post past it
+    const ranked = feedService.rankPosts(buildFixture(Post), affinity, { now: NOW });
+    expect(keysOf(ranked)).toEqual(['popular', 'older', 'friend', 'quietSecond', 'quietFirst']);
+  });
+
+  test('falls back to the defaults for invalid values', () => {
+    const { feedService } = loadFeedService({
+      FEED_AFFINITY_WEIGHT: '-1',
+      FEED_ENGAGEMENT_WEIGHT: 'lots',
+      FEED_HALF_LIFE_HOURS: '0'
+    });
+
+    expect(feedService.FOR_YOU_WEIGHTS).toEqual({ affinity: 1.5, engagement: 1, halfLifeHours: 24 });
+  });
+});
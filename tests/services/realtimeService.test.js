@@ -0,0 +1,73 @@
+/**
+ * Realtime Service tests - campus and user channels over the in-process broker
+ */
+
+const realtimeService = require('../../services/realtimeService');
+const { LocalBroker } = realtimeService;
+
+describe('realtimeService', () => {
+  let received;
+  let unsubscribers;
+
+  const connect = (name, userId, campus) => {
+    received[name] = [];
+    unsubscribers.push(realtimeService.subscribeUser({ userId, campus }, (event) => received[name].push(event)));
+  };
+
+  beforeEach(() => {
+    realtimeService.setBroker(new LocalBroker());
+    received = {};
+    unsubscribers = [];
+
+    connect('alice', 'user-a', 'IIT Delhi');
+    connect('bob', 'user-b', 'IIT Delhi');
+    connect('carol', 'user-c', 'IIT Bombay');
+  });
+
+  afterEach(() => {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+  });
+
+  const typesFor = (name) => received[name].map(event => event.type);
+
+  test('campus events reach only that campus', () => {
+    realtimeService.publishToCampus('IIT Delhi', 'post:new', { postId: 'p1' });
+
+    expect(typesFor('alice')).toEqual(['post:new']);
+    expect(typesFor('bob')).toEqual(['post:new']);
+    expect(typesFor('carol')).toEqual([]);
+    expect(received.alice[0]).toMatchObject({ type: 'post:new', data: { postId: 'p1' } });
+    expect(typeof received.alice[0].sentAt).toBe('string');
+  });
+
+  test('user events reach only that user', () => {
+    realtimeService.publishToUser('user-b', 'notification', { message: 'hi' });
+
+    expect(typesFor('alice')).toEqual([]);
+    expect(typesFor('bob')).toEqual(['notification']);
+    expect(typesFor('carol')).toEqual([]);
+  });
+
+  test('user ids given as objects use the same channel', () => {
+    realtimeService.publishToUser({ toString: () => 'user-c' }, 'moderation', {});
+
+    expect(typesFor('carol')).toEqual(['moderation']);
+  });
+
+  test('unsubscribing stops delivery', () => {
+    unsubscribers[0]();
+    realtimeService.publishToCampus('IIT Delhi', 'post:removed', { postId: 'p1' });
+    realtimeService.publishToUser('user-a', 'notification', {});
+
+    expect(typesFor('alice')).toEqual([]);
+    expect(typesFor('bob')).toEqual(['post:removed']);
+  });
+
+  test('a failing broker never throws into the caller', () => {
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    realtimeService.setBroker({ publish: () => { throw new Error('down'); } });
+
+    expect(() => realtimeService.publishToCampus('IIT Delhi', 'post:new', {})).not.toThrow();
+    spy.mockRestore();
+  });
+});
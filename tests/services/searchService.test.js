@@ -0,0 +1,49 @@
+/**
+ * Search Service tests - snippets and highlighting
+ */
+
+const searchService = require('../../services/searchService');
+
+// What the Post content setter stores after sanitize-html
+const stored = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const render = (text, query) => {
+  const terms = searchService.getTerms(query);
+  return searchService.highlight(searchService.snippet(text, terms), terms);
+};
+
+describe('searchService highlighting', () => {
+  test('shows stored entities once, not double-encoded', () => {
+    expect(render(stored('R&D lab'), 'lab')).toBe('R&amp;D <mark>lab</mark>');
+    expect(render(stored('Tom & Jerry <3'), 'tom')).toBe('<mark>Tom</mark> &amp; Jerry &lt;3');
+  });
+
+  test('does not match inside entities', () => {
+    const text = stored('Tom & Jerry <3');
+
+    expect(render(text, 'amp')).toBe('Tom &amp; Jerry &lt;3');
+    expect(render(text, 'lt')).toBe('Tom &amp; Jerry &lt;3');
+    expect(render(text, 'amp lt')).not.toContain('<mark>');
+  });
+
+  test('escapes markup in the text and inside marks', () => {
+    expect(render('<b>bold</b> & <i>x</i>', 'bold')).toBe('<mark>bold</mark> &amp; x');
+    expect(searchService.highlight('a <script> tag', ['script'])).toBe('a &lt;<mark>script</mark>&gt; tag');
+  });
+
+  test('keeps line breaks from stored posts as plain text', () => {
+    expect(searchService.snippet('first<br>second', ['second'])).toBe('first\nsecond');
+  });
+
+  test('cuts long snippets around the first match on the decoded text', () => {
+    const text = stored(`${'a & b '.repeat(60)}needle & more`);
+    const snippet = searchService.snippet(text, ['needle']);
+
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet).toContain('needle & more');
+    expect(snippet).not.toContain('&amp;');
+  });
+});